@@ -1,122 +1,262 @@
 // src/App.jsx
 import { useState, useEffect, useRef } from "react";
-import { useSocket } from "./socket/socket";
+import { useSocket, roleIn } from "./socket/socket";
+import LoginScreen from "./components/LoginScreen";
+import RoomList from "./components/RoomList";
+import UserList from "./components/UserList";
+import StatusPicker from "./components/StatusPicker";
+import MessageItem from "./components/MessageItem";
+import ThreadPanel from "./components/ThreadPanel";
+import SearchPanel from "./components/SearchPanel";
+import ModerationPanel from "./components/ModerationPanel";
+import CommandInput from "./components/CommandInput";
+import MentionsPanel from "./components/MentionsPanel";
+import ExportPanel from "./components/ExportPanel";
+import ScheduledPanel from "./components/ScheduledPanel";
+import SendOptions from "./components/SendOptions";
+import IntegrationsPanel from "./components/IntegrationsPanel";
 import "./App.css";
 
 export default function App() {
   const {
     isConnected,
+    currentUser,
+    isAdmin,
+    notificationLevels,
+    unseenMentions,
+    prunedHistory,
+    scheduled,
     messages,
     users,
+    presence,
     typingUsers,
     currentRoom,
+    rooms,
     privateTo,
     unreadCounts,
-    connect,
+    readStates,
+    hasOlderMessages,
+    hasNewerMessages,
+    commands,
+    login,
+    register,
+    logout,
     joinRoom,
+    createRoom,
+    deleteRoom,
+    inviteToRoom,
+    setRoomRole,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    loadModerationLog,
+    setRetention,
+    shouldNotify,
+    setNotificationLevel,
+    loadMentions,
+    markMentionsSeen,
     sendMessage,
     sendPrivateMessage,
+    scheduleMessage,
+    cancelScheduled,
+    thread,
+    openThread,
+    loadOlderThreadMessages,
+    closeThread,
+    sendThreadReply,
+    retryMessage,
     sendFile,
     sendReaction,
+    editMessage,
+    deleteMessage,
     markAsRead,
     setTyping,
+    setStatus,
     selectPrivate,
+    loadOlderMessages,
+    searchMessages,
+    importArchive,
+    listWebhooks,
+    createWebhook,
+    removeWebhook,
+    loadWebhookFailures,
+    listBots,
+    createBot,
+    rotateBotToken,
+    removeBot,
+    jumpToMessage,
+    loadLatestMessages,
   } = useSocket();
 
-  const [username, setUsername] = useState("");
   const [message, setMessage] = useState("");
-  const [joined, setJoined] = useState(false);
-  const [selectedRoom, setSelectedRoom] = useState("global");
+  const [quoting, setQuoting] = useState(null); // message quoted by the next send
+  const [sendOptions, setSendOptions] = useState({ sendAt: "", expiry: "" }); // see SendOptions
   const [highlightedMessages, setHighlightedMessages] = useState([]);
-  const [searchQuery, setSearchQuery] = useState(""); // For message search
+  const [jumpTarget, setJumpTarget] = useState(null); // message to scroll to after jumping from search
   const [loadingOlder, setLoadingOlder] = useState(false); // For pagination
   const chatEndRef = useRef(null);
   const chatContainerRef = useRef(null);
   const fileInputRef = useRef(null);
 
-  // Join chat
-  const handleJoin = () => {
-    if (username.trim()) {
-      connect(username);
-      setJoined(true);
-      joinRoom("global");
+  const selectedRoom = privateTo ? null : currentRoom;
+  const selectedRoomInfo = rooms.find((r) => r.name === selectedRoom);
+  const pruned = prunedHistory[privateTo ? privateTo.id : selectedRoom]; // history removed by retention
+  const canModerate = (room) => !!room && roleIn(room, currentUser.id, isAdmin) !== "member";
 
-      if (Notification.permission !== "granted") Notification.requestPermission();
-    }
+  // Log in or register, then ask for notification permission where the browser has notifications
+  const withNotificationPrompt = (authenticate) => async (name, password) => {
+    await authenticate(name, password);
+    if ("Notification" in window && Notification.permission !== "granted") Notification.requestPermission();
   };
 
-  // Send message
-  const handleSend = () => {
+  // Send message, or schedule it when a send time is picked (scheduled messages can't quote)
+  const handleSend = async () => {
     if (message.trim()) {
-      if (privateTo) sendPrivateMessage(privateTo.id, message);
-      else sendMessage(message);
+      const { sendAt, expiry } = sendOptions;
+      const expiryFields =
+        expiry === "read" ? { expireAfterRead: true } : expiry ? { expiresInMinutes: Number(expiry) } : {};
+      if (sendAt) {
+        if (!(await scheduleMessage(message, new Date(sendAt), expiryFields))) return;
+        setSendOptions({ sendAt: "", expiry });
+      } else {
+        const options = { quoteId: quoting?.id, ...expiryFields };
+        if (privateTo) sendPrivateMessage(privateTo.id, message, options);
+        else sendMessage(message, options);
+        setQuoting(null);
+      }
 
       setMessage("");
       setTyping(false);
     }
   };
 
-  const handleTyping = (e) => {
-    setMessage(e.target.value);
-    setTyping(e.target.value.length > 0);
+  const handleTyping = (text) => {
+    setMessage(text);
+    setTyping(text.length > 0);
   };
 
   const handleFileChange = (e) => {
     const file = e.target.files[0];
-    if (file) sendFile(file);
+    if (file) sendFile(file, { to: privateTo?.id });
+    e.target.value = ""; // allow picking the same file again
   };
 
   const handleReaction = (id, emoji) => {
     sendReaction(id, emoji);
   };
 
-  // Scroll to bottom
+  // Props shared by messages in the timeline and in the thread panel
+  const messageProps = (m) => ({
+    currentUserId: currentUser.id,
+    canEdit: m.senderId === currentUser.id,
+    canDelete: m.senderId === currentUser.id || (!m.isPrivate && canModerate(rooms.find((r) => r.name === m.room))),
+    onReact: handleReaction,
+    onEdit: editMessage,
+    onDelete: deleteMessage,
+    onRetry: retryMessage,
+  });
+
+  // Scroll to bottom when a new message arrives (not when older pages are prepended,
+  // nor while reading an older slice of history opened from search)
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
-    chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+    if (!hasNewerMessages) chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [lastMessageId, hasNewerMessages]);
+
+  // Bring a message opened from search into view and flash it
+  useEffect(() => {
+    if (jumpTarget === null) return;
+    chatContainerRef.current
+      ?.querySelector(`[data-message-id="${jumpTarget}"]`)
+      ?.scrollIntoView({ block: "center" });
+    setHighlightedMessages((prev) => [...prev, jumpTarget]);
+    const timer = setTimeout(() => {
+      setHighlightedMessages((prev) => prev.filter((id) => id !== jumpTarget));
+      setJumpTarget(null);
+    }, 1500);
+    return () => clearTimeout(timer);
+  }, [jumpTarget]);
+
+  const handleJump = (messageId) =>
+    jumpToMessage(messageId).then((context) => setJumpTarget(context.anchorId));
 
-  // Infinite scroll: load older messages
+  // Infinite scroll: load the page before the oldest message shown
   const handleScroll = () => {
-    if (!chatContainerRef.current || loadingOlder) return;
-    if (chatContainerRef.current.scrollTop < 50) {
+    const container = chatContainerRef.current;
+    if (!container || loadingOlder || !hasOlderMessages) return;
+    if (container.scrollTop < 50) {
+      const oldest = displayedMessages.find((m) => !m.system);
+      if (!oldest) return;
+
       setLoadingOlder(true);
-      // Emit an event to load older messages
-      // Here we assume server supports `load_older_messages` with room/private info
-      socket.emit(
-        "load_older_messages",
-        { room: selectedRoom, privateToId: privateTo?.id },
-        (olderMessages) => {
-          if (olderMessages && olderMessages.length > 0) {
-            setMessages((prev) => [...olderMessages, ...prev]);
-          }
+      const previousHeight = container.scrollHeight;
+      loadOlderMessages(
+        { room: selectedRoom, privateToId: privateTo?.id, oldestMessageId: oldest.id },
+        () => {
           setLoadingOlder(false);
+          // Keep the viewport anchored on the message that was at the top
+          requestAnimationFrame(() => {
+            container.scrollTop = container.scrollHeight - previousHeight;
+          });
         }
       );
     }
   };
 
   // Filter messages for current room/private chat
-  const displayedMessages = messages
-    .filter((m) => {
-      if (m.isPrivate) {
-        if (!privateTo) return false;
-        return m.senderId === privateTo.id || m.receiverId === privateTo.id;
-      } else {
-        return m.room === selectedRoom;
-      }
-    })
-    .filter((m) => {
-      if (!searchQuery) return true;
-      return (
-        (typeof m.message === "string" &&
-          m.message.toLowerCase().includes(searchQuery.toLowerCase())) ||
-        m.sender.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-    });
+  const displayedMessages = messages.filter((m) => {
+    if (m.isPrivate) {
+      if (!privateTo) return false;
+      return m.senderId === privateTo.id || m.receiverId === privateTo.id;
+    } else {
+      return m.room === selectedRoom;
+    }
+  });
+
+  // Read receipts: each reader appears once, under the newest of our messages they have read
+  const seenBy = {};
+  const ownMessages = displayedMessages.filter((m) => m.senderId === currentUser?.id);
+  for (const receipt of Object.values(readStates[privateTo ? privateTo.id : selectedRoom] || {})) {
+    if (receipt.userId === currentUser?.id) continue;
+    const seen = ownMessages.filter((m) => m.timestamp <= receipt.lastReadAt).pop();
+    if (seen) seenBy[seen.id] = [...(seenBy[seen.id] || []), receipt.username];
+  }
+
+  // Mark messages read as they scroll into view, but only while the tab is actually visible
+  useEffect(() => {
+    const container = chatContainerRef.current;
+    if (!container) return;
+
+    const byId = new Map(messages.map((m) => [String(m.id), m]));
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (document.visibilityState !== "visible") return;
+        for (const entry of entries) {
+          const msg = entry.isIntersecting && byId.get(entry.target.dataset.messageId);
+          if (msg) markAsRead(msg);
+        }
+      },
+      { root: container, threshold: 0.5 }
+    );
+    const observeAll = () => container.querySelectorAll("[data-message-id]").forEach((el) => observer.observe(el));
+    observeAll();
+
+    // Observing again reports what is on screen now, e.g. after switching back to the tab
+    const handleVisibility = () => {
+      observer.disconnect();
+      observeAll();
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      observer.disconnect();
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [messages, selectedRoom, privateTo, markAsRead]);
 
   // Select room
   const handleSelectRoom = (room) => {
-    setSelectedRoom(room);
     selectPrivate(null);
     joinRoom(room);
   };
@@ -124,36 +264,32 @@ export default function App() {
   // Select private user
   const handleSelectUser = (user) => {
     selectPrivate(user);
-    setSelectedRoom(null);
   };
 
   // Compute total unread messages
   const totalUnread = Object.values(unreadCounts).reduce((a, b) => a + b, 0);
 
-  // 🔔 Notifications, sound, and highlight
+  // What the highlight below checks a new message against. It only reruns when messages change, so
+  // switching conversations or status doesn't highlight the last message again.
+  const highlightContext = useRef(null);
+  useEffect(() => {
+    highlightContext.current = { shouldNotify, isDnd: presence?.presence === "dnd", selectedRoom, privateTo };
+  });
+
+  // 🔔 Highlight messages that arrive outside the conversation on screen, when the room's
+  // notification level allows (the socket hook plays the sound and shows the notification)
   useEffect(() => {
     if (messages.length === 0) return;
 
+    const context = highlightContext.current;
     const lastMsg = messages[messages.length - 1];
-    if (lastMsg.system || lastMsg.sender === username) return;
+    if (!context.shouldNotify(lastMsg) || context.isDnd) return;
 
     const isCurrentRoom =
-      (!lastMsg.isPrivate && lastMsg.room === selectedRoom) ||
-      (lastMsg.isPrivate && privateTo?.id === lastMsg.senderId);
+      (!lastMsg.isPrivate && lastMsg.room === context.selectedRoom) ||
+      (lastMsg.isPrivate && context.privateTo?.id === lastMsg.senderId);
 
     if (!isCurrentRoom) {
-      const audio = new Audio("/notification.mp3");
-      audio.play().catch(() => {});
-
-      if (Notification.permission === "granted") {
-        new Notification(
-          lastMsg.isPrivate
-            ? `Private message from ${lastMsg.sender}`
-            : `New message in #${lastMsg.room}`,
-          { body: lastMsg.message }
-        );
-      }
-
       setHighlightedMessages((prev) => [...prev, lastMsg.id]);
       setTimeout(() => {
         setHighlightedMessages((prev) => prev.filter((id) => id !== lastMsg.id));
@@ -161,23 +297,12 @@ export default function App() {
     }
   }, [messages]);
 
-  if (!joined) {
+  if (!currentUser) {
     return (
-      <div className="h-screen flex flex-col items-center justify-center gap-4 bg-gray-100">
-        <h1 className="text-3xl font-bold text-gray-800">Join the Chat</h1>
-        <input
-          className="border border-gray-400 p-2 rounded w-64"
-          placeholder="Enter your username"
-          value={username}
-          onChange={(e) => setUsername(e.target.value)}
-        />
-        <button
-          onClick={handleJoin}
-          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
-        >
-          Join Chat
-        </button>
-      </div>
+      <LoginScreen
+        onLogin={withNotificationPrompt(login)}
+        onRegister={withNotificationPrompt(register)}
+      />
     );
   }
 
@@ -186,69 +311,95 @@ export default function App() {
       <header className="bg-blue-600 text-white p-4 flex justify-between items-center">
         <h1 className="text-xl font-semibold">Socket.io Chat</h1>
         <div className="flex items-center gap-4">
+          <span className="text-sm">{currentUser.username}</span>
+          <StatusPicker presence={presence} onChange={setStatus} />
           <span className="text-sm">{isConnected ? "🟢 Connected" : "🔴 Disconnected"}</span>
           {totalUnread > 0 && (
             <span className="bg-red-500 text-white text-xs px-2 py-1 rounded">🔔 {totalUnread}</span>
           )}
+          <button onClick={logout} className="text-sm underline">
+            Log out
+          </button>
         </div>
       </header>
 
       <main className="flex flex-1">
         <aside className="w-1/4 bg-gray-100 p-4 border-r border-gray-300 flex flex-col">
-          <h2 className="font-semibold mb-2">Online Users</h2>
-          <ul className="flex-1 overflow-y-auto">
-            {users.map((u) => (
-              <li
-                key={u.id}
-                onClick={() => handleSelectUser(u)}
-                className={`flex items-center justify-between p-2 rounded cursor-pointer ${
-                  privateTo?.id === u.id ? "bg-blue-200" : "hover:bg-gray-200"
-                }`}
-              >
-                <span className="flex items-center gap-2">
-                  <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                  {u.username}
-                </span>
-                <span className="flex items-center gap-1">
-                  {unreadCounts[u.id] > 0 && (
-                    <span className="bg-red-500 text-white text-xs px-1 rounded">{unreadCounts[u.id]}</span>
-                  )}
-                  {privateTo?.id === u.id && <span>💬</span>}
-                </span>
-              </li>
-            ))}
-          </ul>
-
-          <div className="mt-4">
-            <h3 className="font-semibold mb-1">Rooms</h3>
-            <div className="flex flex-wrap gap-2">
-              {["global", "tech", "fun", "random"].map((room) => (
-                <button
-                  key={room}
-                  onClick={() => handleSelectRoom(room)}
-                  className={`px-3 py-1 rounded flex items-center gap-1 ${
-                    selectedRoom === room ? "bg-blue-600 text-white" : "bg-gray-200 hover:bg-gray-300"
-                  }`}
-                >
-                  #{room}
-                  {unreadCounts[room] > 0 && (
-                    <span className="bg-red-500 text-white text-xs px-1 rounded">{unreadCounts[room]}</span>
-                  )}
-                </button>
-              ))}
-            </div>
-          </div>
+          <h2 className="font-semibold mb-2">Users</h2>
+          <UserList users={users} privateTo={privateTo} unreadCounts={unreadCounts} onSelect={handleSelectUser} />
+
+          <RoomList
+            rooms={rooms}
+            selectedRoom={selectedRoom}
+            unreadCounts={unreadCounts}
+            currentUser={currentUser}
+            users={users}
+            onSelect={handleSelectRoom}
+            onCreate={createRoom}
+            onDelete={deleteRoom}
+            onInvite={inviteToRoom}
+          />
         </aside>
 
         <section className="flex-1 flex flex-col">
-          <div className="p-2">
-            <input
-              placeholder="Search messages..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="w-full border border-gray-400 p-2 rounded"
+          {selectedRoom && (
+            <div className="px-4 pt-2 text-sm text-gray-600">
+              <strong>#{selectedRoom}</strong>
+              {selectedRoomInfo?.topic && <span> — {selectedRoomInfo.topic}</span>}
+              <select
+                value={notificationLevels[selectedRoom] || "all"}
+                onChange={(e) => setNotificationLevel(selectedRoom, e.target.value)}
+                title="Notifications for this room"
+                className="ml-2 border border-gray-300 rounded text-xs"
+              >
+                <option value="all">🔔 All messages</option>
+                <option value="mentions">@ Mentions only</option>
+                <option value="muted">🔕 Muted</option>
+              </select>
+            </div>
+          )}
+          {canModerate(selectedRoomInfo) && (
+            <ModerationPanel
+              key={selectedRoom}
+              room={selectedRoomInfo}
+              users={users}
+              currentUser={currentUser}
+              isAdmin={isAdmin}
+              actions={{
+                onSetRole: setRoomRole,
+                onKick: kickUser,
+                onBan: banUser,
+                onUnban: unbanUser,
+                onMute: muteUser,
+                onUnmute: unmuteUser,
+                onLoadLog: loadModerationLog,
+                onSetRetention: setRetention,
+              }}
             />
-          </div>
+          )}
+          <SearchPanel rooms={rooms} onSearch={searchMessages} onJump={handleJump} />
+          <MentionsPanel unseen={unseenMentions} onLoad={loadMentions} onSeen={markMentionsSeen} onJump={handleJump} />
+          <ExportPanel
+            conversation={privateTo ? { with: privateTo.id } : { room: selectedRoom }}
+            isAdmin={isAdmin}
+            onImport={importArchive}
+          />
+          <ScheduledPanel scheduled={scheduled} onCancel={cancelScheduled} />
+          <IntegrationsPanel
+            key={selectedRoom}
+            room={selectedRoomInfo}
+            isOwner={!!selectedRoomInfo && roleIn(selectedRoomInfo, currentUser.id, isAdmin) === "owner"}
+            actions={{
+              listWebhooks,
+              createWebhook,
+              removeWebhook,
+              loadWebhookFailures,
+              listBots,
+              createBot,
+              rotateBotToken,
+              removeBot,
+            }}
+          />
 
           <div
             className="flex-1 overflow-y-auto p-4 space-y-3"
@@ -256,66 +407,58 @@ export default function App() {
             onScroll={handleScroll}
           >
             {loadingOlder && <div className="text-center text-gray-500">Loading older messages...</div>}
+            {!hasOlderMessages && pruned && (
+              <div className="text-center text-xs text-gray-500">
+                {pruned.count} older messages, up to {new Date(pruned.before).toLocaleString()}, were removed by the
+                retention policy
+              </div>
+            )}
             {displayedMessages.map((m) => (
-              <div
+              <MessageItem
                 key={`${m.id}-${m.timestamp}`} // Unique key for React
-                className={`p-2 rounded ${
-                  m.system
-                    ? "text-gray-500 italic"
-                    : `bg-gray-50 border ${highlightedMessages.includes(m.id) ? "animate-pulse border-blue-500" : ""}`
-                }`}
-                onClick={() => markAsRead(m.id)}
-              >
-                {m.system ? (
-                  <em>{m.message}</em>
-                ) : (
-                  <>
-                    <p>
-                      <strong>{m.sender}</strong>{" "}
-                      <span className="text-xs text-gray-400">
-                        [{new Date(m.timestamp).toLocaleTimeString()}]
-                      </span>
-                    </p>
-                    <p>{typeof m.message === "string" ? m.message : JSON.stringify(m.message)}</p>
-                    {m.fileData && (
-                      <a href={m.fileData} target="_blank" rel="noreferrer" className="text-blue-600 underline">
-                        📎 {m.fileName}
-                      </a>
-                    )}
-                    {m.reactions?.length > 0 && (
-                      <div className="mt-1 flex gap-1 text-sm">{m.reactions.map((r, i) => (<span key={i}>{r.reaction}</span>))}</div>
-                    )}
-                    <div className="flex gap-2 text-sm mt-1">
-                      {["👍", "❤️", "😂", "🔥"].map((emoji) => (
-                        <button key={emoji} onClick={() => handleReaction(m.id, emoji)}>
-                          {emoji}
-                        </button>
-                      ))}
-                    </div>
-                    {m.readers?.length > 0 && (
-                      <p className="text-xs text-gray-400">Seen by {m.readers.join(", ")}</p>
-                    )}
-                    {m.room && <div className="text-xs text-gray-400 ml-2">in {m.room}</div>}
-                  </>
-                )}
-              </div>
+                m={m}
+                highlighted={highlightedMessages.includes(m.id)}
+                {...messageProps(m)}
+                readers={seenBy[m.id]}
+                onReply={openThread}
+                onQuote={setQuoting}
+              />
             ))}
             <div ref={chatEndRef}></div>
           </div>
 
+          {hasNewerMessages && (
+            <button onClick={loadLatestMessages} className="p-2 text-sm text-blue-600 bg-blue-50 border-t">
+              Viewing older messages — jump to latest ↓
+            </button>
+          )}
+
           {typingUsers.length > 0 && (
             <div className="p-2 text-sm text-gray-500 italic">
               {typingUsers.join(", ")} {typingUsers.length > 1 ? "are" : "is"} typing...
             </div>
           )}
 
+          {quoting && (
+            <div className="px-4 pt-2 text-sm text-gray-600 flex justify-between">
+              <span>
+                Quoting <strong>{quoting.sender}</strong>: {String(quoting.message).slice(0, 80)}
+              </span>
+              <button onClick={() => setQuoting(null)}>✕</button>
+            </div>
+          )}
+
           <div className="p-4 border-t border-gray-300 flex gap-2 items-center">
-            <input
+            <CommandInput
               value={message}
               onChange={handleTyping}
               placeholder={privateTo ? `Private message to ${privateTo.username}...` : `Message #${selectedRoom}`}
-              className="flex-1 border border-gray-400 p-2 rounded"
+              // Moderator commands are only offered where they would work
+              commands={commands.filter((c) => !c.moderator || (!privateTo && canModerate(selectedRoomInfo)))}
+              rooms={rooms}
+              users={users}
             />
+            <SendOptions options={sendOptions} onChange={setSendOptions} />
             <input type="file" ref={fileInputRef} className="hidden" onChange={handleFileChange} />
             <button
               onClick={() => fileInputRef.current.click()}
@@ -324,10 +467,20 @@ export default function App() {
               📎
             </button>
             <button onClick={handleSend} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
-              Send
+              {sendOptions.sendAt ? "Schedule" : "Send"}
             </button>
           </div>
         </section>
+
+        {thread && (
+          <ThreadPanel
+            thread={thread}
+            messageProps={messageProps}
+            onLoadOlder={loadOlderThreadMessages}
+            onSend={sendThreadReply}
+            onClose={closeThread}
+          />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,108 @@
+// src/components/CommandInput.jsx
+import { useState } from "react";
+
+const MAX_SUGGESTIONS = 8;
+
+// What to offer for the text typed so far: command names while the first word is being typed, then
+// rooms, users or command names for arguments of those types.
+// -> { usage?, items: [{ value, label, detail? }] }, or null when the text isn't a command
+const suggestionsFor = (text, { commands, rooms, users }) => {
+  if (!text.startsWith("/") || text.startsWith("//")) return null;
+  const [typedName, ...words] = text.slice(1).split(" ");
+  const name = typedName.toLowerCase();
+
+  if (words.length === 0) {
+    return {
+      items: commands
+        .filter((c) => c.name.startsWith(name))
+        .map((c) => ({ value: `/${c.name} `, label: c.usage, detail: c.description })),
+    };
+  }
+
+  const command = commands.find((c) => c.name === name);
+  if (!command) return null;
+
+  // The word being typed is the last one, unless a text argument before it has taken the rest of the line
+  const index = words.length - 1;
+  const textAt = command.args.findIndex((a) => a.type === "text");
+  const arg = textAt !== -1 && index >= textAt ? command.args[textAt] : command.args[index];
+  const partial = words[index];
+  const before = text.slice(0, text.length - partial.length);
+  const matches = (candidate, typed) => candidate.toLowerCase().startsWith(typed.toLowerCase());
+
+  let items = [];
+  if (arg?.type === "room") {
+    items = rooms
+      .filter((r) => matches(r.name, partial.replace(/^#/, "")))
+      .map((r) => ({ value: `${before}#${r.name} `, label: `#${r.name}`, detail: r.topic }));
+  } else if (arg?.type === "user") {
+    items = users
+      .filter((u) => matches(u.username, partial.replace(/^@/, "")))
+      .map((u) => ({ value: `${before}${u.username} `, label: u.username }));
+  } else if (arg?.type === "command") {
+    items = commands
+      .filter((c) => matches(c.name, partial.replace(/^\//, "")))
+      .map((c) => ({ value: `${before}${c.name}`, label: `/${c.name}`, detail: c.description }));
+  }
+  return { usage: command.usage, items };
+};
+
+// The message box, suggesting slash commands and their arguments as they are typed.
+// Tab or Enter takes the highlighted suggestion, the arrow keys move through them, Escape hides them.
+export default function CommandInput({ value, onChange, placeholder, commands, rooms, users }) {
+  const [highlight, setHighlight] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+
+  const suggestions = dismissed ? null : suggestionsFor(value, { commands, rooms, users });
+  const items = suggestions ? suggestions.items.slice(0, MAX_SUGGESTIONS) : [];
+  const selected = Math.min(highlight, items.length - 1);
+
+  const change = (text) => {
+    setHighlight(0);
+    setDismissed(false);
+    onChange(text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions) return;
+    if (e.key === "Escape") {
+      setDismissed(true);
+    } else if (items.length > 0 && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlight((selected + step + items.length) % items.length);
+    } else if (items.length > 0 && (e.key === "Tab" || e.key === "Enter")) {
+      e.preventDefault();
+      change(items[selected].value);
+    }
+  };
+
+  return (
+    <div className="flex-1 relative">
+      {suggestions && (suggestions.usage || items.length > 0) && (
+        <div className="absolute bottom-full mb-1 w-full bg-white border border-gray-300 rounded shadow text-sm">
+          {suggestions.usage && <p className="px-2 py-1 text-gray-500">{suggestions.usage}</p>}
+          {items.map((item, i) => (
+            <button
+              key={item.value}
+              // Keep focus in the input
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => change(item.value)}
+              className={`block w-full text-left px-2 py-1 ${i === selected ? "bg-blue-100" : ""}`}
+            >
+              {item.label}
+              {item.detail && <span className="text-gray-500"> — {item.detail}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      <input
+        value={value}
+        onChange={(e) => change(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className="w-full border border-gray-400 p-2 rounded"
+      />
+    </div>
+  );
+}
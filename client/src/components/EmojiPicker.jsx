@@ -0,0 +1,56 @@
+// src/components/EmojiPicker.jsx
+import { useState } from "react";
+
+const COMMON_EMOJI = [
+  "👍", "👎", "❤️", "😂", "🔥", "🎉", "😮", "😢", "😡", "🙏",
+  "👏", "🙌", "👀", "✅", "❌", "💯", "🚀", "🤔", "😅", "😍",
+  "🥳", "😎", "🤯", "😴", "🤝", "💡", "⭐", "☕", "🐛", "📌",
+];
+
+// Toggle button that opens a grid of common emoji plus a field for pasting any other one
+export default function EmojiPicker({ onPick }) {
+  const [open, setOpen] = useState(false);
+  const [custom, setCustom] = useState("");
+
+  const pick = (emoji) => {
+    onPick(emoji);
+    setOpen(false);
+    setCustom("");
+  };
+
+  return (
+    <span className="relative">
+      <button onClick={() => setOpen(!open)} title="Add reaction" className="text-gray-500">
+        😊+
+      </button>
+      {open && (
+        <div className="absolute z-10 bottom-6 left-0 bg-white border rounded shadow p-2 w-64">
+          <div className="grid grid-cols-10 gap-1">
+            {COMMON_EMOJI.map((emoji) => (
+              <button key={emoji} onClick={() => pick(emoji)} className="hover:bg-gray-200 rounded">
+                {emoji}
+              </button>
+            ))}
+          </div>
+          <form
+            className="flex gap-1 mt-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (custom.trim()) pick(custom.trim());
+            }}
+          >
+            <input
+              value={custom}
+              onChange={(e) => setCustom(e.target.value)}
+              placeholder="Any emoji…"
+              className="flex-1 border border-gray-400 px-1 rounded text-sm"
+            />
+            <button type="submit" className="text-sm text-blue-600">
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </span>
+  );
+}
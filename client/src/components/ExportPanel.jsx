@@ -0,0 +1,100 @@
+// src/components/ExportPanel.jsx
+import { useState } from "react";
+import { exportUrl } from "../socket/socket";
+
+// Download the open room or DM as JSON, a text transcript or HTML; server admins can also
+// load a JSON export back in
+export default function ExportPanel({ conversation, isAdmin, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("json");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [bundle, setBundle] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+
+  // Date pickers cover whole days in local time, like the search filters
+  const dayBoundary = (day, time) => (day ? new Date(`${day}T${time}`).toISOString() : undefined);
+  // Text transcripts can only link attachments
+  const attachments = bundle && format !== "text" ? "bundle" : "link";
+
+  // Export links are signed when asked for, since they only work for a short while
+  const handleDownload = async () => {
+    setError("");
+    try {
+      window.location.assign(
+        await exportUrl({
+          ...conversation,
+          format,
+          attachments,
+          from: dayBoundary(from, "00:00:00"),
+          to: dayBoundary(to, "23:59:59.999"),
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setStatus("");
+    setError("");
+    try {
+      const result = await onImport(JSON.parse(await file.text()));
+      setStatus(
+        `Imported ${result.imported} messages into ${result.conversation} (${result.skipped} already there, ` +
+          `${result.rejected} rejected, ${result.missingFiles} files missing)`
+      );
+    } catch (err) {
+      setError(err instanceof SyntaxError ? "That file is not a JSON export" : err.message);
+    }
+  };
+
+  return (
+    <div className="px-2 text-sm">
+      <button onClick={() => setOpen(!open)} className="text-blue-600">
+        ⬇ {open ? "Hide export" : "Export"}
+      </button>
+
+      {open && (
+        <div className="mt-1 p-2 border border-gray-300 rounded flex flex-wrap items-center gap-2">
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="border rounded">
+            <option value="json">JSON archive</option>
+            <option value="text">Text transcript</option>
+            <option value="html">HTML page</option>
+          </select>
+          <label>
+            From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="border rounded" />
+          </label>
+          <label>
+            To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="border rounded" />
+          </label>
+          <label className={format === "text" ? "text-gray-400" : ""}>
+            <input
+              type="checkbox"
+              checked={bundle && format !== "text"}
+              disabled={format === "text"}
+              onChange={(e) => setBundle(e.target.checked)}
+            />{" "}
+            Include attachments
+          </label>
+          <button onClick={handleDownload} className="bg-blue-600 text-white px-2 py-1 rounded">
+            Download
+          </button>
+
+          {isAdmin && (
+            <label className="ml-auto text-blue-600 cursor-pointer">
+              Import archive…
+              <input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+            </label>
+          )}
+          {status && <p className="w-full text-xs text-green-700">{status}</p>}
+          {error && <p className="w-full text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// src/components/IntegrationsPanel.jsx
+import { useState } from "react";
+
+// Bots we own, which tools post through with their token, and, for the room's owner, webhooks that
+// send matching messages out. Tokens are only shown right after they are issued.
+export default function IntegrationsPanel({ room, isOwner, actions }) {
+  const [open, setOpen] = useState(false);
+  const [webhooks, setWebhooks] = useState([]);
+  const [failures, setFailures] = useState(null); // { webhookId, list } of the webhook being inspected
+  const [url, setUrl] = useState("");
+  const [pattern, setPattern] = useState("");
+  const [bots, setBots] = useState([]);
+  const [botName, setBotName] = useState("");
+  const [issued, setIssued] = useState(null); // { bot, token } just created or rotated
+  const [error, setError] = useState("");
+
+  const run = (action) => {
+    setError("");
+    return action().catch((err) => setError(err.message));
+  };
+
+  const refresh = () =>
+    run(async () => {
+      setBots(await actions.listBots());
+      setWebhooks(room && isOwner ? await actions.listWebhooks(room.name) : []);
+    });
+
+  const toggle = () => {
+    setOpen(!open);
+    setIssued(null);
+    setFailures(null);
+    if (!open) refresh();
+  };
+
+  const addWebhook = () =>
+    run(async () => {
+      await actions.createWebhook(room.name, { url, pattern: pattern || undefined });
+      setUrl("");
+      setPattern("");
+      setWebhooks(await actions.listWebhooks(room.name));
+    });
+
+  const removeWebhook = (id) =>
+    run(async () => {
+      await actions.removeWebhook(room.name, id);
+      if (failures?.webhookId === id) setFailures(null);
+      setWebhooks(await actions.listWebhooks(room.name));
+    });
+
+  const showFailures = (webhookId) =>
+    run(async () => setFailures({ webhookId, list: await actions.loadWebhookFailures(room.name, webhookId) }));
+
+  const addBot = () =>
+    run(async () => {
+      setIssued(await actions.createBot(botName));
+      setBotName("");
+      setBots(await actions.listBots());
+    });
+
+  const rotate = (id) => run(async () => setIssued(await actions.rotateBotToken(id)));
+
+  const removeBot = (bot) => {
+    if (!window.confirm(`Remove ${bot.username}? Its token stops working.`)) return;
+    run(async () => {
+      await actions.removeBot(bot.id);
+      if (issued?.bot.id === bot.id) setIssued(null);
+      setBots(await actions.listBots());
+    });
+  };
+
+  return (
+    <div className="px-2 text-sm">
+      <button onClick={toggle} className="text-blue-600">
+        🔌 {open ? "Hide integrations" : "Integrations"}
+      </button>
+
+      {open && (
+        <div className="mt-1 p-2 border border-gray-300 rounded space-y-2">
+          {room && isOwner && (
+            <div>
+              <p className="font-semibold">Webhooks for #{room.name}</p>
+              {webhooks.length === 0 && <p className="text-xs text-gray-500">No webhooks yet</p>}
+              {webhooks.map((w) => (
+                <div key={w.id} className="text-xs border-t py-1">
+                  <div className="flex justify-between gap-2">
+                    <span className="truncate">
+                      {w.url} {w.pattern ? `· matching “${w.pattern}”` : "· every message"}
+                    </span>
+                    <span className="whitespace-nowrap">
+                      <button onClick={() => showFailures(w.id)} className="text-blue-600">
+                        Failures
+                      </button>{" "}
+                      <button onClick={() => removeWebhook(w.id)} className="text-red-600">
+                        Remove
+                      </button>
+                    </span>
+                  </div>
+                  <p className="text-gray-500">
+                    Signing secret: <code className="select-all">{w.secret}</code>
+                  </p>
+                  {failures?.webhookId === w.id && (
+                    <div className="max-h-32 overflow-y-auto text-gray-600">
+                      {failures.list.length === 0 && <p>No failed deliveries</p>}
+                      {[...failures.list].reverse().map((f) => (
+                        <p key={f.id}>
+                          [{new Date(f.at).toLocaleString()}] {f.error} ({f.attempts} attempts)
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+              <div className="flex gap-2 mt-1">
+                <input
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com/hook"
+                  className="flex-1 border border-gray-400 p-1 rounded"
+                />
+                <input
+                  value={pattern}
+                  onChange={(e) => setPattern(e.target.value)}
+                  placeholder="pattern, * = anything"
+                  className="w-40 border border-gray-400 p-1 rounded"
+                />
+                <button onClick={addWebhook} disabled={!url} className="bg-gray-200 px-2 rounded">
+                  Add
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <p className="font-semibold">Your bots</p>
+            {bots.length === 0 && <p className="text-xs text-gray-500">No bots yet</p>}
+            {bots.map((b) => (
+              <div key={b.id} className="text-xs border-t py-1 flex justify-between">
+                <span>🤖 {b.username}</span>
+                <span>
+                  <button onClick={() => rotate(b.id)} className="text-blue-600">
+                    New token
+                  </button>{" "}
+                  <button onClick={() => removeBot(b)} className="text-red-600">
+                    Remove
+                  </button>
+                </span>
+              </div>
+            ))}
+            {issued && (
+              <p className="text-xs bg-yellow-50 p-1 rounded">
+                Token for {issued.bot.username} (shown once):{" "}
+                <code className="select-all break-all">{issued.token}</code>
+              </p>
+            )}
+            <div className="flex gap-2 mt-1">
+              <input
+                value={botName}
+                onChange={(e) => setBotName(e.target.value)}
+                placeholder="bot username"
+                className="flex-1 border border-gray-400 p-1 rounded"
+              />
+              <button onClick={addBot} disabled={!botName} className="bg-gray-200 px-2 rounded">
+                Create bot
+              </button>
+            </div>
+          </div>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+// src/components/LoginScreen.jsx
+import { useState } from "react";
+
+export default function LoginScreen({ onLogin, onRegister }) {
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+
+    setSubmitting(true);
+    setError("");
+    try {
+      await (isRegister ? onRegister : onLogin)(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center gap-4 bg-gray-100">
+      <h1 className="text-3xl font-bold text-gray-800">{isRegister ? "Create an account" : "Log in to chat"}</h1>
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3 w-64">
+        <input
+          className="border border-gray-400 p-2 rounded"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <input
+          type="password"
+          className="border border-gray-400 p-2 rounded"
+          placeholder="Password"
+          autoComplete={isRegister ? "new-password" : "current-password"}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isRegister ? "Register" : "Log in"}
+        </button>
+      </form>
+      <button
+        onClick={() => {
+          setMode(isRegister ? "login" : "register");
+          setError("");
+        }}
+        className="text-sm text-blue-600 underline"
+      >
+        {isRegister ? "Already have an account? Log in" : "New here? Create an account"}
+      </button>
+    </div>
+  );
+}
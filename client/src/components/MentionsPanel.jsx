@@ -0,0 +1,68 @@
+// src/components/MentionsPanel.jsx
+import { useState } from "react";
+
+// Inbox of messages that mention us, anywhere we can read; picking one jumps to it
+export default function MentionsPanel({ unseen, onLoad, onSeen, onJump }) {
+  const [open, setOpen] = useState(false);
+  const [page, setPage] = useState(null); // { messages, hasMore }, newest last
+  const [error, setError] = useState("");
+
+  const refresh = () =>
+    onLoad()
+      .then(setPage)
+      .catch((err) => setError(err.message));
+
+  const toggle = () => {
+    setOpen(!open);
+    setError("");
+    if (!open) {
+      onSeen();
+      refresh();
+    }
+  };
+
+  const loadOlder = () =>
+    onLoad(page.messages[0]?.id)
+      .then((older) => setPage({ messages: [...older.messages, ...page.messages], hasMore: older.hasMore }))
+      .catch((err) => setError(err.message));
+
+  const handleJump = (messageId) => {
+    setError("");
+    onJump(messageId).catch((err) => setError(err.message));
+  };
+
+  return (
+    <div className="px-2 text-sm">
+      <button onClick={toggle} className="text-blue-600">
+        @ {open ? "Hide mentions" : "Mentions"}
+        {unseen > 0 && <span className="ml-1 bg-red-500 text-white px-2 rounded-full">{unseen}</span>}
+      </button>
+
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+
+      {open && page && (
+        <div className="mt-1 max-h-64 overflow-y-auto border border-gray-300 rounded">
+          {page.hasMore && (
+            <button onClick={loadOlder} className="p-2 text-blue-600">
+              Load older mentions
+            </button>
+          )}
+          {page.messages.length === 0 && <p className="p-2 text-gray-500">Nobody has mentioned you yet</p>}
+          {[...page.messages].reverse().map((m) => (
+            <button
+              key={m.id}
+              onClick={() => handleJump(m.id)}
+              className="block w-full text-left p-2 border-t border-gray-200 hover:bg-gray-100"
+            >
+              <span className="text-xs text-gray-500">
+                {m.isPrivate ? `DM from ${m.sender}` : `${m.sender} in #${m.room}`} ·{" "}
+                {new Date(m.timestamp).toLocaleString()}
+              </span>
+              <p>{m.message}</p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+// src/components/MessageBody.jsx
+import { useMemo } from "react";
+import { renderMarkdown } from "../markdown";
+
+// A message's text as sanitized Markdown with its @mentions marked (see markdown.js).
+// `inline` keeps it to one line of inline formatting, for /me actions.
+export default function MessageBody({ text, mentions, currentUserId, inline = false }) {
+  const html = useMemo(
+    () => renderMarkdown(text, { mentions, currentUserId, inline }),
+    [text, mentions, currentUserId, inline]
+  );
+  const Tag = inline ? "span" : "div";
+  return <Tag className="message-body" dangerouslySetInnerHTML={{ __html: html }} />;
+}
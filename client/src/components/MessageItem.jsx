@@ -0,0 +1,220 @@
+// src/components/MessageItem.jsx
+import { useState } from "react";
+import { useDownloadUrl } from "../socket/socket";
+import EmojiPicker from "./EmojiPicker";
+import MessageBody from "./MessageBody";
+
+const formatSize = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+export default function MessageItem({
+  m,
+  currentUserId,
+  highlighted,
+  canEdit,
+  canDelete,
+  readers, // usernames whose newest read message is this one
+  onReact,
+  onEdit,
+  onDelete,
+  onReply, // omitted inside a thread, where replies can't be nested
+  onQuote,
+  onRetry, // resends a message whose send failed
+}) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const fileHref = useDownloadUrl(m.file?.url);
+  const thumbnailSrc = useDownloadUrl(m.file?.thumbnailUrl);
+
+  if (m.system) {
+    return (
+      <div className={`p-2 rounded italic whitespace-pre-line ${m.error ? "text-red-600" : "text-gray-500"}`}>
+        <em>{m.message}</em>
+      </div>
+    );
+  }
+
+  const startEditing = () => {
+    setDraft(m.message);
+    setError("");
+    setEditing(true);
+  };
+
+  const saveEdit = async () => {
+    try {
+      await onEdit(m.id, draft);
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm("Delete this message?")) onDelete(m.id).catch((err) => setError(err.message));
+  };
+
+  return (
+    <div
+      className={`p-2 rounded border ${m.mentions?.userIds.includes(currentUserId) ? "bg-yellow-50" : "bg-gray-50"} ${
+        highlighted ? "animate-pulse border-blue-500" : ""
+      }`}
+      data-message-id={m.id}
+    >
+      <p>
+        <strong>{m.sender}</strong>{" "}
+        {m.isBot && <span className="text-xs bg-gray-200 text-gray-600 px-1 mr-1 rounded">BOT</span>}
+        <span className="text-xs text-gray-400">[{new Date(m.timestamp).toLocaleTimeString()}]</span>
+        {m.editedAt && !m.deleted && (
+          <span className="text-xs text-gray-400" title={`Edited ${new Date(m.editedAt).toLocaleString()}`}>
+            {" "}
+            (edited)
+          </span>
+        )}
+        {!m.deleted && (m.expiresAt || m.expireAfterRead) && (
+          <span
+            className="text-xs text-gray-400"
+            title={m.expiresAt ? `Disappears ${new Date(m.expiresAt).toLocaleString()}` : "Disappears once read"}
+          >
+            {" "}
+            ⏳
+          </span>
+        )}
+      </p>
+
+      {m.deleted ? (
+        <p className="text-gray-400 italic">{m.expired ? "This message disappeared" : "This message was deleted"}</p>
+      ) : editing ? (
+        <div className="flex gap-2" onClick={(e) => e.stopPropagation()}>
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveEdit();
+              if (e.key === "Escape") setEditing(false);
+            }}
+            className="flex-1 border border-gray-400 p-1 rounded"
+            autoFocus
+          />
+          <button onClick={saveEdit} className="text-sm text-blue-600">
+            Save
+          </button>
+          <button onClick={() => setEditing(false)} className="text-sm text-gray-500">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <>
+          {m.quote && (
+            <blockquote className="border-l-4 border-gray-300 pl-2 my-1 text-sm text-gray-600">
+              <strong>{m.quote.sender}</strong>: {m.quote.message || (m.quote.fileName && `📎 ${m.quote.fileName}`)}
+            </blockquote>
+          )}
+          {m.message &&
+            (m.isAction ? (
+              <p className="italic">
+                * {m.sender} <MessageBody text={m.message} mentions={m.mentions} currentUserId={currentUserId} inline />
+              </p>
+            ) : (
+              <MessageBody text={m.message} mentions={m.mentions} currentUserId={currentUserId} />
+            ))}
+          {/* Filled in by the server shortly after sending, for the first few links */}
+          {m.previews?.map((p) => (
+            <a key={p.url} href={p.url} target="_blank" rel="noopener noreferrer" className="link-preview">
+              {p.image && <img src={p.image} alt="" loading="lazy" referrerPolicy="no-referrer" />}
+              <span>
+                {p.siteName && <small>{p.siteName}</small>}
+                <strong>{p.title || p.url}</strong>
+                {p.description && <span>{p.description}</span>}
+              </span>
+            </a>
+          ))}
+          {m.file?.thumbnailUrl && thumbnailSrc && (
+            <a href={fileHref} target="_blank" rel="noreferrer" className="block mt-1">
+              <img
+                src={thumbnailSrc}
+                alt={m.file.name}
+                loading="lazy"
+                className="max-h-48 rounded border"
+              />
+            </a>
+          )}
+          {m.file && (
+            <a href={fileHref} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+              📎 {m.file.name} <span className="text-xs text-gray-400">({formatSize(m.file.size)})</span>
+            </a>
+          )}
+          {/* Messages stored before uploads moved to /api/files carry the data URL inline */}
+          {!m.file && m.fileData && (
+            <a href={m.fileData} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+              📎 {m.fileName}
+            </a>
+          )}
+          {m.reactions?.length > 0 && (
+            <div className="mt-1 flex flex-wrap gap-1 text-sm">
+              {m.reactions.map((r) => {
+                // Messages stored before reactions were aggregated hold { userId, reaction } entries
+                const emoji = r.emoji ?? r.reaction;
+                const mine = r.users?.some((u) => u.id === currentUserId) ?? r.userId === currentUserId;
+                return (
+                  <button
+                    key={emoji}
+                    onClick={() => onReact(m.id, emoji)}
+                    title={r.users?.map((u) => u.username || "someone").join(", ")}
+                    className={`px-1 rounded border ${mine ? "bg-blue-100 border-blue-400" : "bg-white"}`}
+                  >
+                    {emoji} {r.count ?? 1}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          {/* Our own messages the server hasn't acknowledged yet have nothing to act on */}
+          {m.status === "pending" && <p className="text-xs text-gray-400">Sending…</p>}
+          {m.status === "failed" && (
+            <p className="text-xs text-red-600">
+              Failed to send{m.error && `: ${m.error}`} —{" "}
+              <button onClick={() => onRetry(m.clientId)} className="underline">
+                Retry
+              </button>
+            </p>
+          )}
+          {!m.status && (
+            <div className="flex gap-2 text-sm mt-1">
+              <EmojiPicker onPick={(emoji) => onReact(m.id, emoji)} />
+              {onReply && (
+                <button onClick={() => onReply(m.id)} className="text-xs text-gray-500 ml-2">
+                  Reply
+                </button>
+              )}
+              {onQuote && (
+                <button onClick={() => onQuote(m)} className="text-xs text-gray-500">
+                  Quote
+                </button>
+              )}
+              {canEdit && (
+                <button onClick={startEditing} className="text-xs text-gray-500">
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button onClick={handleDelete} className="text-xs text-gray-500">
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {onReply && m.replyCount > 0 && (
+        <button onClick={() => onReply(m.id)} className="text-xs text-blue-600 underline">
+          💬 {m.replyCount} {m.replyCount === 1 ? "reply" : "replies"}
+        </button>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {readers?.length > 0 && <p className="text-xs text-gray-400">Seen by {readers.join(", ")}</p>}
+      {m.room && <div className="text-xs text-gray-400 ml-2">in {m.room}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+// src/components/ModerationPanel.jsx
+import { useState } from "react";
+import { roleIn } from "../socket/socket";
+
+const MUTE_OPTIONS = [
+  [5, "5 minutes"],
+  [60, "1 hour"],
+  [24 * 60, "1 day"],
+];
+
+const ACTION_LABELS = {
+  set_role: "changed the role of",
+  kick: "kicked",
+  ban: "banned",
+  unban: "unbanned",
+  mute: "muted",
+  unmute: "unmuted",
+  delete_message: "deleted a message by",
+};
+
+const RETENTION_FIELDS = [
+  ["maxMessages", "Keep at most", "messages"],
+  ["maxAgeDays", "Delete after", "days"],
+  ["maxAttachmentMB", "Keep attachments up to", "MB"],
+];
+
+// Owners only: the room's retention limits; empty fields fall back to the server's defaults
+function RetentionSettings({ room, onSave }) {
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(RETENTION_FIELDS.map(([field]) => [field, room.retention?.[field] ?? ""]))
+  );
+
+  const save = () =>
+    onSave(
+      Object.fromEntries(Object.entries(draft).map(([field, value]) => [field, value === "" ? null : Number(value)]))
+    );
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center border-t pt-2">
+      <span className="font-semibold">Retention:</span>
+      {RETENTION_FIELDS.map(([field, label, unit]) => (
+        <label key={field}>
+          {label}{" "}
+          <input
+            type="number"
+            min="1"
+            placeholder="default"
+            value={draft[field]}
+            onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+            className="w-20 border border-gray-400 p-1 rounded"
+          />{" "}
+          {unit}
+        </label>
+      ))}
+      <button onClick={save} className="bg-gray-200 px-2 rounded">
+        Save
+      </button>
+    </div>
+  );
+}
+
+// Shown to a room's owner and moderators: act on a user, lift bans and mutes, read the audit log;
+// owners also set how long history is kept
+export default function ModerationPanel({ room, users, currentUser, isAdmin, actions }) {
+  const [open, setOpen] = useState(false);
+  const [targetId, setTargetId] = useState("");
+  const [reason, setReason] = useState("");
+  const [minutes, setMinutes] = useState(MUTE_OPTIONS[0][0]);
+  const [log, setLog] = useState(null); // { entries, hasMore }, newest last
+  const [error, setError] = useState("");
+
+  const myRole = roleIn(room, currentUser.id, isAdmin);
+  const nameOf = (id) => users.find((u) => u.id === id)?.username || "someone";
+  const now = new Date().toISOString();
+  const mutes = (room.mutes || []).filter((m) => m.until > now);
+  const targets = users.filter((u) => u.id !== currentUser.id);
+  const target = targets.find((u) => u.id === targetId);
+
+  const refreshLog = async () => setLog(await actions.onLoadLog(room.name));
+
+  // Surface server-side errors in the panel; the log refreshes after every action
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      setReason("");
+      await refreshLog();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadOlder = () =>
+    actions
+      .onLoadLog(room.name, log.entries[0]?.id)
+      .then((older) => setLog({ entries: [...older.entries, ...log.entries], hasMore: older.hasMore }))
+      .catch((err) => setError(err.message));
+
+  const toggle = () => {
+    setOpen(!open);
+    if (!open) refreshLog().catch((err) => setError(err.message));
+  };
+
+  const reasonOrUndefined = reason.trim() || undefined;
+
+  return (
+    <div className="px-4 text-sm">
+      <button onClick={toggle} className="text-blue-600">
+        🛡 {open ? "Hide moderation" : "Moderate"}
+      </button>
+
+      {open && (
+        <div className="border border-gray-300 rounded p-2 mt-1 space-y-2">
+          <div className="flex flex-wrap gap-2 items-center">
+            <select
+              value={targetId}
+              onChange={(e) => setTargetId(e.target.value)}
+              className="border border-gray-400 p-1 rounded"
+            >
+              <option value="">Choose a user…</option>
+              {targets.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.username} ({roleIn(room, u.id)})
+                </option>
+              ))}
+            </select>
+            <input
+              placeholder="Reason (optional)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={200}
+              className="border border-gray-400 p-1 rounded"
+            />
+          </div>
+
+          {target && (
+            <div className="flex flex-wrap gap-2 items-center">
+              <button
+                onClick={() => run(() => actions.onKick(room.name, target.id, reasonOrUndefined))}
+                className="bg-gray-200 px-2 rounded"
+              >
+                Kick
+              </button>
+              <button
+                onClick={() => run(() => actions.onBan(room.name, target.id, reasonOrUndefined))}
+                className="bg-red-100 px-2 rounded"
+              >
+                Ban
+              </button>
+              <select
+                value={minutes}
+                onChange={(e) => setMinutes(Number(e.target.value))}
+                className="border border-gray-400 p-1 rounded"
+              >
+                {MUTE_OPTIONS.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => run(() => actions.onMute(room.name, target.id, minutes, reasonOrUndefined))}
+                className="bg-gray-200 px-2 rounded"
+              >
+                Mute
+              </button>
+              {myRole === "owner" && (
+                <button
+                  onClick={() =>
+                    run(() =>
+                      actions.onSetRole(
+                        room.name,
+                        target.id,
+                        roleIn(room, target.id) === "moderator" ? "member" : "moderator"
+                      )
+                    )
+                  }
+                  className="bg-gray-200 px-2 rounded"
+                >
+                  {roleIn(room, target.id) === "moderator" ? "Remove moderator" : "Make moderator"}
+                </button>
+              )}
+            </div>
+          )}
+
+          {(room.bans || []).length > 0 && (
+            <p>
+              Banned:{" "}
+              {room.bans.map((id) => (
+                <button key={id} onClick={() => run(() => actions.onUnban(room.name, id))} className="mr-2 underline">
+                  {nameOf(id)} ✕
+                </button>
+              ))}
+            </p>
+          )}
+          {mutes.length > 0 && (
+            <p>
+              Muted:{" "}
+              {mutes.map((m) => (
+                <button
+                  key={m.userId}
+                  onClick={() => run(() => actions.onUnmute(room.name, m.userId))}
+                  title={`Until ${new Date(m.until).toLocaleString()}`}
+                  className="mr-2 underline"
+                >
+                  {nameOf(m.userId)} ✕
+                </button>
+              ))}
+            </p>
+          )}
+
+          {myRole === "owner" && (
+            <RetentionSettings room={room} onSave={(policy) => run(() => actions.onSetRetention(room.name, policy))} />
+          )}
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {log && (
+            <div className="max-h-40 overflow-y-auto border-t pt-1 text-xs text-gray-600">
+              {log.hasMore && (
+                <button onClick={loadOlder} className="text-blue-600">
+                  Load older entries
+                </button>
+              )}
+              {log.entries.length === 0 && <p>No moderation actions yet</p>}
+              {log.entries.map((e) => (
+                <p key={e.id}>
+                  [{new Date(e.at).toLocaleString()}] {e.actor} {ACTION_LABELS[e.action] || e.action} {e.target}
+                  {e.role && ` → ${e.role}`}
+                  {e.until && ` until ${new Date(e.until).toLocaleString()}`}
+                  {e.reason && ` — ${e.reason}`}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
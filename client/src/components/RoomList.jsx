@@ -0,0 +1,141 @@
+// src/components/RoomList.jsx
+import { useState } from "react";
+
+export default function RoomList({
+  rooms,
+  selectedRoom,
+  unreadCounts,
+  currentUser,
+  users,
+  onSelect,
+  onCreate,
+  onDelete,
+  onInvite,
+}) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [topic, setTopic] = useState("");
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [inviteeId, setInviteeId] = useState("");
+  const [error, setError] = useState("");
+
+  const sortedRooms = [...rooms].sort((a, b) => a.name.localeCompare(b.name));
+  const current = rooms.find((r) => r.name === selectedRoom);
+  const invitees = current?.isPrivate ? users.filter((u) => !current.members.includes(u.id)) : [];
+
+  // Surface server-side validation errors next to the form
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(() => onCreate({ name, topic, isPrivate }));
+    if (created) {
+      onSelect(name.trim().toLowerCase());
+      setCreating(false);
+      setName("");
+      setTopic("");
+      setIsPrivate(false);
+    }
+  };
+
+  const handleDelete = (room) => {
+    if (window.confirm(`Delete #${room}? Its history is kept but nobody can join it.`)) {
+      run(() => onDelete(room));
+    }
+  };
+
+  const handleInvite = async () => {
+    if (inviteeId && (await run(() => onInvite(current.name, inviteeId)))) setInviteeId("");
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold">Rooms</h3>
+        <button onClick={() => setCreating(!creating)} className="text-sm text-blue-600" title="Create a room">
+          {creating ? "Cancel" : "+ New"}
+        </button>
+      </div>
+
+      {creating && (
+        <form onSubmit={handleCreate} className="flex flex-col gap-1 mb-2 text-sm">
+          <input
+            className="border border-gray-400 p-1 rounded"
+            placeholder="room-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <input
+            className="border border-gray-400 p-1 rounded"
+            placeholder="Topic (optional)"
+            value={topic}
+            onChange={(e) => setTopic(e.target.value)}
+          />
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={isPrivate} onChange={(e) => setIsPrivate(e.target.checked)} />
+            Invite-only
+          </label>
+          <button type="submit" className="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700">
+            Create
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-xs text-red-600 mb-1">{error}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        {sortedRooms.map((room) => (
+          <span key={room.name} className="flex items-center">
+            <button
+              onClick={() => onSelect(room.name)}
+              title={room.topic || undefined}
+              className={`px-3 py-1 rounded flex items-center gap-1 ${
+                selectedRoom === room.name ? "bg-blue-600 text-white" : "bg-gray-200 hover:bg-gray-300"
+              }`}
+            >
+              {room.isPrivate ? "🔒" : "#"}
+              {room.name}
+              {unreadCounts[room.name] > 0 && (
+                <span className="bg-red-500 text-white text-xs px-1 rounded">{unreadCounts[room.name]}</span>
+              )}
+            </button>
+            {room.ownerId === currentUser.id && (
+              <button onClick={() => handleDelete(room.name)} className="text-xs text-gray-500 ml-1" title="Delete room">
+                ✕
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+
+      {invitees.length > 0 && (
+        <div className="flex gap-1 mt-2 text-sm">
+          <select
+            value={inviteeId}
+            onChange={(e) => setInviteeId(e.target.value)}
+            className="flex-1 border border-gray-400 rounded"
+          >
+            <option value="">Invite to 🔒{current.name}…</option>
+            {invitees.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.username}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleInvite} className="bg-gray-200 px-2 rounded hover:bg-gray-300">
+            Invite
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
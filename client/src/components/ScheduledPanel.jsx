@@ -0,0 +1,46 @@
+// src/components/ScheduledPanel.jsx
+import { useState } from "react";
+
+// Our messages waiting to be sent, anywhere; each can be cancelled until it goes out
+export default function ScheduledPanel({ scheduled, onCancel }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleCancel = (id) => {
+    setError("");
+    onCancel(id).catch((err) => setError(err.message));
+  };
+
+  if (scheduled.length === 0) return null;
+
+  return (
+    <div className="px-2 text-sm">
+      <button onClick={() => setOpen(!open)} className="text-blue-600">
+        🕒 {open ? "Hide scheduled" : "Scheduled"}
+        <span className="ml-1 bg-gray-300 px-2 rounded-full">{scheduled.length}</span>
+      </button>
+
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+
+      {open && (
+        <div className="mt-1 max-h-64 overflow-y-auto border border-gray-300 rounded">
+          {scheduled.map((entry) => (
+            <div key={entry.id} className="p-2 border-t border-gray-200 flex justify-between gap-2">
+              <div>
+                <span className="text-xs text-gray-500">
+                  {entry.room ? `#${entry.room}` : `DM to ${entry.toUsername}`} ·{" "}
+                  {new Date(entry.sendAt).toLocaleString()}
+                  {(entry.expiresInMinutes || entry.expireAfterRead) && " · ⏳ disappears"}
+                </span>
+                <p className="truncate">{entry.message}</p>
+              </div>
+              <button onClick={() => handleCancel(entry.id)} className="text-red-600 text-xs">
+                Cancel
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+// src/components/SearchPanel.jsx
+import { useState } from "react";
+
+// Snippet text with the server's [start, end) match ranges wrapped in <mark>
+const Highlighted = ({ text, highlights }) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <span>{parts}</span>;
+};
+
+const EMPTY_FILTERS = { sender: "", room: "", from: "", to: "", hasFile: false };
+
+export default function SearchPanel({ rooms, onSearch, onJump }) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null); // { results, total, nextOffset } for the last search
+  const [error, setError] = useState("");
+
+  const setFilter = (name, value) => setFilters((prev) => ({ ...prev, [name]: value }));
+
+  // Date pickers cover whole days in local time; empty filters are left out
+  const dayBoundary = (day, time) => (day ? new Date(`${day}T${time}`).toISOString() : undefined);
+  const params = (offset) => ({
+    query,
+    sender: filters.sender || undefined,
+    room: filters.room || undefined,
+    from: dayBoundary(filters.from, "00:00:00"),
+    to: dayBoundary(filters.to, "23:59:59.999"),
+    hasFile: filters.hasFile || undefined,
+    offset,
+  });
+
+  const run = async (offset) => {
+    setError("");
+    try {
+      const page = await onSearch(params(offset));
+      setResults((prev) => (offset > 0 && prev ? { ...page, results: [...prev.results, ...page.results] } : page));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(0);
+  };
+
+  const clear = () => {
+    setQuery("");
+    setFilters(EMPTY_FILTERS);
+    setResults(null);
+    setError("");
+  };
+
+  const handleJump = (messageId) => {
+    setError("");
+    onJump(messageId).catch((err) => setError(err.message));
+  };
+
+  return (
+    <div className="p-2">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          placeholder="Search all messages..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 border border-gray-400 p-2 rounded"
+        />
+        <button type="button" onClick={() => setShowFilters(!showFilters)} className="text-sm text-blue-600">
+          Filters
+        </button>
+        <button type="submit" className="bg-gray-200 px-3 rounded hover:bg-gray-300">
+          Search
+        </button>
+        {results && (
+          <button type="button" onClick={clear} className="text-sm">
+            ✕
+          </button>
+        )}
+      </form>
+
+      {showFilters && (
+        <div className="flex flex-wrap gap-2 mt-2 text-sm items-center">
+          <input
+            placeholder="From user"
+            value={filters.sender}
+            onChange={(e) => setFilter("sender", e.target.value)}
+            className="border border-gray-400 p-1 rounded"
+          />
+          <select
+            value={filters.room}
+            onChange={(e) => setFilter("room", e.target.value)}
+            className="border border-gray-400 p-1 rounded"
+          >
+            <option value="">All rooms and DMs</option>
+            {rooms.map((r) => (
+              <option key={r.name} value={r.name}>
+                #{r.name}
+              </option>
+            ))}
+          </select>
+          <label>
+            After <input type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} />
+          </label>
+          <label>
+            Before <input type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} />
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={filters.hasFile}
+              onChange={(e) => setFilter("hasFile", e.target.checked)}
+            />{" "}
+            Has file
+          </label>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+
+      {results && (
+        <div className="mt-2 max-h-64 overflow-y-auto border border-gray-300 rounded text-sm">
+          <p className="p-2 text-gray-500">
+            {results.total} {results.total === 1 ? "result" : "results"}
+          </p>
+          {results.results.map(({ message: m, snippet }) => (
+            <button
+              key={m.id}
+              onClick={() => handleJump(m.id)}
+              className="block w-full text-left p-2 border-t border-gray-200 hover:bg-gray-100"
+            >
+              <span className="text-xs text-gray-500">
+                {m.isPrivate ? `DM ${m.sender} → ${m.receiver}` : `#${m.room}`}
+                {m.parentId !== null && m.parentId !== undefined && " (thread)"} · {m.sender} ·{" "}
+                {new Date(m.timestamp).toLocaleString()}
+              </span>
+              <br />
+              <Highlighted {...snippet} />
+            </button>
+          ))}
+          {results.nextOffset !== null && (
+            <button onClick={() => run(results.nextOffset)} className="w-full p-2 text-blue-600 border-t">
+              Load more results
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
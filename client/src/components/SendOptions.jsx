@@ -0,0 +1,64 @@
+// src/components/SendOptions.jsx
+import { useState } from "react";
+
+// How long an ephemeral message stays up; "read" means until someone else has read it
+const EXPIRY_CHOICES = [
+  { value: "", label: "Keep" },
+  { value: "5", label: "5 minutes" },
+  { value: "60", label: "1 hour" },
+  { value: "1440", label: "1 day" },
+  { value: "10080", label: "1 week" },
+  { value: "read", label: "Once read" },
+];
+
+// Composer controls for sending later and for messages that disappear. `options` is
+// { sendAt: "" | datetime-local value, expiry: "" | minutes | "read" }
+export default function SendOptions({ options, onChange }) {
+  const [open, setOpen] = useState(false);
+  const active = options.sendAt || options.expiry;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title="Send later or make the message disappear"
+        className={`px-3 py-2 rounded ${active ? "bg-blue-100" : "bg-gray-200 hover:bg-gray-300"}`}
+      >
+        ⏱
+      </button>
+
+      {open && (
+        <div className="absolute bottom-full right-0 mb-1 p-2 bg-white border border-gray-300 rounded shadow text-sm w-64">
+          <label className="block">
+            Send at
+            <input
+              type="datetime-local"
+              value={options.sendAt}
+              onChange={(e) => onChange({ ...options, sendAt: e.target.value })}
+              className="border rounded w-full"
+            />
+          </label>
+          <label className="block mt-2">
+            Disappear
+            <select
+              value={options.expiry}
+              onChange={(e) => onChange({ ...options, expiry: e.target.value })}
+              className="border rounded w-full"
+            >
+              {EXPIRY_CHOICES.map((c) => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {active && (
+            <button onClick={() => onChange({ sendAt: "", expiry: "" })} className="mt-2 text-xs text-blue-600">
+              Reset
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// src/components/StatusPicker.jsx
+import { useState } from "react";
+
+const STATUS_LABELS = { online: "🟢 Online", away: "🌙 Away", dnd: "⛔ Do not disturb" };
+
+export default function StatusPicker({ presence, onChange }) {
+  const [message, setMessage] = useState(null); // draft; null while not editing
+  const [error, setError] = useState("");
+
+  // Surface server-side validation errors next to the picker
+  const save = async (changes) => {
+    setError("");
+    try {
+      await onChange(changes);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  // The message is saved on Enter or when the field loses focus
+  const saveMessage = async () => {
+    if (message !== null && (await save({ message }))) setMessage(null);
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select
+        value={presence?.status || "online"}
+        onChange={(e) => save({ status: e.target.value })}
+        className="text-black rounded px-1"
+      >
+        {Object.entries(STATUS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          saveMessage();
+        }}
+      >
+        <input
+          value={message ?? presence?.statusMessage ?? ""}
+          onChange={(e) => setMessage(e.target.value)}
+          onBlur={saveMessage}
+          placeholder="Set a status message"
+          maxLength={100}
+          className="text-black rounded px-1"
+        />
+      </form>
+      {error && <span className="text-red-200">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// src/components/ThreadPanel.jsx
+import { useState } from "react";
+import MessageItem from "./MessageItem";
+
+export default function ThreadPanel({ thread, messageProps, onLoadOlder, onSend, onClose }) {
+  const [reply, setReply] = useState("");
+  const [quoting, setQuoting] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSend = () => {
+    if (!reply.trim()) return;
+    onSend(thread.parent.id, reply, { quoteId: quoting?.id });
+    setReply("");
+    setQuoting(null);
+  };
+
+  const handleLoadOlder = () => {
+    setLoading(true);
+    onLoadOlder().finally(() => setLoading(false));
+  };
+
+  return (
+    <aside className="w-1/3 border-l border-gray-300 flex flex-col">
+      <div className="p-2 border-b border-gray-300 flex justify-between items-center">
+        <h2 className="font-semibold">Thread</h2>
+        <button onClick={onClose} className="text-gray-500" title="Close thread">
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-2">
+        <MessageItem m={thread.parent} {...messageProps(thread.parent)} onQuote={setQuoting} />
+        {thread.hasMore && (
+          <button onClick={handleLoadOlder} disabled={loading} className="text-sm text-blue-600 underline">
+            {loading ? "Loading…" : "Load older replies"}
+          </button>
+        )}
+        {thread.messages.map((m) => (
+          <MessageItem key={m.id} m={m} {...messageProps(m)} onQuote={setQuoting} />
+        ))}
+      </div>
+
+      {quoting && (
+        <div className="px-2 text-xs text-gray-600 flex justify-between">
+          <span>
+            Quoting <strong>{quoting.sender}</strong>
+          </span>
+          <button onClick={() => setQuoting(null)}>✕</button>
+        </div>
+      )}
+      <div className="p-2 border-t border-gray-300 flex gap-2">
+        <input
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSend()}
+          placeholder="Reply in thread..."
+          className="flex-1 border border-gray-400 p-2 rounded"
+        />
+        <button onClick={handleSend} className="bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700">
+          Reply
+        </button>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,49 @@
+// src/components/UserList.jsx
+
+const PRESENCE_DOTS = {
+  online: "bg-green-500",
+  away: "bg-yellow-400",
+  dnd: "bg-red-500",
+  offline: "bg-gray-400",
+};
+const PRESENCE_ORDER = ["online", "away", "dnd", "offline"];
+
+export default function UserList({ users, privateTo, unreadCounts, onSelect }) {
+  // Connected people first, then by name
+  const sortedUsers = [...users].sort(
+    (a, b) =>
+      PRESENCE_ORDER.indexOf(a.presence) - PRESENCE_ORDER.indexOf(b.presence) ||
+      a.username.localeCompare(b.username)
+  );
+
+  return (
+    <ul className="flex-1 overflow-y-auto">
+      {sortedUsers.map((u) => (
+        <li
+          key={u.id}
+          onClick={() => onSelect(u)}
+          className={`flex items-center justify-between p-2 rounded cursor-pointer ${
+            privateTo?.id === u.id ? "bg-blue-200" : "hover:bg-gray-200"
+          } ${u.presence === "offline" ? "text-gray-500" : ""}`}
+        >
+          <span className="flex flex-col">
+            <span className="flex items-center gap-2">
+              <span className={`w-2 h-2 rounded-full ${PRESENCE_DOTS[u.presence] || PRESENCE_DOTS.offline}`}></span>
+              {u.username}
+            </span>
+            {u.statusMessage && <span className="text-xs text-gray-500 ml-4">{u.statusMessage}</span>}
+            {u.presence === "offline" && u.lastSeen && (
+              <span className="text-xs text-gray-400 ml-4">Last seen {new Date(u.lastSeen).toLocaleString()}</span>
+            )}
+          </span>
+          <span className="flex items-center gap-1">
+            {unreadCounts[u.id] > 0 && (
+              <span className="bg-red-500 text-white text-xs px-1 rounded">{unreadCounts[u.id]}</span>
+            )}
+            {privateTo?.id === u.id && <span>💬</span>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,87 @@
+// markdown.js - Message text to sanitized HTML: Markdown, highlighted code blocks, links and @mentions
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import css from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+import go from "highlight.js/lib/languages/go";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+import "highlight.js/styles/github.css";
+
+// The languages code blocks are highlighted in; others are auto-detected among these
+const LANGUAGES = { bash, css, diff, go, java, javascript, json, python, sql, typescript, xml, yaml };
+Object.entries(LANGUAGES).forEach(([name, language]) => hljs.registerLanguage(name, language));
+hljs.registerAliases(["js", "jsx"], { languageName: "javascript" });
+hljs.registerAliases(["ts", "tsx"], { languageName: "typescript" });
+hljs.registerAliases(["html", "svg"], { languageName: "xml" });
+hljs.registerAliases(["sh", "shell"], { languageName: "bash" });
+hljs.registerAliases(["py"], { languageName: "python" });
+hljs.registerAliases(["yml"], { languageName: "yaml" });
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Links open in a new tab without giving the page a handle on ours
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A") {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+// Chat-sized Markdown: HTML typed into a message shows as text, headings are just bold, and images
+// become links so nothing loads from elsewhere unless clicked
+const renderer = {
+  html: ({ text }) => escapeHtml(text),
+  heading({ tokens }) {
+    return `<p><strong>${this.parser.parseInline(tokens)}</strong></p>`;
+  },
+  image: ({ href, text }) => `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`,
+  code: ({ text, lang }) => {
+    const language = lang && hljs.getLanguage(lang) ? lang : null;
+    const highlighted = language
+      ? hljs.highlight(text, { language }).value
+      : hljs.highlightAuto(text, Object.keys(LANGUAGES)).value;
+    return `<pre><code class="hljs">${highlighted}</code></pre>`;
+  },
+};
+
+// @names the server resolved (message.mentions), so only real mentions are marked;
+// mentions that include `currentUserId` get the "mine" style
+const mentionExtension = (mentions, currentUserId) => {
+  const mine = mentions.userIds.includes(currentUserId);
+  const named = new Map(mentions.users.map((u) => [u.username.toLowerCase(), u.id === currentUserId]));
+  if (mentions.here) named.set("here", mine);
+  if (mentions.room) named.set("room", mine);
+
+  return {
+    name: "mention",
+    level: "inline",
+    start: (src) => src.indexOf("@"),
+    tokenizer: (src) => {
+      const match = /^@([A-Za-z0-9_.-]+)/.exec(src);
+      if (!match) return undefined;
+      // Trailing punctuation ("thanks @sam.") isn't part of the name unless a user has it
+      const name = [match[1], match[1].replace(/[.-]+$/, "")].find((n) => named.has(n.toLowerCase()));
+      if (!name) return undefined;
+      return { type: "mention", raw: `@${name}`, name, mine: named.get(name.toLowerCase()) };
+    },
+    renderer: ({ name, mine }) => `<span class="mention${mine ? " mention-mine" : ""}">@${escapeHtml(name)}</span>`,
+  };
+};
+
+// `inline` renders a single line without block elements (for /me actions)
+export const renderMarkdown = (text, { mentions, currentUserId, inline = false } = {}) => {
+  const marked = new Marked({ gfm: true, breaks: true, renderer });
+  if (mentions) marked.use({ extensions: [mentionExtension(mentions, currentUserId)] });
+  const html = inline ? marked.parseInline(text) : marked.parse(text);
+  return DOMPurify.sanitize(html);
+};
@@ -1,9 +1,21 @@
 // socket.js - Enhanced Socket.io client setup with Task 5 infinite scroll support
 import { io } from "socket.io-client";
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5000";
 
+const AUTH_KEY = "chat_auth";
+const OUTBOX_KEY = "chat_outbox";
+
+// How long a send waits for the server's ack before it counts as failed (while still connected)
+const SEND_TIMEOUT_MS = 10000;
+
+// While typing, re-announce at most this often; the server expires indicators that aren't refreshed
+const TYPING_REFRESH_MS = 2000;
+
+// A tab with no keyboard or pointer activity for this long reports itself idle (the user shows as away)
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+
 export const socket = io(SOCKET_URL, {
   autoConnect: false,
   reconnection: true,
@@ -11,14 +23,193 @@ export const socket = io(SOCKET_URL, {
   reconnectionDelay: 1000,
 });
 
+// Login saved after register/login: { token, user: { id, username } }
+const loadAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Sends not yet acknowledged by the server, kept across refreshes: [{ event, payload, message, failed? }]
+const loadOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Every connection (including automatic reconnects) presents the token in the handshake
+const savedAuth = loadAuth();
+if (savedAuth) socket.auth = { token: savedAuth.token };
+
+// REST helper for the chat server; rejects with the server's error message.
+// FormData bodies are sent as-is (multipart), anything else as JSON.
+export const apiRequest = async (path, { method = "GET", body } = {}) => {
+  const headers = {};
+  const isForm = body instanceof FormData;
+  if (body !== undefined && !isForm) headers["Content-Type"] = "application/json";
+  const token = loadAuth()?.token;
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${SOCKET_URL}${path}`, {
+    method,
+    headers,
+    body: body === undefined || isForm ? body : JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+};
+
+// <img> and links can't send headers, so downloads go through links the server signs for one path
+// at a time (POST /api/auth/download-links). They expire, so they are renewed a little before that.
+const LINK_RENEW_MARGIN_MS = 5 * 60 * 1000;
+const signedLinks = new Map(); // path -> { url, expiresAt } with expiresAt in ms
+let signing = null; // { paths, done }: paths asked for during this tick, signed in one request
+
+// Absolute, signed URL for a download path such as a file's `url`
+export const downloadUrl = (path) => {
+  const cached = signedLinks.get(path);
+  if (cached && cached.expiresAt - Date.now() > LINK_RENEW_MARGIN_MS) return Promise.resolve(cached.url);
+  if (!signing) {
+    const batch = { paths: new Set() };
+    batch.done = new Promise((resolve) => setTimeout(resolve)).then(async () => {
+      signing = null;
+      const { links } = await apiRequest("/api/auth/download-links", {
+        method: "POST",
+        body: { paths: [...batch.paths] },
+      });
+      Object.entries(links).forEach(([signedPath, { url, expiresAt }]) =>
+        signedLinks.set(signedPath, { url: `${SOCKET_URL}${url}`, expiresAt: Date.parse(expiresAt) })
+      );
+    });
+    signing = batch;
+  }
+  signing.paths.add(path);
+  return signing.done.then(() => {
+    if (!signedLinks.has(path)) throw new Error("That can't be downloaded");
+    return signedLinks.get(path).url;
+  });
+};
+
+// The signed URL for `path` (null until it is ready, or without a path), renewed while in use
+export const useDownloadUrl = (path) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!path) return undefined;
+    let active = true;
+    let timer = null;
+    const refresh = () =>
+      downloadUrl(path)
+        .then((signed) => {
+          if (!active) return;
+          setUrl(signed);
+          timer = setTimeout(refresh, signedLinks.get(path).expiresAt - Date.now() - LINK_RENEW_MARGIN_MS);
+        })
+        .catch(() => active && setUrl(null));
+    refresh();
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [path]);
+  return path ? url : null;
+};
+
+// Signed download link for a conversation export (see routes/archives.js); empty params are left out
+export const exportUrl = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => value && query.set(name, value));
+  return downloadUrl(`/api/archives/export?${query}`);
+};
+
+// Emit an event and resolve with the server's ack, rejecting when it answers { error, code, ... };
+// the rejection keeps `code`, `field` and `retryAfterMs` for callers that care
+const request = async (event, ...args) => {
+  const result = await socket.emitWithAck(event, ...args);
+  if (result?.error) {
+    const { error, ...details } = result;
+    throw Object.assign(new Error(error), details);
+  }
+  return result;
+};
+
+// Conversations are keyed by room name, or by the other participant's id for DMs
+const conversationKey = (msg, userId) =>
+  msg.isPrivate ? (msg.senderId === userId ? msg.receiverId : msg.senderId) : msg.room;
+
+// Our own id for a message we send; the server stores it as `clientId` and dedupes resends with it
+const newClientId = () =>
+  crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Put a message in the list, replacing the copy already there: the same message, or the local
+// pending copy of one we sent (matched by clientId) once the server's version arrives
+const mergeMessage = (list, msg) => {
+  const i = list.findIndex(
+    (m) => m.id === msg.id || (msg.clientId && m.clientId === msg.clientId && m.senderId === msg.senderId)
+  );
+  if (i === -1) return [...list, msg];
+  return list.map((m, j) => (j === i ? msg : m));
+};
+
+// Swap the loaded messages of one conversation (those `inConversation` picks out) for `history`,
+// keeping our unsent ones after it unless the history shows they already arrived
+const withHistory = (prev, history, inConversation) => {
+  const arrived = new Set(history.map((m) => m.clientId).filter(Boolean));
+  const unsent = prev.filter((m) => inConversation(m) && m.status && !arrived.has(m.clientId));
+  return [...prev.filter((m) => !inConversation(m)), ...history, ...unsent];
+};
+
+// A user's role in a room: "owner", "moderator" or "member" (server admins own every room)
+export const roleIn = (room, userId, isAdmin = false) => {
+  if (!room) return "member";
+  if (isAdmin || room.ownerId === userId) return "owner";
+  return (room.moderators || []).includes(userId) ? "moderator" : "member";
+};
+
+// "/name ..." runs a slash command on the server; "//" sends the text with a single leading slash
+const isCommand = (text) => text.startsWith("/") && !text.startsWith("//");
+
+// Add messages that aren't already in the list, in front of the existing ones
+const prependUnique = (prev, incoming) => {
+  const known = new Set(prev.map((m) => m.id));
+  return [...incoming.filter((m) => !known.has(m.id)), ...prev];
+};
+
 export const useSocket = () => {
   const [isConnected, setIsConnected] = useState(socket.connected);
-  const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
+  const [messages, setMessages] = useState(() => loadOutbox().map((entry) => entry.message));
+  const [users, setUsers] = useState([]); // every account, with presence, status message and last seen
+  const [typingByConversation, setTypingByConversation] = useState({}); // { room name | peer id: usernames }
   const [currentRoom, setCurrentRoom] = useState("global");
   const [privateTo, setPrivateTo] = useState(null);
-  const [unreadCounts, setUnreadCounts] = useState({});
+  const [unreadCounts, setUnreadCounts] = useState({}); // kept in sync by the server
+  const [readStates, setReadStates] = useState({}); // { conversation: { userId: { username, lastReadId, lastReadAt } } }
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [commands, setCommands] = useState([]); // slash commands for autocomplete: [{ name, usage, description, args, moderator }]
+  const [hasNewerMessages, setHasNewerMessages] = useState(false); // true while showing a jumped-to slice of history
+  const [rooms, setRooms] = useState([]);
+  const [thread, setThread] = useState(null); // { parent, messages, hasMore } for the open thread
+  const [currentUser, setCurrentUser] = useState(savedAuth?.user || null);
+  const [isAdmin, setIsAdmin] = useState(false); // server admins moderate every room
+  const [notificationLevels, setNotificationLevels] = useState({}); // { room: "mentions" | "muted" }; others are "all"
+  const [unseenMentions, setUnseenMentions] = useState(0); // mentions since the inbox was last opened
+  const [prunedHistory, setPrunedHistory] = useState({}); // { room name | peer id: { count, before } } removed by retention
+  const [scheduled, setScheduled] = useState([]); // our messages waiting to be sent, soonest first
+  const typingState = useRef({ active: false, sentAt: 0 });
+  const presence = users.find((u) => u.id === currentUser?.id) || null; // our own presence entry
+  const isDnd = presence?.presence === "dnd";
+  const readMarks = useRef({}); // { conversation: timestamp of the newest message we've read }
+  const outbox = useRef(loadOutbox());
+  const flushing = useRef(false);
+
+  // Who is typing in the conversation on screen, not counting ourselves
+  const typingUsers = (typingByConversation[privateTo ? privateTo.id : currentRoom] || []).filter(
+    (name) => name !== currentUser?.username
+  );
 
   // Simple toast fallback
   const showToast = (text) => {
@@ -45,63 +236,348 @@ export const useSocket = () => {
     }, 4000);
   };
 
-  const connect = (username) => {
+  const connect = () => socket.connect();
+
+  const disconnect = () => socket.disconnect();
+
+  // Register or log in, then connect with the issued token
+  const authenticate = async (path, username, password) => {
+    const { token, user } = await apiRequest(path, { method: "POST", body: { username, password } });
+    localStorage.setItem(AUTH_KEY, JSON.stringify({ token, user }));
+    socket.auth = { token };
+    setCurrentUser(user);
     socket.connect();
-    if (username) socket.emit("user_join", username);
   };
 
-  const disconnect = () => socket.disconnect();
+  const login = (username, password) => authenticate("/api/auth/login", username, password);
+  const register = (username, password) => authenticate("/api/auth/register", username, password);
+
+  // Forget the login and everything loaded or queued under it, so none of it carries over to whoever
+  // logs in next in this browser (unsent messages in particular would go out under their account)
+  const signOutLocally = () => {
+    localStorage.removeItem(AUTH_KEY);
+    signedLinks.clear();
+    socket.auth = {};
+    setCurrentUser(null);
+    setIsAdmin(false);
+    setNotificationLevels({});
+    setUnseenMentions(0);
+    setMessages([]);
+    setThread(null);
+    setScheduled([]);
+    outbox.current = [];
+    localStorage.removeItem(OUTBOX_KEY);
+    setUnreadCounts({});
+    setReadStates({});
+    readMarks.current = {};
+    setTypingByConversation({});
+    typingState.current = { active: false, sentAt: 0 };
+    setPrivateTo(null);
+  };
 
-  const sendMessage = (message) => {
-    socket.emit("send_message", { message });
+  const logout = () => {
+    signOutLocally();
+    socket.disconnect();
   };
 
-  const sendPrivateMessage = (to, message) => {
-    socket.emit("private_message", { to, message });
+  // --- Outbox ---
+  // Sends show up straight away as "pending", go out one at a time in order, and stay queued while
+  // offline (across refreshes too). Each carries a clientId, so resending one the server already
+  // stored doesn't post it twice.
+  const saveOutbox = () => localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox.current));
+
+  // Our own copy of a message, in the timeline or the open thread
+  const placeMessage = (msg) => {
+    if (msg.parentId !== null && msg.parentId !== undefined) {
+      setThread((prev) =>
+        prev?.parent.id === msg.parentId ? { ...prev, messages: mergeMessage(prev.messages, msg) } : prev
+      );
+    } else {
+      setMessages((prev) => mergeMessage(prev, msg));
+    }
+  };
+
+  const setOutboxEntry = (clientId, changes) => {
+    outbox.current = outbox.current.map((entry) =>
+      entry.message.clientId === clientId ? { ...entry, ...changes } : entry
+    );
+    saveOutbox();
+  };
+
+  const failSend = (entry, error) => {
+    const message = { ...entry.message, status: "failed", error };
+    setOutboxEntry(message.clientId, { failed: true, message });
+    placeMessage(message);
+  };
+
+  const flushOutbox = async () => {
+    if (flushing.current) return;
+    flushing.current = true;
+    try {
+      for (;;) {
+        const entry = outbox.current.find((e) => !e.failed);
+        if (!entry || !socket.connected) break;
+
+        let result;
+        try {
+          result = await socket.timeout(SEND_TIMEOUT_MS).emitWithAck(entry.event, entry.payload);
+        } catch {
+          // No ack in time. Offline, it goes out again on reconnect; online, the user can retry it.
+          if (!socket.connected) break;
+          failSend(entry, "No response from the server");
+          continue;
+        }
+        if (result?.error) {
+          failSend(entry, result.error);
+          continue;
+        }
+        outbox.current = outbox.current.filter((e) => e !== entry);
+        saveOutbox();
+        placeMessage(result);
+      }
+    } finally {
+      flushing.current = false;
+    }
+  };
+
+  // `fields` fill in the pending copy shown until the server's version arrives
+  const enqueue = (event, payload, fields) => {
+    const clientId = newClientId();
+    const message = {
+      id: clientId,
+      clientId,
+      sender: currentUser?.username,
+      senderId: currentUser?.id,
+      message: payload.message || "",
+      timestamp: new Date().toISOString(),
+      room: null,
+      isPrivate: false,
+      file: null,
+      parentId: null,
+      reactions: [],
+      ...fields,
+      status: "pending",
+    };
+    outbox.current = [...outbox.current, { event, payload: { ...payload, clientId }, message }];
+    saveOutbox();
+    placeMessage(message);
+    flushOutbox();
+  };
+
+  const retryMessage = (clientId) => {
+    const entry = outbox.current.find((e) => e.message.clientId === clientId);
+    if (!entry) return;
+    const message = { ...entry.message, status: "pending", error: undefined };
+    setOutboxEntry(clientId, { failed: false, message });
+    placeMessage(message);
+    flushOutbox();
+  };
+
+  // --- Slash commands ---
+  // A note only we see, in the conversation on screen: command output and errors
+  const addNotice = (text, { error = false } = {}) =>
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: `notice-${newClientId()}`,
+        system: true,
+        error,
+        message: text,
+        timestamp: new Date().toISOString(),
+        ...(privateTo ? { isPrivate: true, senderId: currentUser?.id, receiverId: privateTo.id } : { room: currentRoom }),
+      },
+    ]);
+
+  // Commands skip the outbox: they only make sense while connected, and they ack with a result
+  // ({ command, notice?, room?, message? }) rather than a message to show as sent. Like sends they
+  // carry a clientId, so the server runs each one once however often it arrives.
+  const runCommand = (text, { to } = {}) => {
+    if (!socket.connected) {
+      addNotice("Commands need a connection to the server", { error: true });
+      return;
+    }
+    const payload = { message: text, clientId: newClientId() };
+    const sent = to ? request("private_message", { to, ...payload }) : request("send_message", payload);
+    sent
+      .then(({ command, notice, room }) => {
+        if (command === "join") {
+          setCurrentRoom(room.name);
+          setPrivateTo(null);
+        }
+        if (notice) addNotice(notice);
+      })
+      .catch((err) => addNotice(err.message, { error: true }));
+  };
+
+  // Options: { quoteId?, expiresInMinutes?, expireAfterRead? }; the expiry ones make it ephemeral. The room
+  // travels with it, so a send the outbox retries after we switched rooms still lands where it was written.
+  const sendMessage = (message, { quoteId, ...expiry } = {}) => {
+    if (isCommand(message)) return runCommand(message);
+    enqueue("send_message", { message, room: currentRoom, quoteId, ...expiry }, { room: currentRoom });
+  };
+
+  const sendPrivateMessage = (to, message, { quoteId, ...expiry } = {}) => {
+    if (isCommand(message)) return runCommand(message, { to });
+    const receiver = users.find((u) => u.id === to);
+    enqueue(
+      "private_message",
+      { to, message, quoteId, ...expiry },
+      { receiverId: to, receiver: receiver?.username, isPrivate: true }
+    );
+  };
+
+  // --- Scheduled messages ---
+  // Send `message` at `sendAt` (a Date) in the open room or DM, with the same expiry options as
+  // sendMessage. Resolves with the entry, or null once a toast has said why it was refused;
+  // the list in `scheduled` is kept up to date by the server.
+  const scheduleMessage = (message, sendAt, expiry = {}) =>
+    request("schedule_message", {
+      message,
+      sendAt: sendAt.toISOString(),
+      ...(privateTo ? { to: privateTo.id } : { room: currentRoom }),
+      ...expiry,
+    }).catch((err) => {
+      showToast(err.message);
+      return null;
+    });
+  const cancelScheduled = (id) => request("cancel_scheduled_message", id);
+
+  // --- Threads ---
+  const openThread = (parentId) =>
+    request("load_thread", { parentId })
+      .then(({ parent, messages: replies, hasMore }) => setThread({ parent, messages: replies, hasMore }))
+      .catch((err) => showToast(err.message));
+
+  const loadOlderThreadMessages = () => {
+    if (!thread?.hasMore) return Promise.resolve();
+    return request("load_thread", { parentId: thread.parent.id, before: thread.messages[0]?.id }).then(
+      ({ messages: older, hasMore }) =>
+        setThread((prev) => prev && { ...prev, messages: prependUnique(prev.messages, older), hasMore })
+    );
   };
 
+  const closeThread = () => setThread(null);
+
+  const sendThreadReply = (parentId, message, { quoteId } = {}) =>
+    enqueue("send_message", { message, parentId, quoteId }, { parentId });
+
+  // Called on every keystroke; only state changes and periodic refreshes reach the server
   const setTyping = (isTyping) => {
-    socket.emit("typing", isTyping);
+    const state = typingState.current;
+    const now = Date.now();
+    if (isTyping && state.active && now - state.sentAt < TYPING_REFRESH_MS) return;
+    if (!isTyping && !state.active) return;
+
+    state.active = isTyping;
+    state.sentAt = now;
+    socket.emit("typing", { isTyping, to: privateTo?.id });
   };
 
-  const joinRoom = (roomName) => {
-    socket.emit("join_room", roomName);
-    setCurrentRoom(roomName);
-    setPrivateTo(null);
-    setUnreadCounts((prev) => ({ ...prev, [roomName]: 0 }));
+  // Resolves once the room's history (room_messages) has arrived
+  const enterRoom = (roomName) => {
+    setTyping(false);
+    return request("join_room", roomName).then(() => {
+      setCurrentRoom(roomName);
+      setPrivateTo(null);
+    });
   };
 
+  const joinRoom = (roomName) => enterRoom(roomName).catch((err) => showToast(err.message));
+
+  const createRoom = (room) => request("create_room", room);
+  const deleteRoom = (roomName) => request("delete_room", roomName);
+  const inviteToRoom = (roomName, userId) => request("invite_to_room", { room: roomName, userId });
+
+  // --- Moderation (owners and moderators; each resolves with the updated room) ---
+  const setRoomRole = (roomName, userId, role) => request("set_room_role", { room: roomName, userId, role });
+  const kickUser = (roomName, userId, reason) => request("kick_user", { room: roomName, userId, reason });
+  const banUser = (roomName, userId, reason) => request("ban_user", { room: roomName, userId, reason });
+  const unbanUser = (roomName, userId) => request("unban_user", { room: roomName, userId });
+  const muteUser = (roomName, userId, minutes, reason) =>
+    request("mute_user", { room: roomName, userId, minutes, reason });
+  const unmuteUser = (roomName, userId) => request("unmute_user", { room: roomName, userId });
+  // Resolves with { entries, hasMore }, newest last
+  const loadModerationLog = (roomName, before) => request("load_moderation_log", { room: roomName, before });
+  // Owners only; policy is { maxMessages, maxAgeDays, maxAttachmentMB }, each null for the server default
+  const setRetention = (roomName, policy) => request("set_retention", { room: roomName, ...policy });
+
   const selectPrivate = (user) => {
+    setTyping(false);
     setPrivateTo(user);
-    setUnreadCounts((prev) => ({ ...prev, [user?.id]: 0 }));
+    setHasNewerMessages(false);
+    if (user) loadOlderMessages({ privateToId: user.id });
   };
 
-  const sendFile = (file) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      socket.emit("send_file", {
-        fileData: reader.result,
-        fileName: file.name,
-      });
-    };
-    reader.readAsDataURL(file);
+  // Upload over HTTP, then share the stored file in the room or, with `to`, in a DM.
+  // Only the sharing goes through the outbox; the upload itself needs a connection.
+  const sendFile = async (file, { to } = {}) => {
+    let uploaded;
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      uploaded = await apiRequest("/api/files", { method: "POST", body });
+    } catch (err) {
+      showToast(`Could not send ${file.name}: ${err.message}`);
+      return;
+    }
+    const shared = to
+      ? { receiverId: to, receiver: users.find((u) => u.id === to)?.username, isPrivate: true }
+      : { room: currentRoom };
+    const payload = { fileId: uploaded.id, fileName: file.name, room: shared.room, to };
+    enqueue("send_file", payload, { ...shared, file: uploaded });
   };
 
-  const sendReaction = (messageId, reaction) => {
-    socket.emit("react_message", { messageId, reaction });
-  };
+  // Toggles: sending the same emoji again removes our reaction
+  const sendReaction = (messageId, reaction) =>
+    request("react_message", { messageId, reaction }).catch((err) => showToast(err.message));
+
+  const editMessage = (messageId, message) => request("edit_message", { messageId, message });
+  const deleteMessage = (messageId) => request("delete_message", messageId);
+
+  // Called for each message that scrolls into view; only ones past our read position reach the server
+  const markAsRead = useCallback(
+    (msg) => {
+      if (msg.system || msg.status || !currentUser) return;
+      const key = conversationKey(msg, currentUser.id);
+      if (msg.timestamp <= (readMarks.current[key] || "")) return;
+      readMarks.current[key] = msg.timestamp;
+      socket.emit("read_message", msg.id);
+    },
+    [currentUser]
+  );
 
-  const markAsRead = (messageId) => {
-    socket.emit("read_message", messageId);
+  // --- Mentions and notification levels ---
+  const mentionsMe = (msg) => !!currentUser && (msg.mentions?.userIds || []).includes(currentUser.id);
+
+  // Whether someone else's message should make a sound or notification: DMs always do, room messages
+  // as the room's level allows. Do-not-disturb is checked where sounds and notifications are played.
+  const shouldNotify = (msg) => {
+    if (msg.system || msg.senderId === currentUser?.id) return false;
+    if (msg.isPrivate) return true;
+    const level = notificationLevels[msg.room] || "all";
+    return level === "all" || (level === "mentions" && mentionsMe(msg));
   };
 
+  // level: "all", "mentions" or "muted"
+  const setNotificationLevel = (roomName, level) =>
+    request("set_notification_level", { room: roomName, level }).then(setNotificationLevels);
+
+  // Resolves with { messages, hasMore }, newest last
+  const loadMentions = (before) => request("load_mentions", { before });
+  const markMentionsSeen = () => setUnseenMentions(0);
+
+  // Payload: { status?: "online" | "away" | "dnd", message? }
+  const setStatus = (changes) => request("set_status", changes);
+
+  // Do-not-disturb silences sounds and notifications; unread counts still update
   const playNotificationSound = () => {
+    if (isDnd) return;
     const audio = new Audio("/notification.mp3");
     audio.play().catch(() => {});
   };
 
   const showBrowserNotification = (title, body) => {
-    if (!("Notification" in window)) return;
+    if (isDnd || !("Notification" in window)) return;
 
     if (Notification.permission === "granted") {
       new Notification(title, { body });
@@ -113,59 +589,176 @@ export const useSocket = () => {
     } else showToast(`${title}: ${body}`);
   };
 
-  // --- NEW: load older messages ---
+  // --- Search ---
+  const searchMessages = (params) => request("search_messages", params);
+
+  // --- Archives ---
+  // Server admins only; a room the archive recreates arrives through room_created
+  const importArchive = (archive) => apiRequest("/api/archives/import", { method: "POST", body: archive });
+
+  // --- Integrations ---
+  // Room owners' outgoing webhooks: [{ id, room, url, pattern, secret, createdAt }]
+  const webhooksPath = (roomName) => `/api/rooms/${encodeURIComponent(roomName)}/webhooks`;
+  const listWebhooks = (roomName) => apiRequest(webhooksPath(roomName));
+  const createWebhook = (roomName, webhook) => apiRequest(webhooksPath(roomName), { method: "POST", body: webhook });
+  const removeWebhook = (roomName, id) => apiRequest(`${webhooksPath(roomName)}/${id}`, { method: "DELETE" });
+  const loadWebhookFailures = (roomName, id) => apiRequest(`${webhooksPath(roomName)}/${id}/failures`);
+  // Our bots; creating one or rotating its token resolves with { bot, token }
+  const listBots = () => apiRequest("/api/bots");
+  const createBot = (username) => apiRequest("/api/bots", { method: "POST", body: { username } });
+  const rotateBotToken = (id) => apiRequest(`/api/bots/${id}/token`, { method: "POST" });
+  const removeBot = (id) => apiRequest(`/api/bots/${id}`, { method: "DELETE" });
+
+  // Replace what is loaded for one conversation (a room name, or a DM peer's id);
+  // our unsent messages stay at the end
+  const replaceConversation = (key, isPrivate, msgs) =>
+    setMessages((prev) =>
+      withHistory(prev, msgs, (m) => !!m.isPrivate === isPrivate && conversationKey(m, currentUser?.id) === key)
+    );
+
+  // Open the conversation a message belongs to and show the page around it (a thread reply opens
+  // its thread too). Resolves with the context: { messageId, anchorId, messages, hasMore, hasNewer }
+  const jumpToMessage = async (messageId) => {
+    const context = await request("load_message_context", messageId);
+    const anchor = context.messages.find((m) => m.id === context.anchorId);
+    const key = conversationKey(anchor, currentUser?.id);
+
+    if (anchor.isPrivate) {
+      setTyping(false);
+      setPrivateTo({ id: key, username: anchor.senderId === key ? anchor.sender : anchor.receiver });
+    } else if (privateTo || anchor.room !== currentRoom) {
+      await enterRoom(anchor.room);
+    }
+
+    replaceConversation(key, anchor.isPrivate, context.messages);
+    setHasOlderMessages(context.hasMore);
+    setHasNewerMessages(context.hasNewer);
+    if (context.messageId !== context.anchorId) openThread(anchor.id);
+    return context;
+  };
+
+  // Leave a jumped-to slice of history for the newest page of the conversation
+  const loadLatestMessages = () =>
+    request("load_older_messages", { room: privateTo ? undefined : currentRoom, privateToId: privateTo?.id }).then(
+      ({ messages: latest, hasMore }) => {
+        replaceConversation(privateTo ? privateTo.id : currentRoom, !!privateTo, latest);
+        setHasOlderMessages(hasMore);
+        setHasNewerMessages(false);
+      }
+    );
+
+  // --- Load older messages (omit oldestMessageId to fetch the newest page) ---
   const loadOlderMessages = ({ room, privateToId, oldestMessageId }, callback) => {
     socket.emit(
       "load_older_messages",
       { room, privateToId, oldestMessageId },
-      (olderMessages) => {
-        if (olderMessages && olderMessages.length > 0) {
-          setMessages((prev) => [...olderMessages, ...prev]);
+      ({ messages: olderMessages = [], hasMore = false, pruned } = {}) => {
+        if (olderMessages.length > 0) {
+          setMessages((prev) => prependUnique(prev, olderMessages));
         }
-        if (callback) callback(olderMessages);
+        if (pruned) setPrunedHistory((prev) => ({ ...prev, [privateToId || room]: pruned }));
+        setHasOlderMessages(hasMore);
+        if (callback) callback(olderMessages, hasMore);
       }
     );
   };
 
+  // What the socket handlers below read from the latest render. They are bound once, on mount, so
+  // switching rooms or changing notification settings doesn't tear down and re-bind every one of them.
+  const latest = useRef(null);
+  useEffect(() => {
+    latest.current = {
+      currentRoom,
+      privateTo,
+      currentUser,
+      notificationLevels,
+      flushOutbox,
+      shouldNotify,
+      playNotificationSound,
+      showBrowserNotification,
+    };
+  });
+
   useEffect(() => {
     if ("Notification" in window && Notification.permission !== "granted") {
       Notification.requestPermission().catch(() => {});
     }
 
-    const handleConnect = () => setIsConnected(true);
+    // Anything queued while offline goes out as soon as we're back
+    const handleConnect = () => {
+      setIsConnected(true);
+      latest.current.flushOutbox();
+      request("list_commands")
+        .then(setCommands)
+        .catch(() => {});
+      request("list_scheduled_messages")
+        .then(setScheduled)
+        .catch(() => {});
+    };
     const handleDisconnect = () => setIsConnected(false);
 
+    // Restore the server-side session, including unread counts worked out from our read positions
+    const handleSession = ({
+      userId,
+      username,
+      room,
+      isAdmin: admin,
+      notificationLevels: levels,
+      unreadCounts: counts,
+    }) => {
+      setCurrentUser({ id: userId, username });
+      setIsAdmin(!!admin);
+      setNotificationLevels(levels || {});
+      setCurrentRoom(room);
+      setUnreadCounts(counts || {});
+    };
+
+    // A rejected handshake means the token expired or the account is gone: back to login
+    const handleConnectError = (err) => {
+      if (err.message === "unauthorized") signOutLocally();
+    };
+
+    // Rejections of events sent without an ack (validation, rate limits, flood mutes)
+    const handleChatError = ({ error }) => showToast(error);
+
     const handleReceiveMessage = (msg) => {
-      setMessages((prev) => [...prev, msg]);
+      setMessages((prev) => mergeMessage(prev, msg));
 
-      const isCurrentRoom =
-        (!msg.isPrivate && msg.room === currentRoom) ||
-        (msg.isPrivate && privateTo?.id === msg.senderId);
+      // Unread counts for it arrive separately from the server
+      const key = conversationKey(msg, latest.current.currentUser?.id);
+      const isCurrentRoom = msg.isPrivate ? latest.current.privateTo?.id === key : key === latest.current.currentRoom;
 
-      playNotificationSound();
+      if (!latest.current.shouldNotify(msg)) return;
+      latest.current.playNotificationSound();
 
       if (!isCurrentRoom) {
-        const key = msg.isPrivate ? msg.senderId : msg.room;
-        setUnreadCounts((prev) => ({ ...prev, [key]: (prev[key] || 0) + 1 }));
-
-        showBrowserNotification(
+        latest.current.showBrowserNotification(
           msg.isPrivate ? `Private message from ${msg.sender}` : `New message in #${msg.room}`,
-          typeof msg.message === "string" ? msg.message : JSON.stringify(msg.message)
+          msg.message
         );
       }
     };
 
-    const handleRoomMessages = (msgs) => setMessages(msgs);
+    // Replace this room's history but keep DMs and other rooms already loaded
+    const handleRoomMessages = ({ room, messages: msgs, hasMore, pruned }) => {
+      setMessages((prev) => withHistory(prev, msgs, (m) => !m.isPrivate && m.room === room));
+      setPrunedHistory((prev) => ({ ...prev, [room]: pruned }));
+      setHasOlderMessages(hasMore);
+      setHasNewerMessages(false);
+    };
+    const handlePrivateHistory = (msgs) => setMessages((prev) => prependUnique(prev, msgs));
     const handlePrivateMessage = (msg) => handleReceiveMessage(msg);
     const handleUserList = (list) => setUsers(list);
+    const handlePresence = (entry) =>
+      setUsers((prev) => [...prev.filter((u) => u.id !== entry.id), entry]);
 
     const handleUserJoined = (user) => {
       setMessages((prev) => [
         ...prev,
         { id: Date.now(), system: true, message: `${user.username} joined the chat`, timestamp: new Date().toISOString() },
       ]);
-      playNotificationSound();
-      showBrowserNotification("User joined", `${user.username} joined the chat`);
+      latest.current.playNotificationSound();
+      latest.current.showBrowserNotification("User joined", `${user.username} joined the chat`);
     };
 
     const handleUserLeft = (user) => {
@@ -173,69 +766,309 @@ export const useSocket = () => {
         ...prev,
         { id: Date.now(), system: true, message: `${user.username} left the chat`, timestamp: new Date().toISOString() },
       ]);
-      playNotificationSound();
-      showBrowserNotification("User left", `${user.username} left the chat`);
+      latest.current.playNotificationSound();
+      latest.current.showBrowserNotification("User left", `${user.username} left the chat`);
+    };
+
+    const handleTypingUsers = ({ conversation, users: names }) =>
+      setTypingByConversation((prev) => ({ ...prev, [conversation]: names }));
+
+    const handleRoomList = (list) => setRooms(list);
+    const handleRoomChanged = (room) =>
+      setRooms((prev) => [...prev.filter((r) => r.name !== room.name), room]);
+
+    // The server has already moved us to #global if we were in the deleted room
+    const handleRoomDeleted = (room) => {
+      setRooms((prev) => prev.filter((r) => r.name !== room.name));
+      if (room.name === latest.current.currentRoom) {
+        socket.emit("join_room", "global");
+        setCurrentRoom("global");
+        showToast(`#${room.name} was deleted`);
+      }
     };
 
-    const handleTypingUsers = (list) => setTypingUsers(list);
+    // A moderator acted on us. Kicks and bans have already moved us to #global on the server;
+    // private rooms we were removed from drop out of the list.
+    const MODERATION_NOTICES = {
+      kick: "You were removed from",
+      ban: "You were banned from",
+      unban: "You were unbanned in",
+      mute: "You were muted in",
+      unmute: "You were unmuted in",
+      set_role: "Your role changed in",
+    };
+    const handleModerated = ({ room, action, by, reason, role }) => {
+      const detail = action === "set_role" ? ` (now ${role})` : reason ? `: ${reason}` : "";
+      showToast(`${MODERATION_NOTICES[action]} #${room} by ${by}${detail}`);
+      if (action !== "kick" && action !== "ban") return;
+      setRooms((prev) => prev.filter((r) => r.name !== room || !r.isPrivate));
+      if (room === latest.current.currentRoom) {
+        socket.emit("join_room", "global");
+        setCurrentRoom("global");
+      }
+    };
+
+    // Mentions reach us wherever we are. Room messages in the room we're in, and DMs, also arrive as
+    // messages and notify from there.
+    const handleMention = (msg) => {
+      setUnseenMentions((n) => n + 1);
+      if (msg.isPrivate || (msg.room === latest.current.currentRoom && msg.parentId === null)) return;
+      if ((latest.current.notificationLevels[msg.room] || "all") === "muted") return;
+      latest.current.playNotificationSound();
+      latest.current.showBrowserNotification(`${msg.sender} mentioned you in #${msg.room}`, msg.message);
+    };
 
-    const handleReaction = ({ messageId, reaction }) => {
-      setMessages((prev) =>
-        prev.map((m) => (m.id === messageId ? { ...m, reactions: [...(m.reactions || []), { reaction }] } : m))
+    // Someone changed their name with /nick; when it was us, the saved login follows
+    const handleUserRenamed = ({ id, username }) => {
+      if (id !== latest.current.currentUser?.id) return;
+      setCurrentUser((prev) => ({ ...prev, username }));
+      const auth = loadAuth();
+      if (auth) localStorage.setItem(AUTH_KEY, JSON.stringify({ ...auth, user: { ...auth.user, username } }));
+    };
+
+    // Apply a change to a message wherever it is shown: the timeline or the open thread
+    const patchMessage = (id, patch) => {
+      const apply = (list) => list.map((m) => (m.id === id ? { ...m, ...patch } : m));
+      setMessages(apply);
+      setThread((prev) =>
+        prev && {
+          ...prev,
+          parent: prev.parent.id === id ? { ...prev.parent, ...patch } : prev.parent,
+          messages: apply(prev.messages),
+        }
       );
     };
 
-    const handleReadReceipt = ({ messageId, readers }) => {
-      setMessages((prev) => prev.map((m) => (m.id === messageId ? { ...m, readers } : m)));
+    // Reactions arrive as the message's full aggregated list: [{ emoji, count, users }]
+    const handleReaction = ({ messageId, reactions }) => patchMessage(messageId, { reactions });
+
+    // Edits and deletions (tombstones) both arrive as the full updated message
+    const handleMessageUpdated = (updated) => patchMessage(updated.id, updated);
+
+    // A scheduled message couldn't be sent when it was due (no access any more, muted...)
+    const handleScheduledFailed = ({ entry, error }) =>
+      showToast(`Your scheduled message to ${entry.room ? `#${entry.room}` : entry.toUsername} wasn't sent: ${error}`);
+
+    // Retention removed the oldest messages of a conversation (a room name, or a DM peer's id)
+    const handleMessagesPruned = ({ conversation, ids, pruned }) => {
+      const removed = new Set(ids);
+      setMessages((prev) => prev.filter((m) => !removed.has(m.id)));
+      setThread((prev) => (prev && removed.has(prev.parent.id) ? null : prev));
+      setPrunedHistory((prev) => ({ ...prev, [conversation]: pruned }));
+    };
+
+    const handleThreadMessage = (reply) => {
+      setThread((prev) =>
+        prev?.parent.id === reply.parentId ? { ...prev, messages: mergeMessage(prev.messages, reply) } : prev
+      );
     };
 
+    // Read positions: all of a conversation's at once, then each one as it moves
+    const rememberOwnRead = (conversation, receipt) => {
+      if (receipt.userId !== latest.current.currentUser?.id) return;
+      if (receipt.lastReadAt > (readMarks.current[conversation] || "")) {
+        readMarks.current[conversation] = receipt.lastReadAt;
+      }
+    };
+
+    const handleReadStates = ({ conversation, states }) => {
+      states.forEach((receipt) => rememberOwnRead(conversation, receipt));
+      setReadStates((prev) => ({
+        ...prev,
+        [conversation]: Object.fromEntries(states.map((receipt) => [receipt.userId, receipt])),
+      }));
+    };
+
+    const handleReadState = ({ conversation, ...receipt }) => {
+      rememberOwnRead(conversation, receipt);
+      setReadStates((prev) => ({
+        ...prev,
+        [conversation]: { ...prev[conversation], [receipt.userId]: receipt },
+      }));
+    };
+
+    const handleUnreadCount = ({ conversation, count }) =>
+      setUnreadCounts((prev) => ({ ...prev, [conversation]: count }));
+
     socket.on("connect", handleConnect);
     socket.on("disconnect", handleDisconnect);
+    socket.on("session", handleSession);
+    socket.on("connect_error", handleConnectError);
+    socket.on("chat_error", handleChatError);
     socket.on("receive_message", handleReceiveMessage);
     socket.on("room_messages", handleRoomMessages);
     socket.on("private_message", handlePrivateMessage);
+    socket.on("private_history", handlePrivateHistory);
     socket.on("user_list", handleUserList);
+    socket.on("presence", handlePresence);
     socket.on("user_joined", handleUserJoined);
     socket.on("user_left", handleUserLeft);
     socket.on("typing_users", handleTypingUsers);
+    socket.on("room_list", handleRoomList);
+    socket.on("room_created", handleRoomChanged);
+    socket.on("room_updated", handleRoomChanged);
+    socket.on("room_deleted", handleRoomDeleted);
+    socket.on("moderated", handleModerated);
+    socket.on("user_renamed", handleUserRenamed);
+    socket.on("mention", handleMention);
+    socket.on("notification_levels", setNotificationLevels);
     socket.on("message_reaction", handleReaction);
-    socket.on("message_read", handleReadReceipt);
+    socket.on("read_states", handleReadStates);
+    socket.on("read_state", handleReadState);
+    socket.on("unread_count", handleUnreadCount);
+    socket.on("message_updated", handleMessageUpdated);
+    socket.on("message_deleted", handleMessageUpdated);
+    socket.on("messages_pruned", handleMessagesPruned);
+    socket.on("scheduled_messages", setScheduled);
+    socket.on("scheduled_message_failed", handleScheduledFailed);
+    socket.on("thread_message", handleThreadMessage);
 
     return () => {
       socket.off("connect", handleConnect);
       socket.off("disconnect", handleDisconnect);
+      socket.off("session", handleSession);
+      socket.off("connect_error", handleConnectError);
+      socket.off("chat_error", handleChatError);
       socket.off("receive_message", handleReceiveMessage);
       socket.off("room_messages", handleRoomMessages);
       socket.off("private_message", handlePrivateMessage);
+      socket.off("private_history", handlePrivateHistory);
       socket.off("user_list", handleUserList);
+      socket.off("presence", handlePresence);
       socket.off("user_joined", handleUserJoined);
       socket.off("user_left", handleUserLeft);
       socket.off("typing_users", handleTypingUsers);
+      socket.off("room_list", handleRoomList);
+      socket.off("room_created", handleRoomChanged);
+      socket.off("room_updated", handleRoomChanged);
+      socket.off("room_deleted", handleRoomDeleted);
+      socket.off("moderated", handleModerated);
+      socket.off("user_renamed", handleUserRenamed);
+      socket.off("mention", handleMention);
+      socket.off("notification_levels", setNotificationLevels);
       socket.off("message_reaction", handleReaction);
-      socket.off("message_read", handleReadReceipt);
+      socket.off("read_states", handleReadStates);
+      socket.off("read_state", handleReadState);
+      socket.off("unread_count", handleUnreadCount);
+      socket.off("message_updated", handleMessageUpdated);
+      socket.off("message_deleted", handleMessageUpdated);
+      socket.off("messages_pruned", handleMessagesPruned);
+      socket.off("scheduled_messages", setScheduled);
+      socket.off("scheduled_message_failed", handleScheduledFailed);
+      socket.off("thread_message", handleThreadMessage);
+    };
+  }, []);
+
+  // Report this tab idle after a while without activity, and active again on the next input
+  useEffect(() => {
+    if (!currentUser) return;
+    let idle = false;
+    let timer;
+
+    const goIdle = () => {
+      idle = true;
+      socket.emit("idle", true);
+    };
+    const handleActivity = () => {
+      clearTimeout(timer);
+      timer = setTimeout(goIdle, IDLE_AFTER_MS);
+      if (idle) {
+        idle = false;
+        socket.emit("idle", false);
+      }
     };
-  }, [currentRoom, privateTo]);
+    // A new connection starts out active on the server
+    const handleReconnect = () => idle && socket.emit("idle", true);
+
+    const events = ["mousemove", "keydown", "pointerdown", "focus"];
+    events.forEach((e) => window.addEventListener(e, handleActivity));
+    socket.on("connect", handleReconnect);
+    handleActivity();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((e) => window.removeEventListener(e, handleActivity));
+      socket.off("connect", handleReconnect);
+    };
+  }, [currentUser]);
+
+  // Reconnect with the saved token straight away after a page refresh
+  useEffect(() => {
+    if (loadAuth()) socket.connect();
+  }, []);
 
   return {
     socket,
     isConnected,
+    currentUser,
+    isAdmin,
+    notificationLevels,
+    unseenMentions,
+    prunedHistory,
+    scheduled,
     messages,
     users,
+    presence,
     typingUsers,
     currentRoom,
+    rooms,
     privateTo,
     unreadCounts,
+    readStates,
+    hasOlderMessages,
+    hasNewerMessages,
+    thread,
+    commands,
     connect,
     disconnect,
+    login,
+    register,
+    logout,
     sendMessage,
     sendPrivateMessage,
+    scheduleMessage,
+    cancelScheduled,
+    openThread,
+    loadOlderThreadMessages,
+    closeThread,
+    sendThreadReply,
+    retryMessage,
     setTyping,
+    setStatus,
     joinRoom,
+    createRoom,
+    deleteRoom,
+    inviteToRoom,
+    setRoomRole,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    loadModerationLog,
+    setRetention,
+    shouldNotify,
+    setNotificationLevel,
+    loadMentions,
+    markMentionsSeen,
     selectPrivate,
     sendFile,
     sendReaction,
+    editMessage,
+    deleteMessage,
     markAsRead,
-    loadOlderMessages, // New method exposed
+    loadOlderMessages,
+    searchMessages,
+    importArchive,
+    listWebhooks,
+    createWebhook,
+    removeWebhook,
+    loadWebhookFailures,
+    listBots,
+    createBot,
+    rotateBotToken,
+    removeBot,
+    jumpToMessage,
+    loadLatestMessages,
   };
 };
 
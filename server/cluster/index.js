@@ -0,0 +1,44 @@
+// cluster/index.js — What several server processes share: the Socket.io adapter that carries
+// broadcasts between them, and the runtime state of users and typing indicators
+
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const createMemoryState = require("./memoryState");
+const createRedisState = require("./redisState");
+
+/**
+ * Every state exposes the same async interface:
+ *   getUser(id)                                   -> { id, username, room, online, idle } | null
+ *   saveUser(user) / updateUser(id, changes)      -> the saved user (null if unknown)
+ *   listUsers()                                   -> [user]
+ *   setTyping(conversation, userId, username, expiresAt)
+ *   clearTyping(conversation, userId)             -> whether the user was typing there
+ *   listTyping(conversation)                      -> [{ userId, username }] not yet expired
+ *   typingConversations(userId)                   -> [conversation] the user is typing in
+ *
+ * Without a Redis URL everything stays in this process, which is all a single server needs.
+ */
+const createCluster = ({ io, url, prefix = "chat" }) => {
+  if (!url) {
+    return { state: createMemoryState(), init: async () => {}, close: async () => {} };
+  }
+
+  // One connection for commands and publishing, one for the adapter's subscriptions
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+
+  return {
+    state: createRedisState({ client, prefix }),
+
+    init: async () => {
+      await Promise.all([client.connect(), subscriber.connect()]);
+      io.adapter(createAdapter(client, subscriber, { key: `${prefix}:socket.io` }));
+    },
+
+    close: async () => {
+      await Promise.all([subscriber.quit(), client.quit()]);
+    },
+  };
+};
+
+module.exports = { createCluster };
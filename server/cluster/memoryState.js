@@ -0,0 +1,47 @@
+// cluster/memoryState.js — Runtime state for a single server process
+
+const createMemoryState = () => {
+  const users = {}; // { userId: { id, username, room, online, idle } }
+  const typing = {}; // { conversation: { userId: { username, expiresAt } } }
+
+  return {
+    // Copies, so callers change state only through saveUser / updateUser as they must with Redis
+    getUser: async (id) => (users[id] ? { ...users[id] } : null),
+
+    saveUser: async (user) => {
+      users[user.id] = { ...user };
+      return { ...user };
+    },
+
+    updateUser: async (id, changes) => {
+      if (!users[id]) return null;
+      Object.assign(users[id], changes);
+      return { ...users[id] };
+    },
+
+    listUsers: async () => Object.values(users).map((user) => ({ ...user })),
+
+    setTyping: async (conversation, userId, username, expiresAt) => {
+      typing[conversation] = typing[conversation] || {};
+      typing[conversation][userId] = { username, expiresAt };
+    },
+
+    // -> whether the user was typing there
+    clearTyping: async (conversation, userId) => {
+      if (!typing[conversation]?.[userId]) return false;
+      delete typing[conversation][userId];
+      if (Object.keys(typing[conversation]).length === 0) delete typing[conversation];
+      return true;
+    },
+
+    // -> [{ userId, username }] whose indicator hasn't expired
+    listTyping: async (conversation) =>
+      Object.entries(typing[conversation] || {})
+        .filter(([, t]) => t.expiresAt > Date.now())
+        .map(([userId, t]) => ({ userId, username: t.username })),
+
+    typingConversations: async (userId) => Object.keys(typing).filter((c) => typing[c][userId]),
+  };
+};
+
+module.exports = createMemoryState;
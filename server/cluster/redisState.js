@@ -0,0 +1,61 @@
+// cluster/redisState.js — Runtime state kept in Redis, shared by every server process
+
+const createRedisState = ({ client, prefix }) => {
+  const usersKey = `${prefix}:users`; // hash: userId -> JSON user
+  // hash: userId -> JSON { username, expiresAt }
+  const typingKey = (conversation) => `${prefix}:typing:${conversation}`;
+  const typingOfKey = (userId) => `${prefix}:typing-of:${userId}`; // set of conversations
+
+  const parse = (json) => (json ? JSON.parse(json) : null);
+
+  const getUser = async (id) => parse(await client.hGet(usersKey, id));
+
+  return {
+    getUser,
+
+    saveUser: async (user) => {
+      await client.hSet(usersKey, user.id, JSON.stringify(user));
+      return user;
+    },
+
+    // Read-modify-write: each user's state is only changed by the process holding their sockets
+    // or in response to them, so concurrent updates to one user are rare enough to accept
+    updateUser: async (id, changes) => {
+      const user = await getUser(id);
+      if (!user) return null;
+      const updated = { ...user, ...changes };
+      await client.hSet(usersKey, id, JSON.stringify(updated));
+      return updated;
+    },
+
+    listUsers: async () => Object.values(await client.hGetAll(usersKey)).map(parse),
+
+    setTyping: async (conversation, userId, username, expiresAt) => {
+      await client
+        .multi()
+        .hSet(typingKey(conversation), userId, JSON.stringify({ username, expiresAt }))
+        .sAdd(typingOfKey(userId), conversation)
+        .exec();
+    },
+
+    clearTyping: async (conversation, userId) => {
+      const [removed] = await client
+        .multi()
+        .hDel(typingKey(conversation), userId)
+        .sRem(typingOfKey(userId), conversation)
+        .exec();
+      return removed > 0;
+    },
+
+    // Entries left behind by a process that stopped are ignored once they expire
+    listTyping: async (conversation) =>
+      Object.entries(await client.hGetAll(typingKey(conversation)))
+        .map(([userId, json]) => ({ userId, ...JSON.parse(json) }))
+        .filter((t) => t.expiresAt > Date.now())
+        .map(({ userId, username }) => ({ userId, username })),
+
+    typingConversations: (userId) => client.sMembers(typingOfKey(userId)),
+  };
+};
+
+module.exports = createRedisState;
@@ -0,0 +1,412 @@
+// controllers/archives.js — Exporting a room or DM's history (JSON, text or HTML) and importing
+// JSON archives back into the message store
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { ChatError } = require("../utils/errors");
+const { signDownload } = require("../utils/auth");
+const { privateChatKey, threadKey, conversationOf } = require("../utils/conversations");
+const { createMessage, normalizeReactions } = require("../models/message");
+
+const ARCHIVE_FORMAT = "chat-archive";
+const ARCHIVE_VERSION = 1;
+const FORMATS = ["json", "text", "html"];
+const ATTACHMENTS = ["link", "bundle"];
+const MAX_BUNDLE_BYTES = 25 * 1024 * 1024; // attachments embedded in one export, before base64
+// Exports are kept and opened outside the app, so their attachment links last longer than the app's own
+const EXPORT_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Utility: a date filter as an ISO string, comparable with message timestamps
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ChatError(`"${name}" is not a valid date`);
+  return date.toISOString();
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Utility: "2026-03-01 14:05 UTC", the same for every reader of a transcript
+const formatTime = (timestamp) => `${timestamp.slice(0, 16).replace("T", " ")} UTC`;
+
+const reactionsText = (msg) => (msg.reactions || []).map((r) => `${r.emoji} ${r.count}`).join("  ");
+
+const rangeText = (range) =>
+  `${range.from ? formatTime(range.from) : "the beginning"} to ${range.to ? formatTime(range.to) : "now"}`;
+
+// Utility: a message as transcript lines; replies are indented under their parent.
+// linkOf(file) is the attachment's download link.
+const textLine = (msg, linkOf, indent = "") => {
+  const file = msg.file ? `[file] ${msg.file.name}: ${linkOf(msg.file)}` : "";
+  const text = msg.message || file;
+  const body = msg.isAction ? `* ${msg.sender} ${text}` : `${msg.sender}: ${text}`;
+  const lines = [`${indent}[${formatTime(msg.timestamp)}] ${body}${msg.editedAt ? " (edited)" : ""}`];
+  if (file && msg.message) lines.push(`${indent}    ${file}`);
+  if (msg.reactions?.length) lines.push(`${indent}    ${reactionsText(msg)}`);
+  return lines.join("\n");
+};
+
+const HTML_STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; color: #111827; }
+  header { border-bottom: 1px solid #d1d5db; margin-bottom: 1rem; }
+  .message { margin: 0.75rem 0; }
+  .meta { color: #6b7280; font-size: 0.8rem; }
+  .text { white-space: pre-wrap; }
+  .reactions { font-size: 0.85rem; }
+  .thread { margin-left: 1.5rem; padding-left: 0.75rem; border-left: 2px solid #d1d5db; }
+  img { max-width: 320px; display: block; }`;
+
+const createArchiveController = ({ store, rooms, disk, admins = new Set() }) => {
+  // The conversation `user` asked for: a room they can read, or their DM with another account
+  const conversationFor = async (user, { room, with: otherId }) => {
+    if ((room ? 1 : 0) + (otherId ? 1 : 0) !== 1) throw new ChatError('Export either a "room" or a DM "with" a user');
+    if (room) {
+      const { name, topic, isPrivate, ownerId, createdAt, members, moderators } = await rooms.get(room, user.id);
+      return {
+        id: name,
+        title: `#${name}`,
+        slug: name,
+        info: { type: "room", room: { name, topic, isPrivate, ownerId, createdAt, members, moderators } },
+      };
+    }
+    const other = typeof otherId === "string" ? await store.findAccountById(otherId) : null;
+    if (!other) throw new ChatError("That user does not exist", 404);
+    return {
+      id: privateChatKey(user.id, other.id),
+      title: `${user.username} and ${other.username}`,
+      slug: `dm-${other.username}`,
+      info: {
+        type: "dm",
+        participants: [
+          { id: user.id, username: user.username },
+          { id: other.id, username: other.username },
+        ],
+      },
+    };
+  };
+
+  // Timeline messages inside the range, oldest first, each with its whole thread as `replies`
+  const historyOf = async (conversationId, since, until) => {
+    const { messages: timeline } = await store.getMessages(conversationId, { limit: Infinity });
+    const history = [];
+    for (const msg of timeline) {
+      if (msg.deleted || (since && msg.timestamp < since) || (until && msg.timestamp > until)) continue;
+      const { messages: replies } = msg.replyCount
+        ? await store.getMessages(threadKey(msg.id), { limit: Infinity })
+        : { messages: [] };
+      history.push({ msg, replies: replies.filter((r) => !r.deleted) });
+    }
+    return history;
+  };
+
+  // Metadata of every attached file, with the bytes (base64) when bundling
+  const filesOf = async (history, bundle) => {
+    const ids = new Set();
+    for (const { msg, replies } of history) {
+      for (const m of [msg, ...replies]) if (m.file) ids.add(m.file.id);
+    }
+    const files = (await Promise.all([...ids].map((id) => store.findFile(id)))).filter(Boolean);
+    if (!bundle) return files;
+
+    const total = files.reduce((sum, f) => sum + f.size, 0);
+    if (total > MAX_BUNDLE_BYTES) {
+      throw new ChatError(
+        `Attachments add up to more than ${MAX_BUNDLE_BYTES / 1024 / 1024} MB; export them as links instead`,
+        413
+      );
+    }
+    return Promise.all(
+      files.map(async (f) => ({ ...f, data: (await fs.promises.readFile(disk.filePath(f))).toString("base64") }))
+    );
+  };
+
+  // Stored messages without the sender's private retry id
+  const archived = (msg) => {
+    const copy = { ...msg };
+    delete copy.clientId;
+    return copy;
+  };
+
+  const renderJson = ({ conversation, range, history, files, readStates }) =>
+    JSON.stringify(
+      {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: conversation.info,
+        range,
+        messages: history.flatMap(({ msg, replies }) => [msg, ...replies].map(archived)),
+        readStates,
+        files,
+      },
+      null,
+      2
+    );
+
+  const renderText = ({ conversation, range, history, linkOf, linksExpireAt }) =>
+    [
+      `Conversation: ${conversation.title}`,
+      `Exported: ${formatTime(new Date().toISOString())}`,
+      `Range: ${rangeText(range)}`,
+      ...(linksExpireAt ? [`Attachment links work until: ${formatTime(linksExpireAt)}`] : []),
+      "",
+      ...history.flatMap(({ msg, replies }) => [
+        textLine(msg, linkOf),
+        ...replies.map((r) => textLine(r, linkOf, "    ")),
+      ]),
+      "",
+    ].join("\n");
+
+  const renderHtml = ({ conversation, range, history, files, linkOf, linksExpireAt }) => {
+    const filesById = new Map(files.map((f) => [f.id, f]));
+    // Bundled files are embedded as data: URLs; linked ones point back at the server
+    const attachment = (file) => {
+      const bundled = filesById.get(file.id)?.data;
+      const href = bundled ? `data:${file.type};base64,${bundled}` : linkOf(file);
+      if (bundled && file.type.startsWith("image/")) {
+        return `<img src="${href}" alt="${escapeHtml(file.name)}">`;
+      }
+      const download = bundled ? ` download="${escapeHtml(file.name)}"` : "";
+      return `<a href="${escapeHtml(href)}"${download}>📎 ${escapeHtml(file.name)}</a>`;
+    };
+    const item = (msg) => {
+      const edited = msg.editedAt ? " · edited" : "";
+      const text = msg.isAction
+        ? `<em>* ${escapeHtml(msg.sender)} ${escapeHtml(msg.message)}</em>`
+        : escapeHtml(msg.message);
+      return `<div class="message">
+  <div class="meta"><strong>${escapeHtml(msg.sender)}</strong> · ${formatTime(msg.timestamp)}${edited}</div>
+  <div class="text">${text}</div>
+  ${msg.file ? attachment(msg.file) : ""}
+  ${msg.reactions?.length ? `<div class="reactions">${escapeHtml(reactionsText(msg))}</div>` : ""}
+</div>`;
+    };
+    const thread = (replies) =>
+      replies.length ? `\n<div class="thread">\n${replies.map(item).join("\n")}\n</div>` : "";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">Exported ${formatTime(new Date().toISOString())} · ${rangeText(range)}${
+      linksExpireAt ? ` · attachment links work until ${formatTime(linksExpireAt)}` : ""
+    }</p>
+</header>
+${history.map(({ msg, replies }) => item(msg) + thread(replies)).join("\n")}
+</body>
+</html>
+`;
+  };
+
+  // An archived reaction in either stored shape: { emoji, users } or the older { reaction, userId }
+  const isReaction = (r) =>
+    (typeof r?.emoji === "string" && Array.isArray(r.users)) ||
+    (typeof r?.reaction === "string" && typeof r.userId === "string");
+
+  // Check an archived message against the conversation it is imported into, and rebuild it in the
+  // stored shape; null if it doesn't belong there
+  const importable = (msg, conversation) => {
+    if (!msg || typeof msg !== "object") return null;
+    const idOk = (typeof msg.id === "string" && msg.id) || Number.isSafeInteger(msg.id);
+    const time = new Date(msg.timestamp);
+    if (!idOk || typeof msg.senderId !== "string" || typeof msg.sender !== "string" || Number.isNaN(time.getTime())) {
+      return null;
+    }
+    if (conversation.type === "room" && (msg.isPrivate || msg.room !== conversation.room.name)) return null;
+    if (conversation.type === "dm") {
+      const ids = conversation.participants.map((p) => p.id);
+      if (!msg.isPrivate || !ids.includes(msg.senderId) || !ids.includes(msg.receiverId)) return null;
+    }
+
+    const restored = {
+      ...createMessage({ ...msg, clientId: null, message: typeof msg.message === "string" ? msg.message : "" }),
+      id: msg.id,
+      timestamp: time.toISOString(),
+      replyCount: Number.isInteger(msg.replyCount) && msg.replyCount > 0 ? msg.replyCount : 0,
+      previews: Array.isArray(msg.previews) ? msg.previews : [],
+      reactions: Array.isArray(msg.reactions) ? normalizeReactions(msg.reactions.filter(isReaction)) : [],
+    };
+    if (msg.editedAt) {
+      restored.editedAt = msg.editedAt;
+      restored.edits = Array.isArray(msg.edits) ? msg.edits : [];
+    }
+    return restored;
+  };
+
+  // Save an archived file whose bytes came along, if they match its content hash and type
+  const importFile = async (user, file) => {
+    if (!file || typeof file.id !== "string" || (await store.findFile(file.id))) return "present";
+    if (typeof file.data !== "string" || !Object.hasOwn(disk.EXTENSIONS, file.type)) return "missing";
+    const buffer = Buffer.from(file.data, "base64");
+    if (crypto.createHash("sha256").update(buffer).digest("hex") !== file.id) return "missing";
+
+    const saved = {
+      id: file.id,
+      name: typeof file.name === "string" ? file.name : file.id,
+      size: buffer.length,
+      type: file.type,
+      uploaderId: typeof file.uploaderId === "string" ? file.uploaderId : user.id,
+      createdAt: typeof file.createdAt === "string" ? file.createdAt : new Date().toISOString(),
+      hasThumbnail: file.type.startsWith("image/"),
+    };
+    try {
+      await disk.write(saved, buffer);
+    } catch (err) {
+      // An image that doesn't decode, or a disk error: this file stays missing, the rest of the import goes on
+      console.warn(`⚠️  Could not import file ${file.id}: ${err.message}`);
+      await disk.remove(saved);
+      return "missing";
+    }
+    await store.saveFile(saved);
+    return "imported";
+  };
+
+  return {
+    FORMATS,
+    ATTACHMENTS,
+
+    // A room or DM's history between `from` and `to` (dates; either may be left out), with thread
+    // replies under their parents. `attachments` "link" points files at `baseUrl`, through links signed
+    // for `user` that work for a week; "bundle" embeds their bytes (JSON and HTML only).
+    // -> { fileName, contentType, body }
+    exportConversation: async (user, options) => {
+      const { room, with: otherId, from, to, format = "json", attachments = "link", baseUrl = "" } = options;
+      if (!FORMATS.includes(format)) throw new ChatError(`Format must be one of: ${FORMATS.join(", ")}`);
+      if (!ATTACHMENTS.includes(attachments)) {
+        throw new ChatError(`Attachments must be one of: ${ATTACHMENTS.join(", ")}`);
+      }
+      if (format === "text" && attachments === "bundle") {
+        throw new ChatError("Text transcripts can only link attachments");
+      }
+      const range = { from: parseDate(from, "from"), to: parseDate(to, "to") };
+      const conversation = await conversationFor(user, { room, with: otherId });
+
+      const history = await historyOf(conversation.id, range.from, range.to);
+      const ttlSeconds = EXPORT_LINK_TTL_SECONDS;
+      const linkOf = (file) => `${baseUrl}${signDownload(user, `/api/files/${file.id}`, { ttlSeconds }).url}`;
+      const files = (await filesOf(history, attachments === "bundle")).map((f) => ({ ...f, url: linkOf(f) }));
+      // Mentioned in text and HTML exports that link their attachments
+      const linksExpireAt =
+        attachments === "link" && files.length ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+      const readStates = [];
+      for (const state of await store.listReadStates({ conversationId: conversation.id })) {
+        const account = await store.findAccountById(state.userId);
+        const { lastReadId, lastReadAt } = state;
+        readStates.push({ userId: state.userId, username: account?.username || "unknown", lastReadId, lastReadAt });
+      }
+
+      const parts = { conversation, range, history, files, readStates, linkOf, linksExpireAt };
+      const day = new Date().toISOString().slice(0, 10);
+      if (format === "text") {
+        return { fileName: `${conversation.slug}-${day}.txt`, contentType: "text/plain", body: renderText(parts) };
+      }
+      if (format === "html") {
+        return { fileName: `${conversation.slug}-${day}.html`, contentType: "text/html", body: renderHtml(parts) };
+      }
+      return { fileName: `${conversation.slug}-${day}.json`, contentType: "application/json", body: renderJson(parts) };
+    },
+
+    // Server admins only: load a JSON export back into the store, keeping ids, timestamps, reactions
+    // and read positions. Messages already stored are skipped, so importing twice changes nothing;
+    // a missing room is recreated from the archive. Bundled files are restored, linked ones counted
+    // as missing. Malformed messages and read positions are counted as rejected rather than failing
+    // the import halfway. -> { conversation, imported, skipped, rejected, readStates, files, missingFiles }
+    importArchive: async (user, archive) => {
+      if (!admins.has(user.username.toLowerCase())) throw new ChatError("Only server admins can import archives", 403);
+      const valid = archive?.format === ARCHIVE_FORMAT && archive.version === ARCHIVE_VERSION;
+      if (!valid || !Array.isArray(archive.messages)) {
+        throw new ChatError(`Not a version ${ARCHIVE_VERSION} chat archive (export one with format=json)`);
+      }
+      const conversation = archive.conversation;
+      let conversationId;
+      let missingRoom = false;
+      if (conversation?.type === "room" && typeof conversation.room?.name === "string") {
+        const existing = await store.findRoom(conversation.room.name);
+        if (existing?.archived) throw new ChatError(`#${existing.name} has been deleted`, 409);
+        missingRoom = !existing;
+        conversationId = conversation.room.name;
+      } else if (
+        conversation?.type === "dm" &&
+        Array.isArray(conversation.participants) &&
+        conversation.participants.length === 2 &&
+        conversation.participants.every((p) => typeof p?.id === "string")
+      ) {
+        conversationId = privateChatKey(conversation.participants[0].id, conversation.participants[1].id);
+      } else {
+        throw new ChatError("The archive does not say which room or DM it holds");
+      }
+
+      const result = {
+        conversation: conversationId,
+        imported: 0,
+        skipped: 0,
+        rejected: 0,
+        readStates: 0,
+        files: 0,
+        missingFiles: 0,
+      };
+      // Every message is checked before anything is written
+      const messages = [];
+      for (const msg of archive.messages) {
+        const restored = importable(msg, conversation);
+        if (restored) messages.push(restored);
+        else result.rejected += 1;
+      }
+
+      if (missingRoom) await rooms.restore(conversation.room);
+      for (const file of Array.isArray(archive.files) ? archive.files : []) {
+        const outcome = await importFile(user, file);
+        if (outcome === "imported") result.files += 1;
+        if (outcome === "missing") result.missingFiles += 1;
+      }
+      // Timelines before threads, so every reply's parent is stored first; oldest first within each
+      messages.sort((a, b) => (a.parentId !== null) - (b.parentId !== null) || a.timestamp.localeCompare(b.timestamp));
+      for (const msg of messages) {
+        if (await store.findMessage(msg.id)) {
+          result.skipped += 1;
+        } else if (msg.parentId !== null && !(await store.findMessage(msg.parentId))) {
+          result.rejected += 1;
+        } else {
+          await store.addMessage(conversationOf(msg), msg);
+          result.imported += 1;
+        }
+      }
+
+      // Read positions only ever move forward. They point at a message that is now stored, or at
+      // no message for someone who opened the conversation before anything was read.
+      for (const state of Array.isArray(archive.readStates) ? archive.readStates : []) {
+        if (typeof state?.userId !== "string" || !(await store.findAccountById(state.userId))) continue;
+        let position;
+        if (state.lastReadId === null || state.lastReadId === undefined) {
+          const at = new Date(state.lastReadAt ?? NaN);
+          if (Number.isNaN(at.getTime())) {
+            result.rejected += 1;
+            continue;
+          }
+          position = { lastReadId: null, lastReadAt: at.toISOString() };
+        } else {
+          const read = await store.findMessage(state.lastReadId);
+          if (read && conversationOf(read) === conversationId) {
+            position = { lastReadId: read.id, lastReadAt: read.timestamp };
+          }
+        }
+        if (!position) continue;
+        const [current] = await store.listReadStates({ userId: state.userId, conversationId });
+        if (current && current.lastReadAt >= position.lastReadAt) continue;
+        await store.saveReadState({ userId: state.userId, conversationId, ...position });
+        result.readStates += 1;
+      }
+      return result;
+    },
+  };
+};
+
+module.exports = createArchiveController;
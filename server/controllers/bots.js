@@ -0,0 +1,105 @@
+// controllers/bots.js — Bot accounts that tools post room messages through, authenticated by tokens
+
+const crypto = require("crypto");
+const { ChatError } = require("../utils/errors");
+const { USERNAME_PATTERN } = require("../utils/auth");
+const { MAX_MESSAGE_LENGTH } = require("../utils/events");
+const { string, optional, object } = require("../utils/validate");
+
+const MAX_BOTS_PER_USER = 10;
+// The same rules as send_message
+const POST_SCHEMA = object({
+  room: string({ min: 1, max: 32 }),
+  message: string({ max: MAX_MESSAGE_LENGTH, blank: false }),
+  clientId: optional(string({ min: 1, max: 64 })),
+});
+
+// Only a hash of a bot's token is stored; the token itself is shown once, when it is issued
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Utility: the fields of a bot its owner sees
+const publicBot = ({ id, username, ownerId, createdAt }) => ({ id, username, ownerId, createdAt });
+
+// admins: lowercase usernames that manage every bot. actions: { postToRoom, sendOnce } from server.js.
+const createBotController = ({ store, rooms, admins, findUser, actions }) => {
+  const ownedBy = (actor, bot) => bot.ownerId === actor.id || admins.has(actor.username.toLowerCase());
+
+  const requireBot = async (actor, id) => {
+    const bot = typeof id === "string" ? await store.findAccountById(id) : null;
+    if (!bot?.bot || bot.disabled || !ownedBy(actor, bot)) throw new ChatError("Bot not found", 404);
+    return bot;
+  };
+
+  // Tokens are "<bot id>.<secret>"; issuing one replaces the bot's previous token
+  const issueToken = async (bot) => {
+    const secret = crypto.randomBytes(32).toString("base64url");
+    await store.updateAccount(bot.id, { tokenHash: hashToken(secret) });
+    return { bot: publicBot(bot), token: `${bot.id}.${secret}` };
+  };
+
+  return {
+    // The actor's bots; admins see everyone's
+    list: async (actor) =>
+      (await store.listAccounts()).filter((a) => a.bot && !a.disabled && ownedBy(actor, a)).map(publicBot),
+
+    // A bot is an account of its own, so its messages, mentions and room access work like anyone's.
+    // -> { bot, token }
+    create: async (actor, { username } = {}) => {
+      if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+        throw new ChatError("Username must be 3-32 letters, numbers, dots, dashes or underscores", 400, {
+          field: "username",
+        });
+      }
+      // Admin rights follow the name, so a bot can't take an admin's
+      if (admins.has(username.toLowerCase())) throw new ChatError("That username is reserved", 409);
+      const owned = (await store.listAccounts()).filter((a) => a.bot && !a.disabled && a.ownerId === actor.id);
+      if (owned.length >= MAX_BOTS_PER_USER) {
+        throw new ChatError(`You can have at most ${MAX_BOTS_PER_USER} bots`, 409);
+      }
+      if (await store.findAccountByUsername(username)) throw new ChatError("That username is taken", 409);
+
+      const bot = await store.addAccount({
+        id: crypto.randomUUID(),
+        username,
+        passwordHash: null, // bots can't log in
+        createdAt: new Date().toISOString(),
+        bot: true,
+        ownerId: actor.id,
+      });
+      return issueToken(bot);
+    },
+
+    // -> { bot, token }; the old token stops working
+    rotateToken: async (actor, id) => issueToken(await requireBot(actor, id)),
+
+    // The account stays, so the bot's messages keep their sender, but its token no longer works
+    remove: async (actor, id) => {
+      const bot = await requireBot(actor, id);
+      await store.updateAccount(bot.id, { disabled: true, tokenHash: null });
+      return publicBot(bot);
+    },
+
+    // The bot a token belongs to, or null
+    authenticate: async (token) => {
+      const [id, secret] = typeof token === "string" ? token.split(".") : [];
+      const bot = id && secret ? await store.findAccountById(id) : null;
+      if (!bot?.bot || !bot.tokenHash) return null;
+      const expected = Buffer.from(bot.tokenHash, "hex");
+      const actual = Buffer.from(hashToken(secret), "hex");
+      return crypto.timingSafeEqual(expected, actual) ? bot : null;
+    },
+
+    // Post `message` into `room` as the bot, which needs access to the room like any user (invite it
+    // to private rooms). The text is posted as written: bots don't run slash commands.
+    post: async (bot, payload) => {
+      const { room, message, clientId } = POST_SCHEMA(payload);
+      const user = await findUser(bot.id);
+      const target = await rooms.get(room, bot.id);
+      return actions.sendOnce(user, clientId, () =>
+        actions.postToRoom(user, { room: target.name, message, clientId, isBot: true })
+      );
+    },
+  };
+};
+
+module.exports = createBotController;
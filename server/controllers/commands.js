@@ -0,0 +1,287 @@
+// controllers/commands.js — Slash commands typed into the message box (/join, /msg, /me, /kick, ...)
+//
+// A message starting with "/" runs a command instead of being posted; "//" posts it with one slash.
+// Results and errors go back only to the user who typed it, through the send's ack.
+
+const { ChatError } = require("../utils/errors");
+const { USERNAME_PATTERN } = require("../utils/auth");
+
+// Utility: "/name rest of line" -> { name, rest }
+const parseCommand = (text) => {
+  const [, name = "", rest = ""] = text.match(/^\/(\S*)\s*([\s\S]*)$/) || [];
+  return { name: name.toLowerCase(), rest };
+};
+
+// Utility: the first word of `text` and what follows it
+const nextWord = (text) => {
+  const [, word = "", rest = ""] = text.match(/^(\S+)\s*([\s\S]*)$/) || [];
+  return [word, rest];
+};
+
+const usageOf = (command) =>
+  [`/${command.name}`, ...command.args.map((a) => (a.optional ? `[${a.name}]` : `<${a.name}>`))].join(" ");
+
+// Arguments are single words, except a "text" one, which takes the rest of the line.
+// Types tell clients what to suggest: "room", "user", "command", "minutes", "name" or "text".
+const parseArgs = (command, rest) => {
+  const usage = () => new ChatError(`Usage: ${usageOf(command)}`, 400, { code: "usage" });
+  const values = {};
+  let remaining = rest.trim();
+
+  for (const arg of command.args) {
+    let value;
+    if (arg.type === "text") {
+      [value, remaining] = [remaining, ""];
+    } else {
+      [value, remaining] = nextWord(remaining);
+    }
+    if (!value) {
+      if (arg.optional) continue;
+      throw usage();
+    }
+
+    if (arg.type === "room") value = value.replace(/^#/, "").toLowerCase();
+    if (arg.type === "user") value = value.replace(/^@/, "");
+    if (arg.type === "command") value = value.replace(/^\//, "").toLowerCase();
+    if (arg.type === "minutes") {
+      if (!/^\d+$/.test(value)) throw new ChatError("Minutes must be a whole number");
+      value = Number(value);
+    }
+    values[arg.name] = value;
+  }
+  if (remaining) throw usage();
+  return values;
+};
+
+const user = { name: "user", type: "user" };
+const reason = { name: "reason", type: "text", optional: true };
+
+// actions: { enterRoom(socket, user, roomName), postToRoom(user, data), postPrivate(user, recipient, data) },
+// the same paths join_room, send_message and private_message take
+const createCommandController = ({ store, io, state, rooms, moderation, presence, admins = new Set(), actions }) => {
+  const findAccount = async (username) => {
+    const account = await store.findAccountByUsername(username);
+    if (!account) throw new ChatError(`No user is called ${username}`, 404);
+    return account;
+  };
+
+  // ctx: { user, socket, peer? } — `peer` is set when the command was typed in a DM.
+  // Room commands act on the user's current room, which a DM doesn't have.
+  const roomOf = (ctx, name) => {
+    if (ctx.peer) throw new ChatError(`/${name} only works in a room`);
+    return ctx.user.room;
+  };
+
+  const rename = async (ctx, username) => {
+    const { user: current } = ctx;
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new ChatError("Username must be 3-32 letters, numbers, dots, dashes or underscores");
+    }
+    // Admin rights follow the name, so admins keep theirs and nobody can take one
+    if (admins.has(current.username.toLowerCase())) throw new ChatError("Server admins can't change their username", 403);
+    if (admins.has(username.toLowerCase())) throw new ChatError("That username is reserved", 409);
+    const existing = await store.findAccountByUsername(username);
+    if (existing && existing.id !== current.id) throw new ChatError("That username is taken", 409);
+
+    await store.updateAccount(current.id, { username });
+    await state.updateUser(current.id, { username });
+    ctx.socket.data.account.username = username;
+    // Messages already sent keep the name they were sent under
+    io.emit("user_renamed", { id: current.id, oldUsername: current.username, username });
+    io.emit("user_list", await presence.list());
+  };
+
+  const COMMANDS = [
+    {
+      name: "help",
+      args: [{ name: "command", type: "command", optional: true }],
+      description: "List the commands, or explain one",
+      run: async (ctx, { command }) => {
+        if (command) {
+          const found = find(command);
+          return { notice: `${usageOf(found)} — ${found.description}` };
+        }
+        const moderator = !ctx.peer && (await moderation.canModerate(ctx.user.room, ctx.user));
+        const available = COMMANDS.filter((c) => moderator || !c.moderator);
+        return { notice: available.map((c) => `${usageOf(c)} — ${c.description}`).join("\n") };
+      },
+    },
+    {
+      name: "join",
+      args: [{ name: "room", type: "room" }],
+      description: "Go to a room",
+      run: async (ctx, { room }) => ({ room: await actions.enterRoom(ctx.socket, ctx.user, room) }),
+    },
+    {
+      name: "msg",
+      args: [user, { name: "message", type: "text" }],
+      description: "Send someone a private message",
+      run: async (ctx, { user: username, message }) => ({
+        message: await actions.postPrivate(ctx.user, await findAccount(username), { message }),
+      }),
+    },
+    {
+      name: "me",
+      args: [{ name: "action", type: "text" }],
+      description: "Say what you are doing, e.g. /me waves",
+      run: async (ctx, { action }) => {
+        const data = { message: action, isAction: true };
+        return {
+          message: ctx.peer ? await actions.postPrivate(ctx.user, ctx.peer, data) : await actions.postToRoom(ctx.user, data),
+        };
+      },
+    },
+    {
+      name: "topic",
+      args: [{ name: "topic", type: "text", optional: true }],
+      description: "Show the room's topic, or change it (owners and moderators)",
+      run: async (ctx, { topic }) => {
+        const room = await rooms.get(roomOf(ctx, "topic"), ctx.user.id);
+        if (topic === undefined) {
+          return { notice: room.topic ? `Topic of #${room.name}: ${room.topic}` : `#${room.name} has no topic` };
+        }
+        if (!(await moderation.canModerate(room.name, ctx.user))) {
+          throw new ChatError(`Only the owner and moderators of #${room.name} can change its topic`, 403);
+        }
+        return { room: await rooms.setTopic(room, topic), notice: `Topic of #${room.name} changed` };
+      },
+    },
+    {
+      name: "nick",
+      args: [{ name: "username", type: "name" }],
+      description: "Change your username",
+      run: async (ctx, { username }) => {
+        await rename(ctx, username);
+        return { notice: `You are now known as ${username}` };
+      },
+    },
+    {
+      name: "away",
+      args: [{ name: "message", type: "text", optional: true }],
+      description: "Mark yourself away, or back if you already are",
+      run: async (ctx, { message }) => {
+        const account = await store.findAccountById(ctx.user.id);
+        if (message === undefined && account.status === "away") {
+          await presence.setStatus(ctx.user, { status: "online" });
+          return { notice: "You are back" };
+        }
+        await presence.setStatus(ctx.user, { status: "away", message });
+        return { notice: "You are marked as away" };
+      },
+    },
+
+    // Moderator commands act on the current room; controllers/moderation.js checks roles
+    {
+      name: "kick",
+      moderator: true,
+      args: [user, reason],
+      description: "Remove someone from the room",
+      run: async (ctx, { user: username, reason }) => {
+        const target = await findAccount(username);
+        const room = await moderation.kick(ctx.user, roomOf(ctx, "kick"), target.id, { reason });
+        return { notice: `${target.username} was kicked from #${room.name}` };
+      },
+    },
+    {
+      name: "ban",
+      moderator: true,
+      args: [user, reason],
+      description: "Remove someone from the room and keep them out",
+      run: async (ctx, { user: username, reason }) => {
+        const target = await findAccount(username);
+        const room = await moderation.ban(ctx.user, roomOf(ctx, "ban"), target.id, { reason });
+        return { notice: `${target.username} was banned from #${room.name}` };
+      },
+    },
+    {
+      name: "unban",
+      moderator: true,
+      args: [user],
+      description: "Let a banned user back in",
+      run: async (ctx, { user: username }) => {
+        const target = await findAccount(username);
+        const room = await moderation.unban(ctx.user, roomOf(ctx, "unban"), target.id);
+        return { notice: `${target.username} is no longer banned from #${room.name}` };
+      },
+    },
+    {
+      name: "mute",
+      moderator: true,
+      args: [user, { name: "minutes", type: "minutes" }, reason],
+      description: "Stop someone posting in the room for a while",
+      run: async (ctx, { user: username, minutes, reason }) => {
+        const target = await findAccount(username);
+        const room = await moderation.mute(ctx.user, roomOf(ctx, "mute"), target.id, { minutes, reason });
+        return { notice: `${target.username} is muted in #${room.name} for ${minutes} min` };
+      },
+    },
+    {
+      name: "unmute",
+      moderator: true,
+      args: [user],
+      description: "Let a muted user post again",
+      run: async (ctx, { user: username }) => {
+        const target = await findAccount(username);
+        const room = await moderation.unmute(ctx.user, roomOf(ctx, "unmute"), target.id);
+        return { notice: `${target.username} can post in #${room.name} again` };
+      },
+    },
+    {
+      name: "mod",
+      moderator: true,
+      args: [user],
+      description: "Make someone a moderator of the room (owners)",
+      run: async (ctx, { user: username }) => {
+        const target = await findAccount(username);
+        const room = await moderation.setRole(ctx.user, roomOf(ctx, "mod"), target.id, "moderator");
+        return { notice: `${target.username} is now a moderator of #${room.name}` };
+      },
+    },
+    {
+      name: "unmod",
+      moderator: true,
+      args: [user],
+      description: "Take away someone's moderator role (owners)",
+      run: async (ctx, { user: username }) => {
+        const target = await findAccount(username);
+        const room = await moderation.setRole(ctx.user, roomOf(ctx, "unmod"), target.id, "member");
+        return { notice: `${target.username} is no longer a moderator of #${room.name}` };
+      },
+    },
+  ];
+
+  const find = (name) => {
+    const command = COMMANDS.find((c) => c.name === name);
+    if (!command) {
+      throw new ChatError(`Unknown command /${name}; type /help to see them all`, 400, { code: "unknown_command" });
+    }
+    return command;
+  };
+
+  return {
+    isCommand: (text) => typeof text === "string" && text.startsWith("/") && !text.startsWith("//"),
+
+    // The text to post for a message that isn't a command ("//" escapes a leading slash)
+    unescape: (text) => (typeof text === "string" && text.startsWith("//") ? text.slice(1) : text),
+
+    // For clients' autocomplete -> [{ name, usage, description, args: [{ name, type, optional? }], moderator }]
+    list: () =>
+      COMMANDS.map((c) => ({
+        name: c.name,
+        usage: usageOf(c),
+        description: c.description,
+        args: c.args,
+        moderator: !!c.moderator,
+      })),
+
+    // -> { command, notice?, room?, message? }: a note for the issuer, the room joined or changed,
+    // or the message posted
+    run: async (ctx, text) => {
+      const { name, rest } = parseCommand(text);
+      const command = find(name);
+      return { command: command.name, ...(await command.run(ctx, parseArgs(command, rest))) };
+    },
+  };
+};
+
+module.exports = createCommandController;
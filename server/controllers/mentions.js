@@ -0,0 +1,105 @@
+// controllers/mentions.js — @username, @here and @room mentions, the mentions inbox and per-room
+// notification levels
+
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+
+const LEVELS = ["all", "mentions", "muted"]; // which messages in a room notify the user; "all" is the default
+const MAX_INBOX_PAGE = 50;
+// "@name" not preceded by a word character or another "@", so email addresses don't count
+const MENTION_PATTERN = /(?<![\w@])@([A-Za-z0-9_.-]+)/g;
+
+// canRead(user, message): whether the user may read a message (the message controller's)
+const createMentionController = ({ store, io, state, rooms, canRead, pageSize }) => {
+  // Who @room reaches: a private room's members, or whoever has joined a public one (it is their current room)
+  const membersOf = async (roomName) => {
+    const room = await store.findRoom(roomName);
+    if (!room) return [];
+    if (room.isPrivate) return room.members;
+    return (await state.listUsers()).filter((u) => u.room === room.name).map((u) => u.id);
+  };
+
+  // The ids among `userIds` that can read the message
+  const readersAmong = async (msg, userIds) => {
+    const readers = [];
+    for (const id of userIds) if (await canRead({ id }, msg)) readers.push(id);
+    return readers;
+  };
+
+  // Trailing punctuation ("thanks @sam.") isn't part of the name unless an account has it
+  const findMentioned = async (name) =>
+    (await store.findAccountByUsername(name)) || (await store.findAccountByUsername(name.replace(/[.-]+$/, "")));
+
+  return {
+    LEVELS,
+
+    // What a new or edited message mentions, or null for none. Only people who can read it count.
+    // -> { users: [{ id, username }], here, room, userIds } where `userIds` is everyone mentioned
+    // (other than the sender): named users, plus the room's members (see membersOf) for @room, or
+    // everyone online with the room open for @here. @here and @room mean nothing in a DM.
+    resolve: async (msg) => {
+      const names = [...(msg.message || "").matchAll(MENTION_PATTERN)].map((match) => match[1]);
+      if (names.length === 0) return null;
+
+      const users = [];
+      let here = false;
+      let room = false;
+      for (const name of names) {
+        if (!msg.isPrivate && name.toLowerCase() === "here") here = true;
+        else if (!msg.isPrivate && name.toLowerCase() === "room") room = true;
+        else {
+          const account = await findMentioned(name);
+          if (account && !users.some((u) => u.id === account.id) && (await canRead(account, msg))) {
+            users.push({ id: account.id, username: account.username });
+          }
+        }
+      }
+      if (users.length === 0 && !here && !room) return null;
+
+      const userIds = users.map((u) => u.id);
+      if (room) {
+        userIds.push(...(await readersAmong(msg, await membersOf(msg.room))));
+      } else if (here) {
+        const present = (await state.listUsers()).filter((u) => u.online && u.room === msg.room);
+        userIds.push(...(await readersAmong(msg, present.map((u) => u.id))));
+      }
+      return { users, here, room, userIds: [...new Set(userIds)].filter((id) => id !== msg.senderId) };
+    },
+
+    // Tell each mentioned user, wherever they are; `already` lists ids told about an earlier version
+    notify: (msg, already = []) => {
+      for (const userId of msg.mentions?.userIds || []) {
+        if (!already.includes(userId)) io.to(userRoom(userId)).emit("mention", msg);
+      }
+    },
+
+    // One page of the messages mentioning the user that they can still read, newest last
+    inbox: async (user, { before, limit = pageSize } = {}) => {
+      const page = await store.getMentions(user.id, { before, limit: Math.min(MAX_INBOX_PAGE, Math.max(1, limit)) });
+      const messages = [];
+      for (const msg of page.messages) {
+        if (!msg.deleted && (await canRead(user, msg))) messages.push(msg);
+      }
+      return { messages, hasMore: page.hasMore };
+    },
+
+    // { roomName: level } for rooms not left at "all"
+    levels: async (user) => (await store.findAccountById(user.id))?.notificationLevels || {},
+
+    // Every tab of the user gets the new levels as `notification_levels`
+    setLevel: async (user, roomName, level) => {
+      if (!LEVELS.includes(level)) throw new ChatError(`Notification level must be one of: ${LEVELS.join(", ")}`);
+      const room = await rooms.get(roomName, user.id);
+      const account = await store.findAccountById(user.id);
+      const levels = { ...account.notificationLevels };
+      if (level === "all") delete levels[room.name];
+      else levels[room.name] = level;
+
+      await store.updateAccount(user.id, { notificationLevels: levels });
+      io.to(userRoom(user.id)).emit("notification_levels", levels);
+      return levels;
+    },
+  };
+};
+
+module.exports = createMentionController;
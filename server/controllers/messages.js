@@ -0,0 +1,194 @@
+// controllers/messages.js — Editing, deleting, quoting and threading stored messages
+
+const { ChatError } = require("../utils/errors");
+const { messageAudience } = require("../utils/audience");
+const { threadKey, conversationOf } = require("../utils/conversations");
+const { createMessage, quoteOf, toggleReaction } = require("../models/message");
+
+// One emoji, possibly with skin tone / ZWJ / keycap sequences, and a cap on distinct reactions.
+// Emoji_Component alone also covers plain digits, hence the second check.
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const isEmoji = (text) => EMOJI_PATTERN.test(text) && /\p{Extended_Pictographic}|\u20e3/u.test(text);
+const MAX_EMOJI_LENGTH = 32;
+const MAX_DISTINCT_REACTIONS = 20;
+
+const createMessageController = ({ store, io, rooms, moderation, mentions, previews, pageSize }) => {
+  // Empty the message but keep its place in the timeline, and tell everyone who can see it. A thread
+  // reply no longer counts on its parent. -> the tombstone, or null if it was already deleted
+  const tombstone = async (msg, changes) => {
+    const result = await store.deleteMessage(msg.id, {
+      deletedAt: new Date().toISOString(),
+      message: "",
+      file: null,
+      edits: [],
+      reactions: [],
+      previews: [],
+      ...changes,
+    });
+    if (!result) return null;
+    const { message: deleted, parent } = result;
+    messageAudience(io, deleted).emit("message_deleted", deleted);
+    if (parent) messageAudience(io, parent).emit("message_updated", parent);
+    return deleted;
+  };
+
+  const requireMessage = async (id) => {
+    const msg = await store.findMessage(id);
+    if (!msg || msg.deleted) throw new ChatError("Message not found", 404);
+    return msg;
+  };
+
+  // Room messages are readable by anyone with access to the room, DMs by their two participants
+  const canRead = async (user, msg) => {
+    if (msg.isPrivate) return msg.senderId === user.id || msg.receiverId === user.id;
+    const room = await store.findRoom(msg.room);
+    return !!room && rooms.canAccess(room, user.id);
+  };
+
+  const requireReadable = async (user, id) => {
+    const msg = await requireMessage(id);
+    if (!(await canRead(user, msg))) throw new ChatError("Message not found", 404);
+    return msg;
+  };
+
+  // Snapshot for a new message quoting `quoteId`; unreadable or missing quotes are dropped
+  const quote = async (user, quoteId) => {
+    if (quoteId === undefined || quoteId === null) return null;
+    const msg = await store.findMessage(quoteId);
+    return msg && !msg.deleted && (await canRead(user, msg)) ? quoteOf(msg) : null;
+  };
+
+  return {
+    canRead,
+    quote,
+
+    // Post a reply in the thread under `parentId` (threads are one level deep)
+    reply: async (user, parentId, { message, quoteId, clientId }) => {
+      const parent = await requireReadable(user, parentId);
+      if (parent.parentId !== null && parent.parentId !== undefined) {
+        throw new ChatError("Reply to the thread's first message instead");
+      }
+      if (!parent.isPrivate) await moderation.assertCanPost(user, parent.room);
+
+      // In a DM thread the reply goes to whichever participant isn't replying
+      const toSender = parent.senderId !== user.id;
+      const reply = createMessage({
+        sender: user.username,
+        senderId: user.id,
+        receiver: parent.isPrivate ? (toSender ? parent.sender : parent.receiver) : null,
+        receiverId: parent.isPrivate ? (toSender ? parent.senderId : parent.receiverId) : null,
+        message,
+        room: parent.room,
+        isPrivate: parent.isPrivate,
+        parentId: parent.id,
+        quote: await quote(user, quoteId),
+        clientId,
+      });
+      reply.mentions = await mentions.resolve(reply);
+
+      const updatedParent = await store.addReply(threadKey(parent.id), reply);
+
+      messageAudience(io, reply).emit("thread_message", reply);
+      mentions.notify(reply);
+      previews.attach(reply);
+      messageAudience(io, updatedParent).emit("message_updated", updatedParent);
+      return reply;
+    },
+
+    // Toggle the user's `emoji` reaction; everyone who can see the message gets the new totals
+    react: async (user, messageId, emoji) => {
+      if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH || !isEmoji(emoji)) {
+        throw new ChatError("Reactions must be a single emoji");
+      }
+      const msg = await requireReadable(user, messageId);
+      if (toggleReaction(msg.reactions, user, emoji).length > MAX_DISTINCT_REACTIONS) {
+        throw new ChatError(`Messages can have at most ${MAX_DISTINCT_REACTIONS} different reactions`);
+      }
+
+      // Toggled by the store on the message as it is then, so reactions arriving together all count
+      const updated = await store.toggleReaction(msg.id, user, emoji);
+      if (!updated) throw new ChatError("Message not found", 404);
+      const payload = { messageId: msg.id, reactions: updated.reactions };
+      messageAudience(io, msg).emit("message_reaction", payload);
+      return payload;
+    },
+
+    // One page of a thread, newest last, plus its parent message
+    thread: async (user, parentId, { before } = {}) => {
+      const parent = await requireReadable(user, parentId);
+      const page = await store.getMessages(threadKey(parent.id), { before, limit: pageSize });
+      return { parent, ...page };
+    },
+
+    // The page around a message, for jumping to it (e.g. from search); a thread reply is shown
+    // around its parent. hasMore / hasNewer say whether history continues on either side.
+    context: async (user, messageId) => {
+      const target = await requireReadable(user, messageId);
+      const anchor =
+        target.parentId !== null && target.parentId !== undefined
+          ? await requireReadable(user, target.parentId)
+          : target;
+      const conversationId = conversationOf(anchor);
+      const half = Math.ceil(pageSize / 2);
+      const older = await store.getMessages(conversationId, { before: anchor.id, limit: half });
+      const newer = await store.getMessages(conversationId, { after: anchor.id, limit: half });
+      return {
+        messageId: target.id,
+        anchorId: anchor.id,
+        messages: [...older.messages, anchor, ...newer.messages],
+        hasMore: older.hasMore,
+        hasNewer: newer.hasMore,
+      };
+    },
+
+    // Only the sender may reword a message; each previous version is kept in `edits`
+    edit: async (user, messageId, text) => {
+      const msg = await requireMessage(messageId);
+      if (msg.senderId !== user.id) throw new ChatError("You can only edit your own messages", 403);
+      if (typeof text !== "string" || !text.trim()) throw new ChatError("Message cannot be empty");
+      // Editing is posting again: not in a room we were banned from or while muted there
+      if (!msg.isPrivate) {
+        await rooms.get(msg.room, user.id);
+        await moderation.assertCanPost(user, msg.room);
+      }
+      if (text === msg.message) return msg;
+      const mentionedBefore = msg.mentions?.userIds || [];
+
+      const updated = await store.updateMessage(messageId, {
+        message: text,
+        editedAt: new Date().toISOString(),
+        edits: [...(msg.edits || []), { message: msg.message, editedAt: msg.editedAt || msg.timestamp }],
+        mentions: await mentions.resolve({ ...msg, message: text }),
+        previews: previews.retained(msg, text),
+      });
+      messageAudience(io, updated).emit("message_updated", updated);
+      // Only people the edit newly mentions hear about it
+      mentions.notify(updated, mentionedBefore);
+      previews.attach(updated);
+      return updated;
+    },
+
+    // The sender or a moderator of the room may delete; a tombstone stays in the timeline
+    remove: async (user, messageId) => {
+      const msg = await requireMessage(messageId);
+      const moderated = msg.senderId !== user.id;
+      if (moderated && (msg.isPrivate || !(await moderation.canModerate(msg.room, user)))) {
+        throw new ChatError("You can only delete your own messages", 403);
+      }
+
+      const deleted = await tombstone(msg, { deletedBy: user.id });
+      if (!deleted) throw new ChatError("Message not found", 404);
+      if (moderated) await moderation.messageRemoved(user, msg);
+      return deleted;
+    },
+
+    // An ephemeral message whose time is up is deleted like any other, by nobody in particular
+    expire: async (msg) => {
+      const current = await store.findMessage(msg.id);
+      if (!current || current.deleted) return null;
+      return tombstone(current, { deletedBy: null, expired: true });
+    },
+  };
+};
+
+module.exports = createMessageController;
@@ -0,0 +1,191 @@
+// controllers/moderation.js — Room roles, kicks, bans, mutes and the moderation audit log
+
+const crypto = require("crypto");
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+
+// Highest first; each role can act on the roles below it
+const ROLES = ["owner", "moderator", "member"];
+const MAX_AUDIT_PAGE = 50;
+
+const createModerationController = ({ store, io, state, rooms, admins = new Set() }) => {
+  // Server admins (ADMIN_USERNAMES) count as the owner of every room
+  const roleOf = (room, user) => {
+    if (room.ownerId === user.id || admins.has(user.username.toLowerCase())) return "owner";
+    if ((room.moderators || []).includes(user.id)) return "moderator";
+    return "member";
+  };
+
+  const outranks = (a, b) => ROLES.indexOf(a) < ROLES.indexOf(b);
+
+  const canModerate = async (roomName, user) => {
+    const room = await store.findRoom(roomName);
+    return !!room && outranks(roleOf(room, user), "member");
+  };
+
+  // The room and target account for an action by `actor`, who needs at least `minRole`
+  // and must outrank the target
+  const prepare = async (actor, roomName, targetId, minRole = "moderator") => {
+    const room = await rooms.get(roomName, actor.id);
+    const role = roleOf(room, actor);
+    if (outranks(minRole, role)) throw new ChatError(`Only ${minRole}s of #${room.name} can do that`, 403);
+
+    const target = typeof targetId === "string" ? await store.findAccountById(targetId) : null;
+    if (!target) throw new ChatError("That user does not exist", 404);
+    if (target.id === actor.id) throw new ChatError("You can't moderate yourself");
+    if (!outranks(role, roleOf(room, target))) {
+      throw new ChatError(`You can only moderate users below your role in #${room.name}`, 403);
+    }
+    return { room, target };
+  };
+
+  const record = (actor, room, action, target, details = {}) =>
+    store.addAuditEntry({
+      id: crypto.randomUUID(),
+      room: room.name,
+      action,
+      actorId: actor.id,
+      actor: actor.username,
+      targetId: target ? target.id : null,
+      target: target ? target.username : null,
+      ...details,
+      at: new Date().toISOString(),
+    });
+
+  // The target hears about actions against them directly, whichever room they are in
+  const notify = (target, room, action, actor, details = {}) =>
+    io.to(userRoom(target.id)).emit("moderated", { room: room.name, action, by: actor.username, ...details });
+
+  // Move the target out of the room (back to the lobby) if they are in it
+  const removeFromRoom = async (room, target) => {
+    const user = await state.getUser(target.id);
+    if (!user || user.room !== room.name) return;
+    await state.updateUser(target.id, { room: rooms.LOBBY });
+    io.in(userRoom(target.id)).socketsJoin(rooms.LOBBY);
+    io.in(userRoom(target.id)).socketsLeave(room.name);
+  };
+
+  const activeMutes = (room) => (room.mutes || []).filter((m) => m.until > new Date().toISOString());
+
+  // Kicks and bans can't empty the lobby, where everyone without a room ends up
+  const requireLeavable = (room, action) => {
+    if (room.name === rooms.LOBBY) {
+      throw new ChatError(`Users can't be ${action} from #${rooms.LOBBY}; mute them instead`, 403);
+    }
+  };
+
+  return {
+    ROLES,
+    roleOf,
+    canModerate,
+
+    // Throws while the user is muted in the room
+    assertCanPost: async (user, roomName) => {
+      const room = await store.findRoom(roomName);
+      const mute = room && activeMutes(room).find((m) => m.userId === user.id);
+      if (!mute) return;
+      const remaining = Date.parse(mute.until) - Date.now();
+      throw new ChatError(`You are muted in #${roomName} for ${Math.ceil(remaining / 60000)} more min`, 403, {
+        code: "muted",
+        retryAfterMs: remaining,
+      });
+    },
+
+    // Owners appoint and dismiss moderators; role is "moderator" or "member"
+    setRole: async (actor, roomName, userId, role) => {
+      if (role !== "moderator" && role !== "member") throw new ChatError("Role must be moderator or member");
+      const { room, target } = await prepare(actor, roomName, userId, "owner");
+      const updated = await rooms.update(room, (current) => {
+        const others = (current.moderators || []).filter((id) => id !== target.id);
+        return { moderators: role === "moderator" ? [...others, target.id] : others };
+      });
+      await record(actor, room, "set_role", target, { role });
+      notify(target, room, "set_role", actor, { role });
+      return updated;
+    },
+
+    // Private rooms also lose the member, who needs a new invite to come back
+    kick: async (actor, roomName, userId, { reason } = {}) => {
+      const { room, target } = await prepare(actor, roomName, userId);
+      requireLeavable(room, "kicked");
+      let updated = room;
+      if (room.isPrivate) {
+        updated = await rooms.update(room, (current) => ({
+          members: current.members.filter((id) => id !== target.id),
+        }));
+      }
+      await removeFromRoom(room, target);
+      await record(actor, room, "kick", target, { reason });
+      notify(target, room, "kick", actor, { reason });
+      return updated;
+    },
+
+    ban: async (actor, roomName, userId, { reason } = {}) => {
+      const { room, target } = await prepare(actor, roomName, userId);
+      requireLeavable(room, "banned");
+      const updated = await rooms.update(room, (current) => ({
+        bans: [...new Set([...(current.bans || []), target.id])],
+        members: current.members.filter((id) => id !== target.id),
+        moderators: (current.moderators || []).filter((id) => id !== target.id),
+      }));
+      await removeFromRoom(room, target);
+      await record(actor, room, "ban", target, { reason });
+      notify(target, room, "ban", actor, { reason });
+      return updated;
+    },
+
+    unban: async (actor, roomName, userId) => {
+      // Banned users can't be looked up through the room, so check the actor's role directly
+      const room = await rooms.get(roomName, actor.id);
+      if (!outranks(roleOf(room, actor), "member")) throw new ChatError("Only moderators can lift bans", 403);
+      const target = typeof userId === "string" ? await store.findAccountById(userId) : null;
+      if (!target || !(room.bans || []).includes(target.id)) throw new ChatError("That user is not banned", 404);
+
+      const updated = await rooms.update(room, (current) => ({ bans: current.bans.filter((id) => id !== target.id) }));
+      await record(actor, room, "unban", target);
+      notify(target, room, "unban", actor);
+      return updated;
+    },
+
+    // Muted users stay in the room but can't post there for `minutes`
+    mute: async (actor, roomName, userId, { minutes, reason } = {}) => {
+      if (!Number.isInteger(minutes) || minutes < 1) throw new ChatError("Mutes last a whole number of minutes");
+      const { room, target } = await prepare(actor, roomName, userId);
+      const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+      const updated = await rooms.update(room, (current) => ({
+        mutes: [...activeMutes(current).filter((m) => m.userId !== target.id), { userId: target.id, until }],
+      }));
+      await record(actor, room, "mute", target, { reason, until });
+      notify(target, room, "mute", actor, { reason, until });
+      return updated;
+    },
+
+    unmute: async (actor, roomName, userId) => {
+      const { room, target } = await prepare(actor, roomName, userId);
+      const updated = await rooms.update(room, (current) => ({
+        mutes: activeMutes(current).filter((m) => m.userId !== target.id),
+      }));
+      await record(actor, room, "unmute", target);
+      notify(target, room, "unmute", actor);
+      return updated;
+    },
+
+    // Called after a moderator deletes someone else's message
+    messageRemoved: async (actor, msg) => {
+      const room = await store.findRoom(msg.room);
+      await record(actor, room, "delete_message", { id: msg.senderId, username: msg.sender }, { messageId: msg.id });
+    },
+
+    // One page of the room's moderation log, for its owner and moderators
+    // -> { entries: [{ id, room, action, actorId, actor, targetId, target, reason?, until?, role?, messageId?, at }], hasMore }
+    auditLog: async (actor, roomName, { before, limit = MAX_AUDIT_PAGE } = {}) => {
+      const room = await rooms.get(roomName, actor.id);
+      if (!outranks(roleOf(room, actor), "member")) {
+        throw new ChatError(`Only moderators of #${room.name} can see its moderation log`, 403);
+      }
+      return store.getAuditLog(room.name, { before, limit: Math.min(MAX_AUDIT_PAGE, Math.max(1, limit)) });
+    },
+  };
+};
+
+module.exports = createModerationController;
@@ -0,0 +1,86 @@
+// controllers/presence.js — Presence (online, away, do-not-disturb, offline) and custom status messages
+
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+
+const STATUSES = ["online", "away", "dnd"]; // chosen by the user; "offline" only comes from disconnecting
+const MAX_STATUS_MESSAGE_LENGTH = 100;
+
+const createPresenceController = ({ store, io, state }) => {
+  // A chosen away or DND wins over activity; otherwise idle tabs make the user away.
+  // `user` is the account's runtime state, if it has connected since the state was reset.
+  const presenceOf = (account, user) => {
+    if (!user?.online) return "offline";
+    if (account.status === "away" || account.status === "dnd") return account.status;
+    return user.idle ? "away" : "online";
+  };
+
+  // What other clients see about an account
+  const publicPresence = (account, user) => ({
+    id: account.id,
+    username: account.username,
+    room: user?.room || null,
+    presence: presenceOf(account, user),
+    status: account.status || "online",
+    statusMessage: account.statusMessage || "",
+    lastSeen: account.lastSeen || null,
+  });
+
+  const announce = async (userId) => {
+    const account = await store.findAccountById(userId);
+    if (account) io.emit("presence", publicPresence(account, await state.getUser(userId)));
+  };
+
+  // The user is idle once every one of their tabs (on any server) reports being idle
+  const refreshIdle = async (user) => {
+    const sockets = await io.in(userRoom(user.id)).fetchSockets();
+    const idle = sockets.length > 0 && sockets.every((s) => s.data.idle);
+    const current = await state.getUser(user.id);
+    if (!current || idle === current.idle) return;
+    await state.updateUser(user.id, { idle });
+    await announce(user.id);
+  };
+
+  return {
+    // Everyone with an account, connected or not
+    list: async () => {
+      const users = new Map((await state.listUsers()).map((user) => [user.id, user]));
+      return (await store.listAccounts()).map((account) => publicPresence(account, users.get(account.id)));
+    },
+
+    // Payload: { status?, message? } — either may be changed on its own
+    setStatus: async (user, { status, message } = {}) => {
+      const changes = {};
+      if (status !== undefined) {
+        if (!STATUSES.includes(status)) throw new ChatError(`Status must be one of: ${STATUSES.join(", ")}`);
+        changes.status = status;
+      }
+      if (message !== undefined) {
+        if (typeof message !== "string" || message.length > MAX_STATUS_MESSAGE_LENGTH) {
+          throw new ChatError(`Status messages are limited to ${MAX_STATUS_MESSAGE_LENGTH} characters`);
+        }
+        changes.statusMessage = message.trim();
+      }
+
+      const account = await store.updateAccount(user.id, changes);
+      const presence = publicPresence(account, await state.getUser(user.id));
+      io.emit("presence", presence);
+      return presence;
+    },
+
+    setIdle: async (user, socket, idle) => {
+      socket.data.idle = Boolean(idle);
+      await refreshIdle(user);
+    },
+
+    refreshIdle,
+
+    // Remember when the user was last connected, for showing "last seen"
+    wentOffline: async (user) => {
+      await state.updateUser(user.id, { online: false, idle: false });
+      await store.updateAccount(user.id, { lastSeen: new Date().toISOString() });
+    },
+  };
+};
+
+module.exports = createPresenceController;
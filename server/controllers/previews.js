@@ -0,0 +1,81 @@
+// controllers/previews.js — Link previews attached to messages after they are sent or edited
+
+const { messageAudience } = require("../utils/audience");
+
+const MAX_LINKS = 3; // previews per message
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED = 500;
+// Bare http(s) links, as the client auto-links them; trailing punctuation belongs to the sentence
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+
+// Utility: the first few distinct links in a message's text, skipping ones inside code
+const linksIn = (text) => {
+  const prose = (text || "").replace(/```[\s\S]*?(```|$)/g, " ").replace(/`[^`\n]*`/g, " ");
+  const links = [];
+  for (const [match] of prose.matchAll(URL_PATTERN)) {
+    const link = match.replace(/[.,;:!?)\]]+$/, "");
+    try {
+      const { href } = new URL(link);
+      if (!links.includes(href)) links.push(href);
+    } catch {
+      // Not a URL after all
+    }
+    if (links.length === MAX_LINKS) break;
+  }
+  return links;
+};
+
+// fetcher: from previews/index.js, or null to turn previews off
+const createPreviewController = ({ store, io, fetcher }) => {
+  const cache = new Map(); // url -> { preview, expires }; Map order makes the first entry the oldest
+
+  // A link's preview ({ url, title, description, image, siteName }), or null if there is none.
+  // Failures are cached too, so a broken link isn't fetched again for every message.
+  const previewOf = async (url) => {
+    const cached = cache.get(url);
+    if (cached && cached.expires > Date.now()) return cached.preview;
+
+    let preview = null;
+    try {
+      const metadata = await fetcher(url);
+      if (metadata) preview = { url, ...metadata };
+    } catch (err) {
+      console.warn(`⚠️  No link preview for ${url}: ${err.message}`);
+    }
+    cache.delete(url);
+    cache.set(url, { preview, expires: Date.now() + CACHE_TTL_MS });
+    if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    return preview;
+  };
+
+  const refresh = async (msg, links) => {
+    const previews = (await Promise.all(links.map(previewOf))).filter(Boolean);
+    // The message may have been edited or deleted while the pages loaded
+    const current = await store.findMessage(msg.id);
+    if (!current || current.deleted || current.message !== msg.message) return;
+    if (previews.length === 0 && !current.previews?.length) return;
+
+    const updated = await store.updateMessage(msg.id, { previews });
+    messageAudience(io, updated).emit("message_updated", updated);
+  };
+
+  return {
+    // The message's previews for links that are still in `text`, so an edit drops the rest at once
+    retained: (msg, text) => {
+      const links = linksIn(text);
+      return (msg.previews || []).filter((p) => links.includes(p.url));
+    },
+
+    // Fetch previews for the message's links in the background; everyone who can see the message
+    // gets it again through `message_updated` once they are attached. Resolves when done.
+    attach: (msg) => {
+      if (!fetcher || msg.deleted) return Promise.resolve();
+      const links = linksIn(msg.message);
+      const current = (msg.previews || []).map((p) => p.url);
+      if (links.length === 0 && current.length === 0) return Promise.resolve();
+      return refresh(msg, links).catch((err) => console.error("❌ Could not attach link previews:", err));
+    },
+  };
+};
+
+module.exports = createPreviewController;
@@ -0,0 +1,132 @@
+// controllers/reads.js — Per-user read positions, read receipts and the unread counts derived from them
+
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+const { privateChatMembers, conversationOf } = require("../utils/conversations");
+
+// Clients key conversations by room name, or by the other participant's id in a DM
+const clientKey = (conversationId, userId) => {
+  if (!conversationId.startsWith("dm:")) return conversationId;
+  return privateChatMembers(conversationId).find((id) => id !== userId) ?? userId;
+};
+
+const createReadController = ({ store, io, state, rooms, messages }) => {
+  const readStateOf = async (userId, conversationId) =>
+    (await store.listReadStates({ userId, conversationId }))[0] || null;
+
+  // Messages from others after the user's read position; with no position yet, all of them
+  const unreadIn = async (userId, conversationId) => {
+    const state = await readStateOf(userId, conversationId);
+    return store.countMessagesSince(conversationId, state?.lastReadAt || "", { excludeSenderId: userId });
+  };
+
+  // A read position as receipts show it; the username is looked up so it is always current
+  const receiptOf = async (state) => {
+    const account = await store.findAccountById(state.userId);
+    return {
+      userId: state.userId,
+      username: account?.username || "unknown",
+      lastReadId: state.lastReadId,
+      lastReadAt: state.lastReadAt,
+    };
+  };
+
+  // Push a fresh unread count for one conversation to all of a user's tabs
+  const sendUnread = async (userId, conversationId) => {
+    io.to(userRoom(userId)).emit("unread_count", {
+      conversation: clientKey(conversationId, userId),
+      count: await unreadIn(userId, conversationId),
+    });
+  };
+
+  // Tell the conversation's participants that someone's read position moved
+  const announce = async (state) => {
+    const receipt = await receiptOf(state);
+    if (state.conversationId.startsWith("dm:")) {
+      for (const memberId of new Set(privateChatMembers(state.conversationId))) {
+        io.to(userRoom(memberId)).emit("read_state", {
+          conversation: clientKey(state.conversationId, memberId),
+          ...receipt,
+        });
+      }
+    } else {
+      io.to(state.conversationId).emit("read_state", { conversation: state.conversationId, ...receipt });
+    }
+  };
+
+  return {
+    clientKey,
+
+    // Move the user's read position up to `messageId`; reading an older message never moves it back
+    markRead: async (user, messageId) => {
+      const msg = await store.findMessage(messageId);
+      if (!msg || !(await messages.canRead(user, msg))) throw new ChatError("Message not found", 404);
+
+      // Thread replies aren't part of the timeline, so they don't count towards unread
+      const conversationId = conversationOf(msg);
+      if (conversationId.startsWith("thread:")) return null;
+
+      const current = await readStateOf(user.id, conversationId);
+      if (current && current.lastReadAt >= msg.timestamp) return receiptOf(current);
+
+      const state = await store.saveReadState({
+        userId: user.id,
+        conversationId,
+        lastReadId: msg.id,
+        lastReadAt: msg.timestamp,
+      });
+      await announce(state);
+      await sendUnread(user.id, conversationId);
+      return receiptOf(state);
+    },
+
+    // Entering a room for the first time starts the user with its history already read
+    startReading: async (user, roomName) => {
+      if (await readStateOf(user.id, roomName)) return;
+      const {
+        messages: [latest],
+      } = await store.getMessages(roomName, { limit: 1 });
+      await store.saveReadState({
+        userId: user.id,
+        conversationId: roomName,
+        lastReadId: latest?.id ?? null,
+        lastReadAt: latest?.timestamp || new Date().toISOString(),
+      });
+    },
+
+    // Non-zero unread counts for the user's DMs and the rooms they have entered, keyed like clients key them
+    unreadCounts: async (user) => {
+      const entered = new Set((await store.listReadStates({ userId: user.id })).map((s) => s.conversationId));
+      const counts = {};
+      for (const conversationId of await store.listConversations()) {
+        if (conversationId.startsWith("dm:")) {
+          if (!privateChatMembers(conversationId).includes(user.id)) continue;
+        } else {
+          if (!entered.has(conversationId)) continue;
+          const room = await store.findRoom(conversationId);
+          if (!room || !rooms.canAccess(room, user.id)) continue;
+        }
+        const count = await unreadIn(user.id, conversationId);
+        if (count > 0) counts[clientKey(conversationId, user.id)] = count;
+      }
+      return counts;
+    },
+
+    // After a new message, refresh the counts of connected users following the conversation
+    messageAdded: async (msg) => {
+      const conversationId = conversationOf(msg);
+      const followers = msg.isPrivate
+        ? [msg.receiverId]
+        : (await store.listReadStates({ conversationId })).map((s) => s.userId);
+      for (const userId of followers) {
+        if (userId !== msg.senderId && (await state.getUser(userId))?.online) await sendUnread(userId, conversationId);
+      }
+    },
+
+    // Everyone's read position in a conversation, for showing receipts
+    receipts: async (conversationId) =>
+      Promise.all((await store.listReadStates({ conversationId })).map(receiptOf)),
+  };
+};
+
+module.exports = createReadController;
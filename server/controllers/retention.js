@@ -0,0 +1,162 @@
+// controllers/retention.js — Per-room retention policies and the sweeper that prunes old history
+// and files no message uses any more
+
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+const { privateChatMembers, threadKey } = require("../utils/conversations");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+// The largest value each policy field accepts
+const LIMITS = { maxMessages: 1000000, maxAgeDays: 3650, maxAttachmentMB: 100000 };
+
+// Utility: the stricter of two limits, where null means unlimited
+const stricter = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+
+// defaults: { maxMessages, maxAgeDays, maxAttachmentMB } from the environment (null = unlimited);
+// they apply to every DM, and rooms can only tighten them
+const createRetentionController = ({ store, io, rooms, moderation, disk, defaults, orphanGraceMs }) => {
+  // The policy in force for a room, or for DMs when `room` is null
+  const policyFor = (room) => {
+    const own = room?.retention || {};
+    return Object.fromEntries(
+      Object.keys(LIMITS).map((field) => [field, stricter(defaults[field], own[field] ?? null)])
+    );
+  };
+
+  const allReplies = async (msg) =>
+    msg.replyCount ? (await store.getMessages(threadKey(msg.id), { limit: Infinity })).messages : [];
+
+  // Tell everyone who can see the conversation which messages are gone and how much is missing now
+  const announce = (conversationId, ids, record) => {
+    const pruned = { count: record.count, before: record.before };
+    if (!conversationId.startsWith("dm:")) {
+      io.to(conversationId).emit("messages_pruned", { conversation: conversationId, ids, pruned });
+      return;
+    }
+    const members = privateChatMembers(conversationId);
+    for (const memberId of new Set(members)) {
+      const peerId = members.find((id) => id !== memberId) ?? memberId;
+      io.to(userRoom(memberId)).emit("messages_pruned", { conversation: peerId, ids, pruned });
+    }
+  };
+
+  // Remove the oldest timeline messages (with their threads) until the conversation fits the policy.
+  // Attachment sizes count a message's thread along with it. -> number of messages removed
+  const prune = async (conversationId, policy, now) => {
+    const { messages: timeline } = await store.getMessages(conversationId, { limit: Infinity });
+    let cut = 0; // how many of the oldest messages go
+    if (policy.maxMessages !== null) cut = Math.max(cut, timeline.length - policy.maxMessages);
+    if (policy.maxAgeDays !== null) {
+      const oldestKept = new Date(now - policy.maxAgeDays * DAY_MS).toISOString();
+      const firstKept = timeline.findIndex((m) => m.timestamp >= oldestKept);
+      cut = Math.max(cut, firstKept === -1 ? timeline.length : firstKept);
+    }
+    if (policy.maxAttachmentMB !== null) {
+      let bytes = 0;
+      for (let i = timeline.length - 1; i >= cut; i--) {
+        for (const m of [timeline[i], ...(await allReplies(timeline[i]))]) bytes += m.file?.size || 0;
+        if (bytes > policy.maxAttachmentMB * MB) {
+          cut = i + 1;
+          break;
+        }
+      }
+    }
+    if (cut === 0) return 0;
+
+    const removed = timeline.slice(0, cut);
+    const ids = removed.map((m) => m.id);
+    for (const msg of removed) {
+      const replies = await allReplies(msg);
+      if (replies.length === 0) continue;
+      await store.removeMessages(threadKey(msg.id), replies.map((r) => r.id));
+      ids.push(...replies.map((r) => r.id));
+    }
+    // Another server process may have pruned them already
+    const count = await store.removeMessages(conversationId, removed.map((m) => m.id));
+    if (count === 0) return 0;
+
+    const [previous] = await store.listPruneRecords({ conversationId });
+    const record = await store.savePruneRecord({
+      conversationId,
+      count: (previous?.count || 0) + count,
+      before: removed[removed.length - 1].timestamp,
+      at: new Date(now).toISOString(),
+    });
+    announce(conversationId, ids, record);
+    return count;
+  };
+
+  // Delete uploads no stored message points at, once they are older than the grace period
+  // (which leaves time to send a file after uploading it). -> number of files removed
+  const sweepFiles = async (now) => {
+    const used = new Set();
+    for (const conversationId of await store.listConversations()) {
+      const { messages } = await store.getMessages(conversationId, { limit: Infinity });
+      for (const msg of messages) if (msg.file) used.add(msg.file.id);
+    }
+    let removed = 0;
+    for (const file of await store.listFiles()) {
+      const uploadedAt = Date.parse(file.lastUploadedAt || file.createdAt);
+      if (used.has(file.id) || now - uploadedAt < orphanGraceMs) continue;
+      await disk.remove(file);
+      await store.removeFile(file.id);
+      removed += 1;
+    }
+    return removed;
+  };
+
+  const sweep = async (now = Date.now()) => {
+    let messages = 0;
+    for (const conversationId of await store.listConversations()) {
+      if (conversationId.startsWith("thread:")) continue; // pruned along with their parents
+      const room = conversationId.startsWith("dm:") ? null : await store.findRoom(conversationId);
+      messages += await prune(conversationId, policyFor(room), now);
+    }
+    const files = await sweepFiles(now);
+    if (messages || files) console.log(`🧹 Retention removed ${messages} messages and ${files} files`);
+    return { messages, files };
+  };
+
+  return {
+    LIMITS,
+    policyFor,
+    sweep,
+
+    // What retention has removed from a conversation, for history pages -> { count, before } | null
+    pruned: async (conversationId) => {
+      const [record] = await store.listPruneRecords({ conversationId });
+      return record ? { count: record.count, before: record.before } : null;
+    },
+
+    // Owners set their room's policy; each field is a whole number, or null for the server default.
+    // The room is pruned straight away.
+    setPolicy: async (actor, roomName, policy = {}) => {
+      const room = await rooms.get(roomName, actor.id);
+      if (moderation.roleOf(room, actor) !== "owner") {
+        throw new ChatError(`Only the owner of #${room.name} can change its retention`, 403);
+      }
+      const retention = {};
+      for (const [field, max] of Object.entries(LIMITS)) {
+        const value = policy[field] ?? null;
+        if (value !== null && (!Number.isInteger(value) || value < 1 || value > max)) {
+          throw new ChatError(`${field} must be a whole number from 1 to ${max}`, 400, { field });
+        }
+        retention[field] = value;
+      }
+
+      const updated = await rooms.update(room, { retention });
+      await prune(room.name, policyFor(updated), Date.now());
+      return updated;
+    },
+
+    // Sweep every `intervalMs` in the background; each server process sweeps, which is harmless
+    start: (intervalMs) => {
+      const run = () => sweep().catch((err) => console.error("❌ Retention sweep failed:", err));
+      run();
+      setInterval(run, intervalMs).unref();
+    },
+  };
+};
+
+module.exports = createRetentionController;
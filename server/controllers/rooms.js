@@ -0,0 +1,188 @@
+// controllers/rooms.js — Room creation, listing, invites and archiving (shared by sockets and REST)
+
+const { ChatError } = require("../utils/errors");
+const { userRoom } = require("../utils/audience");
+
+const ROOM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_TOPIC_LENGTH = 200;
+const DEFAULT_ROOMS = ["global", "tech", "fun", "random"];
+const LOBBY = "global";
+
+// Utility: whether a user is banned from the room (rooms created before moderation have no list)
+const isBanned = (room, userId) => (room.bans || []).includes(userId);
+
+// Public rooms are open to everyone; private ones only to their members. Bans override both.
+const canAccess = (room, userId) =>
+  !room.archived && !isBanned(room, userId) && (!room.isPrivate || room.members.includes(userId));
+
+const createRoomController = ({ store, io, state }) => {
+  // Tell everyone who can see a room about a change to it
+  const broadcast = (event, room) => {
+    if (room.isPrivate) {
+      for (const memberId of room.members) io.to(userRoom(memberId)).emit(event, room);
+    } else {
+      io.emit(event, room);
+    }
+  };
+
+  const requireRoom = async (name) => {
+    const room = await store.findRoom(name);
+    if (!room || room.archived) throw new ChatError(`Room #${name} does not exist`, 404);
+    return room;
+  };
+
+  // Changes read the room and save a changed copy. A room's changes run one at a time, each reading
+  // the room as stored when it runs, so overlapping ones (a kick and a mute) don't undo each other.
+  const queues = new Map(); // room name -> settles after the room's last queued change
+  const exclusive = (name, change) => {
+    const run = (queues.get(name) || Promise.resolve()).then(change);
+    const settled = run.catch(() => {});
+    queues.set(name, settled);
+    settled.then(() => queues.get(name) === settled && queues.delete(name));
+    return run;
+  };
+
+  return {
+    LOBBY,
+    canAccess,
+
+    // Seed the default public rooms on first start
+    init: async () => {
+      for (const name of DEFAULT_ROOMS) {
+        if (await store.findRoom(name)) continue;
+        await store.saveRoom({
+          name,
+          topic: "",
+          ownerId: null,
+          createdAt: new Date().toISOString(),
+          isPrivate: false,
+          members: [],
+          moderators: [],
+          bans: [],
+          mutes: [],
+          archived: false,
+        });
+      }
+    },
+
+    list: async (userId) => (await store.listRooms()).filter((room) => canAccess(room, userId)),
+
+    // The room a user may enter, or a ChatError explaining why not
+    get: async (name, userId) => {
+      const room = await requireRoom(name);
+      if (isBanned(room, userId)) throw new ChatError(`You are banned from #${name}`, 403, { code: "banned" });
+      if (!canAccess(room, userId)) throw new ChatError(`#${name} is invite-only`, 403);
+      return room;
+    },
+
+    create: async (user, { name, topic = "", isPrivate = false, members = [] } = {}) => {
+      name = typeof name === "string" ? name.trim().toLowerCase() : "";
+      if (!ROOM_NAME_PATTERN.test(name)) {
+        throw new ChatError("Room names are 1-32 lowercase letters, numbers, dashes or underscores");
+      }
+      if (typeof topic !== "string" || topic.length > MAX_TOPIC_LENGTH) {
+        throw new ChatError(`Topics are at most ${MAX_TOPIC_LENGTH} characters`);
+      }
+      // Archived names stay reserved so their history is never mixed with a new room
+      if (await store.findRoom(name)) throw new ChatError(`#${name} already exists`, 409);
+
+      const room = await store.saveRoom({
+        name,
+        topic,
+        ownerId: user.id,
+        createdAt: new Date().toISOString(),
+        isPrivate: !!isPrivate,
+        members: [
+          ...new Set([user.id, ...(Array.isArray(members) ? members : []).filter((id) => typeof id === "string")]),
+        ],
+        moderators: [],
+        bans: [],
+        mutes: [],
+        archived: false,
+      });
+      broadcast("room_created", room);
+      return room;
+    },
+
+    // Recreate a room from an exported archive's metadata, keeping its owner, members and moderators
+    restore: async ({ name, topic, isPrivate, ownerId, createdAt, members, moderators }) => {
+      if (typeof name !== "string" || !ROOM_NAME_PATTERN.test(name)) {
+        throw new ChatError("The archive's room name is invalid");
+      }
+      if (await store.findRoom(name)) throw new ChatError(`#${name} already exists`, 409);
+      const ids = (list) => (Array.isArray(list) ? list.filter((id) => typeof id === "string") : []);
+
+      const room = await store.saveRoom({
+        name,
+        topic: typeof topic === "string" ? topic.slice(0, MAX_TOPIC_LENGTH) : "",
+        ownerId: typeof ownerId === "string" ? ownerId : null,
+        createdAt: typeof createdAt === "string" ? createdAt : new Date().toISOString(),
+        isPrivate: !!isPrivate,
+        members: ids(members),
+        moderators: ids(moderators),
+        bans: [],
+        mutes: [],
+        archived: false,
+      });
+      broadcast("room_created", room);
+      return room;
+    },
+
+    invite: (user, name, userId) =>
+      exclusive(name, async () => {
+        const room = await requireRoom(name);
+        if (!room.isPrivate) throw new ChatError(`#${name} is public; anyone can join`);
+        if (!room.members.includes(user.id)) throw new ChatError(`You are not a member of #${name}`, 403);
+        if (room.members.includes(userId)) return room;
+        if (isBanned(room, userId)) throw new ChatError("That user is banned from this room", 403);
+
+        const updated = await store.saveRoom({ ...room, members: [...room.members, userId] });
+        broadcast("room_updated", updated);
+        return updated;
+      }),
+
+    // Who may change it is up to the caller (the /topic command checks for moderators)
+    setTopic: async (room, topic) => {
+      if (typeof topic !== "string" || topic.length > MAX_TOPIC_LENGTH) {
+        throw new ChatError(`Topics are at most ${MAX_TOPIC_LENGTH} characters`);
+      }
+      return exclusive(room.name, async () => {
+        const updated = await store.saveRoom({ ...(await requireRoom(room.name)), topic: topic.trim() });
+        broadcast("room_updated", updated);
+        return updated;
+      });
+    },
+
+    // Save a change made elsewhere (moderation, retention) and tell everyone who can see the room.
+    // Changes that depend on the room's lists pass a function of the room as it is when they run.
+    update: (room, changes) =>
+      exclusive(room.name, async () => {
+        const current = await requireRoom(room.name);
+        const updated = await store.saveRoom({
+          ...current,
+          ...(typeof changes === "function" ? changes(current) : changes),
+        });
+        broadcast("room_updated", updated);
+        return updated;
+      }),
+
+    // Archiving keeps the history but removes the room from lists; occupants go to the lobby
+    archive: (user, name) =>
+      exclusive(name, async () => {
+        const room = await requireRoom(name);
+        if (name === LOBBY) throw new ChatError(`#${LOBBY} cannot be deleted`, 403);
+        if (room.ownerId !== user.id) throw new ChatError("Only the room owner can delete it", 403);
+
+        const archived = await store.saveRoom({ ...room, archived: true });
+        for (const u of await state.listUsers()) {
+          if (u.room === name) await state.updateUser(u.id, { room: LOBBY });
+        }
+        io.in(name).socketsJoin(LOBBY);
+        io.in(name).socketsLeave(name);
+        broadcast("room_deleted", archived);
+        return archived;
+      }),
+  };
+};
+
+module.exports = createRoomController;
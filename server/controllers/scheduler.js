@@ -0,0 +1,149 @@
+// controllers/scheduler.js — Messages sent at a later time, and ephemeral messages that delete
+// themselves once their time is up or once they have been read
+
+const crypto = require("crypto");
+const { ChatError } = require("../utils/errors");
+const { userRoom, messageAudience } = require("../utils/audience");
+const { conversationOf } = require("../utils/conversations");
+
+const MAX_SCHEDULED_PER_USER = 50;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+// How long an expire-after-read message stays up once read, so the reader actually gets to see it
+const READ_GRACE_MS = 30 * 1000;
+// How long a process has to send an entry it claimed before another one may try
+const CLAIM_TTL_MS = 60 * 1000;
+
+// actions: { postToRoom, postPrivate, sendOnce } from server.js; findUser resolves a DM recipient
+const createSchedulerController = ({ store, io, rooms, messages, findUser, actions }) => {
+  // Push the user's pending scheduled messages to all of their tabs
+  const sendList = async (userId) => {
+    io.to(userRoom(userId)).emit("scheduled_messages", await store.listScheduled({ userId }));
+  };
+
+  // Post a due entry as its author. The clientId makes the post idempotent, so retrying an entry whose
+  // claim lapsed (its sender crashed after posting) finds the message already sent.
+  const send = async (entry) => {
+    const user = await findUser(entry.userId);
+    if (!user) throw new ChatError("Your account no longer exists", 404);
+    const data = {
+      message: entry.message,
+      clientId: `scheduled-${entry.id}`,
+      expiresInMinutes: entry.expiresInMinutes,
+      expireAfterRead: entry.expireAfterRead,
+    };
+    if (entry.to) {
+      const recipient = await findUser(entry.to);
+      if (!recipient) throw new ChatError("That user does not exist", 404);
+      return actions.sendOnce(user, data.clientId, () => actions.postPrivate(user, recipient, data));
+    }
+    // Access may have been lost since the message was scheduled
+    const room = await rooms.get(entry.room, user.id);
+    return actions.sendOnce(user, data.clientId, () => actions.postToRoom(user, { ...data, room: room.name }));
+  };
+
+  const sendDue = async (now) => {
+    const due = (await store.listScheduled()).filter((e) => Date.parse(e.sendAt) <= now);
+    for (const entry of due) {
+      // Every process sees the same due entries; only the one that claims an entry sends it
+      if (!(await store.claimScheduled(entry.id, CLAIM_TTL_MS))) continue;
+      // Removed only after sending: after a crash in between, the resend finds the message by its clientId
+      try {
+        await send(entry);
+      } catch (err) {
+        if (!(err instanceof ChatError)) console.error("❌ Scheduled message failed:", err);
+        io.to(userRoom(entry.userId)).emit("scheduled_message_failed", { entry, error: err.message });
+      }
+      await store.removeScheduled(entry.id);
+      await sendList(entry.userId);
+    }
+  };
+
+  const expireDue = async (now) => {
+    const expired = (await store.listEphemeral()).filter((m) => m.expiresAt && Date.parse(m.expiresAt) <= now);
+    for (const msg of expired) await messages.expire(msg);
+  };
+
+  let ticking = false;
+  const tick = async (now = Date.now()) => {
+    if (ticking) return; // a slow store shouldn't stack up ticks
+    ticking = true;
+    try {
+      await sendDue(now);
+      await expireDue(now);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  return {
+    tick,
+
+    // Queue a message for `sendAt` in a room (`room`) or a DM (`to`, a user id); it is posted with
+    // the same expiry options as a message sent straight away. -> the scheduled entry
+    schedule: async (user, { message, sendAt, room, to, expiresInMinutes, expireAfterRead }) => {
+      const at = Date.parse(sendAt);
+      if (Number.isNaN(at)) throw new ChatError("sendAt must be a date and time", 400, { field: "sendAt" });
+      if (at <= Date.now()) throw new ChatError("Scheduled messages must be sent in the future", 400);
+      if (at - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        throw new ChatError("Messages can be scheduled at most a year ahead", 400);
+      }
+      if (!room === !to) throw new ChatError("Schedule a message for either a room or a user", 400);
+      if ((await store.listScheduled({ userId: user.id })).length >= MAX_SCHEDULED_PER_USER) {
+        throw new ChatError(`You can have at most ${MAX_SCHEDULED_PER_USER} scheduled messages`, 429);
+      }
+
+      const recipient = to ? await findUser(to) : null;
+      if (to && !recipient) throw new ChatError("That user does not exist", 404);
+      const target = room ? await rooms.get(room, user.id) : null;
+
+      const entry = await store.saveScheduled({
+        id: crypto.randomUUID(),
+        userId: user.id,
+        room: target?.name || null,
+        to: recipient?.id || null,
+        toUsername: recipient?.username || null,
+        message,
+        sendAt: new Date(at).toISOString(),
+        expiresInMinutes: expiresInMinutes || null,
+        expireAfterRead: !!expireAfterRead,
+        createdAt: new Date().toISOString(),
+      });
+      await sendList(user.id);
+      return entry;
+    },
+
+    // The user's scheduled messages, soonest first
+    list: (user) => store.listScheduled({ userId: user.id }),
+
+    cancel: async (user, id) => {
+      const entry = (await store.listScheduled({ userId: user.id })).find((e) => e.id === id);
+      if (!entry) throw new ChatError("Scheduled message not found", 404);
+      await store.removeScheduled(id);
+      await sendList(user.id);
+      return entry;
+    },
+
+    // The user has read up to `messageId`: expire-after-read messages from others up to there
+    // start their short countdown, which everyone sees through `message_updated`
+    messageRead: async (user, messageId) => {
+      const read = await store.findMessage(messageId);
+      if (!read) return;
+      const conversationId = conversationOf(read);
+      const expiresAt = new Date(Date.now() + READ_GRACE_MS).toISOString();
+      for (const msg of await store.listEphemeral()) {
+        if (!msg.expireAfterRead || msg.senderId === user.id || msg.timestamp > read.timestamp) continue;
+        if (conversationOf(msg) !== conversationId || (msg.expiresAt && msg.expiresAt <= expiresAt)) continue;
+        const updated = await store.updateMessage(msg.id, { expiresAt });
+        messageAudience(io, updated).emit("message_updated", updated);
+      }
+    },
+
+    // Check for due messages every `intervalMs`; every server process does, and each entry is
+    // sent by the process that claims it
+    start: (intervalMs) => {
+      setInterval(() => tick().catch((err) => console.error("❌ Scheduler tick failed:", err)), intervalMs).unref();
+    },
+  };
+};
+
+module.exports = createSchedulerController;
@@ -0,0 +1,124 @@
+// controllers/search.js — Full-history message search over every room, DM and thread a user can read
+
+const { ChatError } = require("../utils/errors");
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_RADIUS = 60; // characters of context on each side of the first match
+
+// Utility: how many times `term` occurs in `text`
+const occurrences = (text, term) => {
+  let count = 0;
+  for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + term.length)) count += 1;
+  return count;
+};
+
+// Utility: a date filter as an ISO string, comparable with message timestamps
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ChatError(`"${name}" is not a valid date`);
+  return date.toISOString();
+};
+
+// Utility: a window of the message around its first match, with [start, end) ranges of every match.
+// Ranges index into the returned text, so clients can highlight without parsing markup.
+const snippetOf = (message, terms) => {
+  const lower = message.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i !== -1));
+  if (!Number.isFinite(first)) return { text: message.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(message.length, first + SNIPPET_RADIUS);
+  const prefix = start > 0 ? "…" : "";
+  const text = prefix + message.slice(start, end) + (end < message.length ? "…" : "");
+
+  const ranges = [];
+  const window = lower.slice(start, end);
+  for (const term of terms) {
+    for (let i = window.indexOf(term); i !== -1; i = window.indexOf(term, i + term.length)) {
+      ranges.push([i + prefix.length, i + prefix.length + term.length]);
+    }
+  }
+  // Merge overlapping ranges so each character is highlighted once
+  const highlights = [];
+  for (const range of ranges.sort((a, b) => a[0] - b[0])) {
+    const last = highlights[highlights.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else highlights.push(range);
+  }
+  return { text, highlights };
+};
+
+const createSearchController = ({ store, messages, pageSize }) => {
+  // Every conversation's messages share a room or DM, so checking one message covers them all
+  const readableConversations = async (user) => {
+    const readable = [];
+    for (const conversationId of await store.listConversations()) {
+      const {
+        messages: [latest],
+      } = await store.getMessages(conversationId, { limit: 1 });
+      if (latest && (await messages.canRead(user, latest))) readable.push(conversationId);
+    }
+    return readable;
+  };
+
+  return {
+    // Every term must appear in the text or attachment name. Filters: sender (username),
+    // room (name; excludes DMs), from / to (dates) and hasFile. Results rank by how often the terms
+    // match, with an exact phrase counting extra, and newest first on ties (or throughout, with no query).
+    // -> { results: [{ message, conversation, score, snippet: { text, highlights } }], total, nextOffset }
+    search: async (user, { query = "", sender, room, from, to, hasFile, offset = 0, limit = pageSize } = {}) => {
+      if (typeof query !== "string" || query.length > MAX_QUERY_LENGTH) {
+        throw new ChatError(`Search queries are limited to ${MAX_QUERY_LENGTH} characters`);
+      }
+      const phrase = query.trim().toLowerCase();
+      const terms = phrase.split(/\s+/).filter(Boolean);
+      const since = parseDate(from, "from");
+      const until = parseDate(to, "to");
+      if (!terms.length && !sender && !room && !since && !until && !hasFile) {
+        throw new ChatError("Enter something to search for");
+      }
+      const start = Math.max(0, parseInt(offset, 10) || 0);
+      const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || pageSize));
+
+      const matches = [];
+      for (const conversationId of await readableConversations(user)) {
+        const { messages: history } = await store.getMessages(conversationId, { limit: Infinity });
+        for (const msg of history) {
+          if (msg.deleted) continue;
+          if (sender && msg.sender.toLowerCase() !== String(sender).toLowerCase()) continue;
+          if (room && (msg.isPrivate || msg.room !== room)) continue;
+          if (since && msg.timestamp < since) continue;
+          if (until && msg.timestamp > until) continue;
+          if (hasFile && !msg.file) continue;
+
+          const text = typeof msg.message === "string" ? msg.message : "";
+          const haystack = `${text}\n${msg.file?.name || ""}`.toLowerCase();
+          if (!terms.every((t) => haystack.includes(t))) continue;
+
+          const score =
+            terms.reduce((sum, t) => sum + occurrences(haystack, t), 0) +
+            (terms.length > 1 && haystack.includes(phrase) ? terms.length : 0);
+          matches.push({
+            message: msg,
+            // Keyed the way clients key conversations: room name, or the other side of a DM
+            conversation: msg.isPrivate ? (msg.senderId === user.id ? msg.receiverId : msg.senderId) : msg.room,
+            score,
+            snippet: snippetOf(text || msg.file?.name || "", terms),
+          });
+        }
+      }
+
+      matches.sort((a, b) => b.score - a.score || b.message.timestamp.localeCompare(a.message.timestamp));
+      const results = matches.slice(start, start + size);
+      return {
+        results,
+        total: matches.length,
+        nextOffset: start + size < matches.length ? start + size : null,
+      };
+    },
+  };
+};
+
+module.exports = createSearchController;
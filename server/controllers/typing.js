@@ -0,0 +1,59 @@
+// controllers/typing.js — Typing indicators scoped to a room or DM, expiring without a refresh
+
+const { userRoom } = require("../utils/audience");
+const { privateChatKey, privateChatMembers } = require("../utils/conversations");
+
+// A typing indicator is either in a room ({ room }) or in a DM ({ peerId })
+const typingKey = (userId, target) =>
+  target.peerId ? privateChatKey(userId, target.peerId) : target.room;
+
+// Who is typing lives in the shared state; each expiry timer lives in the process that received
+// the user's last refresh, and the stored expiry covers a process that stops before it fires
+const createTypingController = ({ io, state, timeoutMs }) => {
+  const timers = new Map(); // "conversation\nuserId" -> timeout
+
+  // Clients key typing by room name, or by the peer's id in a DM — the same keys as unreadCounts
+  const broadcast = async (key) => {
+    const typers = await state.listTyping(key);
+    if (key.startsWith("dm:")) {
+      const [a, b] = privateChatMembers(key);
+      const namesOf = (id) => typers.filter((t) => t.userId === id).map((t) => t.username);
+      io.to(userRoom(a)).emit("typing_users", { conversation: b, users: namesOf(b) });
+      io.to(userRoom(b)).emit("typing_users", { conversation: a, users: namesOf(a) });
+    } else {
+      io.to(key).emit("typing_users", { conversation: key, users: typers.map((t) => t.username) });
+    }
+  };
+
+  const stop = async (key, userId) => {
+    clearTimeout(timers.get(`${key}\n${userId}`));
+    timers.delete(`${key}\n${userId}`);
+    if (await state.clearTyping(key, userId)) await broadcast(key);
+  };
+
+  // Timers fire outside any handler, so their failures are logged here
+  const expire = (key, userId) => () =>
+    stop(key, userId).catch((err) => console.error("❌ Could not expire a typing indicator:", err));
+
+  return {
+    // Start (or refresh) a user's indicator; it lapses after timeoutMs unless refreshed again
+    set: async (user, target, isTyping) => {
+      const key = typingKey(user.id, target);
+      if (!isTyping) return stop(key, user.id);
+
+      const timer = `${key}\n${user.id}`;
+      const existing = timers.has(timer);
+      clearTimeout(timers.get(timer));
+      timers.set(timer, setTimeout(expire(key, user.id), timeoutMs));
+      await state.setTyping(key, user.id, user.username, Date.now() + timeoutMs);
+      if (!existing) await broadcast(key);
+    },
+
+    // Drop every indicator a user has, e.g. once their last socket disconnects
+    clearUser: async (userId) => {
+      for (const key of await state.typingConversations(userId)) await stop(key, userId);
+    },
+  };
+};
+
+module.exports = createTypingController;
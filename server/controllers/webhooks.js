@@ -0,0 +1,156 @@
+// controllers/webhooks.js — Outgoing webhooks: room messages matching a pattern are POSTed, signed,
+// to URLs the room's owner registered, with retries and a log of deliveries that failed
+
+const crypto = require("crypto");
+const { ChatError } = require("../utils/errors");
+
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const MAX_URL_LENGTH = 2000;
+const MAX_PATTERN_LENGTH = 200;
+// Receivers that time out, are rate limiting or are broken may take a retry later; other answers are final
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+// Utility: whether `text` contains `pattern`, where * stands for any run of characters; case-insensitive.
+// Patterns come from room owners, so the parts are found left to right instead of through a RegExp
+// that a crafted pattern could make backtrack for ever. An empty pattern matches every message.
+const matches = (pattern, text) => {
+  const haystack = (text || "").toLowerCase();
+  let at = 0;
+  for (const part of (pattern || "").toLowerCase().split("*")) {
+    if (!part) continue;
+    const found = haystack.indexOf(part, at);
+    if (found === -1) return false;
+    at = found + part.length;
+  }
+  return true;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+// send: from webhooks/httpSender.js. A delivery is tried `maxAttempts` times, waiting `retryMs`,
+// then twice as long each time, between attempts.
+const createWebhookController = ({ store, rooms, moderation, send, maxAttempts, retryMs }) => {
+  const requireOwner = async (actor, roomName) => {
+    const room = await rooms.get(roomName, actor.id);
+    if (moderation.roleOf(room, actor) !== "owner") {
+      throw new ChatError(`Only the owner of #${room.name} can manage its webhooks`, 403);
+    }
+    return room;
+  };
+
+  const requireWebhook = async (room, id) => {
+    const webhook = (await store.listWebhooks({ room: room.name })).find((w) => w.id === id);
+    if (!webhook) throw new ChatError("Webhook not found", 404);
+    return webhook;
+  };
+
+  const stillRegistered = async (webhook) =>
+    (await store.listWebhooks({ room: webhook.room })).some((w) => w.id === webhook.id);
+
+  // POST the message until the receiver answers 2xx; the body and its delivery id stay the same on
+  // every attempt, so receivers can tell retries apart from new messages
+  const deliver = async (webhook, msg) => {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({ event: "message", deliveryId, webhookId: webhook.id, room: msg.room, message: msg });
+    const headers = {
+      "x-chat-event": "message",
+      "x-chat-delivery": deliveryId,
+      "x-chat-signature": `sha256=${crypto.createHmac("sha256", webhook.secret).update(body).digest("hex")}`,
+    };
+
+    let attempts = 0;
+    let error = null;
+    while (attempts < maxAttempts) {
+      if (attempts > 0) {
+        await wait(retryMs * 2 ** (attempts - 1));
+        if (!(await stillRegistered(webhook))) return;
+      }
+      attempts += 1;
+      try {
+        const status = await send(webhook.url, body, headers);
+        if (status >= 200 && status < 300) return;
+        error = `Receiver answered ${status}`;
+        if (!isRetryable(status)) break;
+      } catch (err) {
+        error = err.message;
+      }
+    }
+
+    console.warn(`⚠️  Webhook ${webhook.id} for #${webhook.room} gave up after ${attempts} attempts: ${error}`);
+    if (!(await stillRegistered(webhook))) return;
+    await store.addWebhookFailure({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      room: webhook.room,
+      messageId: msg.id,
+      attempts,
+      error,
+      at: new Date().toISOString(),
+    });
+  };
+
+  return {
+    // The room's webhooks, with the secrets their receivers check signatures with. Owners only.
+    list: async (actor, roomName) => store.listWebhooks({ room: (await requireOwner(actor, roomName)).name }),
+
+    // { url, pattern? }: messages whose text contains the pattern (* = anything) are sent to `url`
+    create: async (actor, roomName, { url, pattern } = {}) => {
+      const room = await requireOwner(actor, roomName);
+      let parsed = null;
+      try {
+        parsed = typeof url === "string" && url.length <= MAX_URL_LENGTH ? new URL(url) : null;
+      } catch {
+        // Reported below
+      }
+      if (!parsed || (parsed.protocol !== "https:" && parsed.protocol !== "http:")) {
+        throw new ChatError("url must be an http or https URL", 400, { field: "url" });
+      }
+      if (pattern != null && (typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH)) {
+        throw new ChatError(`pattern must be text of at most ${MAX_PATTERN_LENGTH} characters`, 400, {
+          field: "pattern",
+        });
+      }
+      if ((await store.listWebhooks({ room: room.name })).length >= MAX_WEBHOOKS_PER_ROOM) {
+        throw new ChatError(`A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks`, 409);
+      }
+
+      return store.saveWebhook({
+        id: crypto.randomUUID(),
+        room: room.name,
+        url: parsed.href,
+        pattern: pattern?.trim() || null,
+        secret: crypto.randomBytes(32).toString("hex"),
+        createdBy: actor.id,
+        createdAt: new Date().toISOString(),
+      });
+    },
+
+    remove: async (actor, roomName, id) => {
+      const webhook = await requireWebhook(await requireOwner(actor, roomName), id);
+      await store.removeWebhook(webhook.id);
+      return webhook;
+    },
+
+    // Deliveries to the webhook that gave up, newest last
+    failures: async (actor, roomName, id) => {
+      const webhook = await requireWebhook(await requireOwner(actor, roomName), id);
+      return store.listWebhookFailures(webhook.id);
+    },
+
+    // Send a new room message to the room's matching webhooks in the background. Bots' messages are
+    // left out, so a bot answering a webhook can't set off an endless loop.
+    dispatch: async (msg) => {
+      if (msg.isPrivate || msg.isBot) return;
+      try {
+        const targets = (await store.listWebhooks({ room: msg.room })).filter((w) => matches(w.pattern, msg.message));
+        for (const webhook of targets) {
+          deliver(webhook, msg).catch((err) => console.error("❌ Webhook delivery failed:", err));
+        }
+      } catch (err) {
+        console.error("❌ Could not dispatch webhooks:", err);
+      }
+    },
+  };
+};
+
+module.exports = createWebhookController;
@@ -0,0 +1,81 @@
+// models/message.js — Shape of a chat message as stored and broadcast
+
+const crypto = require("crypto");
+
+const QUOTE_PREVIEW_LENGTH = 200;
+
+// Utility: create message object
+const createMessage = (data) => ({
+  id: crypto.randomUUID(),
+  clientId: data.clientId || null, // the sender's own id for it, so retried sends can be recognised
+  sender: data.sender,
+  senderId: data.senderId,
+  receiver: data.receiver || null,
+  receiverId: data.receiverId || null,
+  message: data.message || "",
+  timestamp: new Date().toISOString(),
+  room: data.isPrivate ? null : data.room || "global",
+  isPrivate: !!data.isPrivate,
+  isAction: !!data.isAction, // sent with /me: the text says what the sender is doing
+  isBot: !!data.isBot, // posted by a bot through the bot API (routes/bots.js)
+  file: data.file || null, // { id, name, size, type, url, thumbnailUrl } from the files route
+  parentId: data.parentId ?? null, // set on thread replies
+  replyCount: 0,
+  quote: data.quote || null,
+  previews: [], // [{ url, title, description, image, siteName }], attached after sending (controllers/previews.js)
+  mentions: data.mentions || null, // { users, here, room, userIds }, filled in on delivery (controllers/mentions.js)
+  reactions: [], // [{ emoji, count, users: [{ id, username }] }]
+  expiresAt: data.expiresAt || null, // ephemeral messages delete themselves then (controllers/scheduler.js)
+  expireAfterRead: !!data.expireAfterRead, // ephemeral until read: expiresAt is set once the recipient reads it
+});
+
+// Utility: createMessage's expiry fields for an ephemeral message, which deletes itself
+// `expiresInMinutes` after it is sent and/or once someone other than the sender has read it
+const expiryOf = ({ expiresInMinutes, expireAfterRead } = {}) => ({
+  expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString() : null,
+  expireAfterRead: !!expireAfterRead,
+});
+
+// Utility: snapshot of a message embedded in another one that quotes it
+const quoteOf = (msg) => ({
+  id: msg.id,
+  sender: msg.sender,
+  message:
+    typeof msg.message === "string" ? msg.message.slice(0, QUOTE_PREVIEW_LENGTH) : "",
+  fileName: msg.file?.name || null,
+});
+
+// Utility: reactions in the aggregated shape, upgrading the old one-entry-per-click
+// [{ userId, reaction }] lists (duplicates collapse, usernames are unknown)
+const normalizeReactions = (reactions = []) => {
+  const byEmoji = new Map();
+  for (const r of reactions) {
+    if (r.emoji) {
+      byEmoji.set(r.emoji, [...r.users]);
+      continue;
+    }
+    const users = byEmoji.get(r.reaction) || [];
+    if (!users.some((u) => u.id === r.userId)) users.push({ id: r.userId, username: null });
+    byEmoji.set(r.reaction, users);
+  }
+  return [...byEmoji].map(([emoji, users]) => ({ emoji, count: users.length, users }));
+};
+
+// Utility: add the user's reaction with this emoji, or take it back if it's already there
+const toggleReaction = (reactions, user, emoji) => {
+  const current = normalizeReactions(reactions);
+  const existing = current.find((r) => r.emoji === emoji);
+  if (!existing) {
+    return [...current, { emoji, count: 1, users: [{ id: user.id, username: user.username }] }];
+  }
+
+  const reacted = existing.users.some((u) => u.id === user.id);
+  const users = reacted
+    ? existing.users.filter((u) => u.id !== user.id)
+    : [...existing.users, { id: user.id, username: user.username }];
+  return current
+    .map((r) => (r.emoji === emoji ? { emoji, count: users.length, users } : r))
+    .filter((r) => r.count > 0);
+};
+
+module.exports = { createMessage, expiryOf, quoteOf, normalizeReactions, toggleReaction };
@@ -0,0 +1,137 @@
+// previews/httpFetcher.js — Fetch a linked page and read its Open Graph tags (or <title>)
+//
+// Links come from users, so the server must not become a way to reach its own network: every
+// address a host resolves to (and every redirect) is checked against private and reserved ranges.
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { isBlocked, safeLookup } = require("../utils/network");
+
+const MAX_BYTES = 512 * 1024; // metadata lives in <head>; stop reading long before a full page
+const MAX_REDIRECTS = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// Utility: decode the HTML entities likely to appear in titles and descriptions
+const decodeEntities = (text) =>
+  text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const clean = (text, max) => {
+  if (!text) return null;
+  const value = decodeEntities(text).replace(/\s+/g, " ").trim();
+  return value ? value.slice(0, max) : null;
+};
+
+// Utility: <meta property|name="..." content="..."> tags as { name: content }, first one wins
+const metaTags = (html) => {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const [, name, , double, single] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attrs[name.toLowerCase()] = double ?? single;
+    }
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content !== undefined && !(key in tags)) tags[key] = attrs.content;
+  }
+  return tags;
+};
+
+// Utility: the page's preview metadata, or null if it has neither a title nor a description
+const parsePreview = (html, pageUrl) => {
+  const meta = metaTags(html);
+  const title = clean(meta["og:title"] || meta["twitter:title"] || html.match(/<title[^>]*>([^<]*)/i)?.[1], MAX_TITLE_LENGTH);
+  const description = clean(
+    meta["og:description"] || meta["twitter:description"] || meta.description,
+    MAX_DESCRIPTION_LENGTH
+  );
+  if (!title && !description) return null;
+
+  let image = null;
+  try {
+    const src = meta["og:image"] || meta["twitter:image"];
+    const resolved = src ? new URL(decodeEntities(src), pageUrl) : null;
+    if (resolved && (resolved.protocol === "https:" || resolved.protocol === "http:")) image = resolved.href;
+  } catch {
+    // An unparseable image URL just means no image
+  }
+  return { title, description, image, siteName: clean(meta["og:site_name"], MAX_TITLE_LENGTH) };
+};
+
+// timeoutMs bounds both a silent connection and the whole fetch, redirects included
+const createHttpFetcher = ({ timeoutMs }) => {
+  // The start of an HTML page at `url`, following a few redirects -> { url, html } | null.
+  // Aborting `signal` gives up wherever the fetch is.
+  const get = (url, redirectsLeft, signal) =>
+    new Promise((resolve, reject) => {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") return resolve(null);
+      // IP literals skip the lookup, so check them here
+      const literal = hostname.replace(/^\[|\]$/g, "");
+      if (net.isIP(literal) && isBlocked(literal)) return reject(new Error(`${hostname} is a private address`));
+
+      const client = protocol === "https:" ? https : http;
+      const req = client.get(
+        url,
+        {
+          lookup: safeLookup,
+          timeout: timeoutMs,
+          signal,
+          headers: { "user-agent": "ChatLinkPreview/1.0", accept: "text/html,application/xhtml+xml" },
+        },
+        (res) => {
+          const { statusCode, headers } = res;
+          if (statusCode >= 300 && statusCode < 400 && headers.location) {
+            res.resume();
+            if (redirectsLeft === 0) return reject(new Error("Too many redirects"));
+            return resolve(get(new URL(headers.location, url).href, redirectsLeft - 1, signal));
+          }
+          if (statusCode !== 200 || !/text\/html|application\/xhtml\+xml/i.test(headers["content-type"] || "")) {
+            res.resume();
+            return resolve(null);
+          }
+
+          let html = "";
+          const done = () => resolve({ url, html });
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            // "</head>" may be split between chunks, so the search starts a little before this one
+            const from = Math.max(0, html.length - "</head>".length);
+            html += chunk;
+            if (html.length >= MAX_BYTES || /<\/head>/i.test(html.slice(from))) {
+              res.destroy();
+              done();
+            }
+          });
+          res.on("end", done);
+          res.on("error", reject);
+        }
+      );
+      req.on("timeout", () => req.destroy(new Error(`No response from ${hostname}`)));
+      req.on("error", reject);
+    });
+
+  return async (url) => {
+    const controller = new AbortController();
+    // The socket timeout restarts with every chunk, so a slow trickle would never hit it
+    const deadline = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const page = await get(url, MAX_REDIRECTS, controller.signal);
+      return page ? parsePreview(page.html, page.url) : null;
+    } catch (err) {
+      throw controller.signal.aborted ? new Error(`The page took longer than ${timeoutMs}ms`) : err;
+    } finally {
+      clearTimeout(deadline);
+    }
+  };
+};
+
+module.exports = createHttpFetcher;
@@ -0,0 +1,28 @@
+// previews/index.js — Picks how link previews are fetched from LINK_PREVIEWS
+
+const createHttpFetcher = require("./httpFetcher");
+const createStubFetcher = require("./stubFetcher");
+
+/**
+ * A fetcher is one async function:
+ *   fetchPreview(url) -> { title, description, image, siteName } | null (nothing worth showing)
+ * It may throw for pages that can't be fetched; the previews controller treats that as null.
+ * Returns null when previews are turned off.
+ */
+const createFetcher = (driver = process.env.LINK_PREVIEWS || "http") => {
+  switch (driver) {
+    case "http":
+      return createHttpFetcher({
+        timeoutMs: parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS, 10) || 5000,
+      });
+    // Made-up metadata without any network access, for local development and tests
+    case "stub":
+      return createStubFetcher();
+    case "off":
+      return null;
+    default:
+      throw new Error(`Unknown LINK_PREVIEWS "${driver}" (expected "http", "stub" or "off")`);
+  }
+};
+
+module.exports = { createFetcher };
@@ -0,0 +1,13 @@
+// previews/stubFetcher.js — Link previews made up from the URL itself, without touching the network
+
+const createStubFetcher = () => async (url) => {
+  const { hostname, pathname } = new URL(url);
+  return {
+    title: pathname === "/" ? hostname : `${hostname}${pathname}`,
+    description: `Preview of ${url}`,
+    image: null,
+    siteName: hostname,
+  };
+};
+
+module.exports = createStubFetcher;
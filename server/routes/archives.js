@@ -0,0 +1,34 @@
+// routes/archives.js — Conversation exports and admin imports of JSON archives
+
+const express = require("express");
+
+const createArchivesRouter = ({ archives }) => {
+  const router = express.Router();
+
+  // GET /api/archives/export?room=|with=<user id>&from=&to=&format=json|text|html&attachments=link|bundle
+  // Downloads as a file; linked attachments point back at this server
+  router.get("/export", async (req, res) => {
+    const { room, with: otherId, from, to, format, attachments } = req.query;
+    const archive = await archives.exportConversation(req.account, {
+      room,
+      with: otherId,
+      from,
+      to,
+      format,
+      attachments,
+      baseUrl: `${req.protocol}://${req.get("host")}`,
+    });
+    res.attachment(archive.fileName);
+    res.type(archive.contentType);
+    res.send(archive.body);
+  });
+
+  // POST /api/archives/import with a JSON export as the body (server admins only)
+  router.post("/import", async (req, res) => {
+    res.status(201).json(await archives.importArchive(req.account, req.body));
+  });
+
+  return router;
+};
+
+module.exports = createArchivesRouter;
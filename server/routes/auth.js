@@ -0,0 +1,110 @@
+// routes/auth.js — Account registration, login and signed download links
+
+const crypto = require("crypto");
+const express = require("express");
+const {
+  USERNAME_PATTERN,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  signDownload,
+  requireAuth,
+} = require("../utils/auth");
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128; // bcrypt only reads the first 72 bytes; this just bounds the work
+const MAX_DOWNLOAD_LINKS = 100; // per request
+const MAX_PATH_LENGTH = 2000;
+
+// Admin rights follow the name (see ADMIN_USERNAMES), so those names are reserved: registering one
+// takes `adminSignupCode`, and without one configured they can't be registered at all
+const createAuthRouter = (store, { admins = new Set(), adminSignupCode = null } = {}) => {
+  const router = express.Router();
+
+  const mayTake = (username, code) => {
+    if (!admins.has(username.toLowerCase())) return true;
+    if (!adminSignupCode || typeof code !== "string") return false;
+    const expected = crypto.createHash("sha256").update(adminSignupCode).digest();
+    return crypto.timingSafeEqual(expected, crypto.createHash("sha256").update(code).digest());
+  };
+
+  const session = (account) => ({
+    token: signToken(account),
+    user: { id: account.id, username: account.username },
+  });
+
+  router.post("/register", async (req, res) => {
+    const { username, password, adminCode } = req.body || {};
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        error: "Username must be 3-32 letters, numbers, dots, dashes or underscores",
+      });
+    }
+    if (!mayTake(username, adminCode)) {
+      return res.status(409).json({ error: "That username is reserved" });
+    }
+    if (
+      typeof password !== "string" ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH
+    ) {
+      return res
+        .status(400)
+        .json({ error: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` });
+    }
+
+    // Hash before the uniqueness check so nothing slow runs between check and insert
+    const passwordHash = await hashPassword(password);
+    if (await store.findAccountByUsername(username)) {
+      return res.status(409).json({ error: "That username is taken" });
+    }
+
+    const account = await store.addAccount({
+      id: crypto.randomUUID(),
+      username,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    });
+    res.status(201).json(session(account));
+  });
+
+  router.post("/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    const account =
+      typeof username === "string" ? await store.findAccountByUsername(username) : null;
+    const valid =
+      account &&
+      account.passwordHash && // bots have no password
+      typeof password === "string" &&
+      password.length <= MAX_PASSWORD_LENGTH &&
+      (await verifyPassword(password, account.passwordHash));
+    if (!valid) return res.status(401).json({ error: "Invalid username or password" });
+
+    res.json(session(account));
+  });
+
+  // Body { paths: ["/api/files/<id>", ...] } -> { links: { [path]: { url, expiresAt } } }, leaving out
+  // paths that can't be downloaded. Whether the account may fetch a path is checked when the link is used.
+  router.post("/download-links", requireAuth(store), async (req, res) => {
+    const { paths } = req.body || {};
+    const valid =
+      Array.isArray(paths) &&
+      paths.length <= MAX_DOWNLOAD_LINKS &&
+      paths.every((path) => typeof path === "string" && path.length <= MAX_PATH_LENGTH);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ error: `paths must be a list of at most ${MAX_DOWNLOAD_LINKS} paths` });
+    }
+    const links = {};
+    for (const path of paths) {
+      const link = signDownload(req.account, path);
+      if (link) links[path] = link;
+    }
+    res.json({ links });
+  });
+
+  return router;
+};
+
+module.exports = createAuthRouter;
@@ -0,0 +1,50 @@
+// routes/bots.js — Managing bots, and the endpoint bots post room messages through
+
+const express = require("express");
+const { ChatError } = require("../utils/errors");
+
+// requireUser: the usual token guard for the management routes. sendLimiter: the per-user sending
+// limit, which bots share with people.
+const createBotsRouter = ({ bots, requireUser, sendLimiter }) => {
+  const router = express.Router();
+
+  const actor = (req) => ({ id: req.account.id, username: req.account.username });
+
+  // Bots present their own token as "Authorization: Bearer <token>" and set req.bot
+  const requireBot = async (req, res, next) => {
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    const bot = scheme === "Bearer" ? await bots.authenticate(token) : null;
+    if (!bot) return res.status(401).json({ error: "Bot token required" });
+    req.bot = bot;
+    next();
+  };
+
+  // POST /api/bots/messages { room, message, clientId? } -> 201 with the stored message; resending the
+  // same clientId doesn't post it twice
+  router.post("/messages", requireBot, async (req, res) => {
+    const wait = sendLimiter.take(req.bot.id);
+    if (wait > 0) throw new ChatError("Too many messages, slow down", 429, { retryAfterMs: wait });
+    res.status(201).json(await bots.post(req.bot, req.body));
+  });
+
+  router.get("/", requireUser, async (req, res) => {
+    res.json(await bots.list(actor(req)));
+  });
+
+  // Body { username } -> { bot, token }; the token is only ever shown here and when rotated
+  router.post("/", requireUser, async (req, res) => {
+    res.status(201).json(await bots.create(actor(req), req.body || {}));
+  });
+
+  router.post("/:id/token", requireUser, async (req, res) => {
+    res.json(await bots.rotateToken(actor(req), req.params.id));
+  });
+
+  router.delete("/:id", requireUser, async (req, res) => {
+    res.json(await bots.remove(actor(req), req.params.id));
+  });
+
+  return router;
+};
+
+module.exports = createBotsRouter;
@@ -0,0 +1,164 @@
+// routes/files.js — Uploads stored on disk under their content hash, downloads and thumbnails
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const multer = require("multer");
+const sharp = require("sharp");
+const { ChatError } = require("../utils/errors");
+
+const THUMBNAIL_SIZE = 320;
+
+// Extension used on disk for each accepted MIME type
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+  "application/zip": ".zip",
+};
+
+// What messages carry instead of the bytes
+const publicFile = (file) => ({
+  id: file.id,
+  name: file.name,
+  size: file.size,
+  type: file.type,
+  url: `/api/files/${file.id}`,
+  thumbnailUrl: file.hasThumbnail ? `/api/files/${file.id}/thumbnail` : null,
+});
+
+// Utility: whether the account uploaded the file. The same bytes uploaded again are the same file, so
+// later uploaders are listed in `uploaderIds` next to the first one.
+const uploadedBy = (file, accountId) => file.uploaderId === accountId || (file.uploaderIds || []).includes(accountId);
+
+// Whether an account may fetch or share a file: its uploaders may before it is shared; after that,
+// anyone who can read a message sharing it. canRead(user, message) comes from the message controller.
+const createFileAccess = ({ store, canRead }) => async (account, file) => {
+  if (uploadedBy(file, account.id)) return true;
+  for (const msg of await store.findMessagesWithFile(file.id)) {
+    if (msg && (await canRead(account, msg))) return true;
+  }
+  return false;
+};
+
+// Where an uploaded file's bytes and thumbnail live, and how they get there (also used by imports)
+const createFileDisk = (uploadDir) => {
+  const filePath = (file) => path.join(uploadDir, file.id + EXTENSIONS[file.type]);
+  const thumbnailPath = (file) => path.join(uploadDir, `${file.id}.thumb.webp`);
+
+  return {
+    EXTENSIONS,
+    filePath,
+    thumbnailPath,
+
+    // Write the bytes, and a thumbnail for images; decoding the image doubles as a check that it really is one
+    write: async (file, buffer) => {
+      await fs.promises.mkdir(uploadDir, { recursive: true });
+      if (file.hasThumbnail) {
+        await sharp(buffer)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+          .webp()
+          .toFile(thumbnailPath(file))
+          .catch(() => {
+            throw new ChatError("That image could not be read", 415);
+          });
+      }
+      await fs.promises.writeFile(filePath(file), buffer);
+    },
+
+    // Delete the bytes and thumbnail; files already gone from disk are fine
+    remove: async (file) => {
+      for (const target of [filePath(file), thumbnailPath(file)]) {
+        await fs.promises.rm(target, { force: true });
+      }
+    },
+  };
+};
+
+// canRead(user, message): whether the user may read a message (from the message controller)
+const createFilesRouter = ({ store, canRead, uploadDir, maxBytes, allowedTypes }) => {
+  const router = express.Router();
+  const disk = createFileDisk(uploadDir);
+  const canFetch = createFileAccess({ store, canRead });
+  const parseUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single("file");
+
+  // multer reports limits through its callback; turn them into ChatErrors
+  const receive = (req, res) =>
+    new Promise((resolve, reject) => {
+      parseUpload(req, res, (err) => {
+        if (err?.code === "LIMIT_FILE_SIZE") {
+          reject(new ChatError(`Files are limited to ${Math.round(maxBytes / 1024 / 1024)} MB`, 413));
+        } else if (err) {
+          reject(new ChatError(err.message));
+        } else resolve(req.file);
+      });
+    });
+
+  router.post("/", async (req, res) => {
+    const upload = await receive(req, res);
+    if (!upload) throw new ChatError('Send the file as multipart field "file"');
+    if (!allowedTypes.includes(upload.mimetype) || !EXTENSIONS[upload.mimetype]) {
+      throw new ChatError(`Files of type ${upload.mimetype} are not allowed`, 415);
+    }
+
+    const id = crypto.createHash("sha256").update(upload.buffer).digest("hex");
+    const existing = await store.findFile(id);
+    if (existing) {
+      // Uploading it again restarts the time it has to be shared before retention removes it, and lets
+      // this uploader share it too
+      const uploaderIds = uploadedBy(existing, req.account.id)
+        ? existing.uploaderIds
+        : [...(existing.uploaderIds || []), req.account.id];
+      await store.saveFile({ ...existing, uploaderIds, lastUploadedAt: new Date().toISOString() });
+      return res.status(200).json(publicFile({ ...existing, name: upload.originalname }));
+    }
+
+    const file = {
+      id,
+      name: upload.originalname,
+      size: upload.size,
+      type: upload.mimetype,
+      uploaderId: req.account.id,
+      createdAt: new Date().toISOString(),
+      hasThumbnail: upload.mimetype.startsWith("image/"),
+    };
+
+    await disk.write(file, upload.buffer);
+    await store.saveFile(file);
+
+    res.status(201).json(publicFile(file));
+  });
+
+  const send = (variant) => async (req, res) => {
+    const file = await store.findFile(req.params.id);
+    if (!file || (variant === "thumbnail" && !file.hasThumbnail) || !(await canFetch(req.account, file))) {
+      throw new ChatError("File not found", 404);
+    }
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cache-Control", "private, max-age=31536000, immutable"); // content-addressed
+    if (variant === "thumbnail") {
+      res.type("image/webp");
+      return res.sendFile(disk.thumbnailPath(file));
+    }
+    // Only images render inline; everything else downloads so it can't run in our origin
+    if (!file.type.startsWith("image/")) res.attachment(file.name);
+    res.type(file.type);
+    res.sendFile(disk.filePath(file));
+  };
+
+  router.get("/:id", send("original"));
+  router.get("/:id/thumbnail", send("thumbnail"));
+
+  return router;
+};
+
+module.exports = { createFilesRouter, createFileDisk, createFileAccess, publicFile };
@@ -0,0 +1,61 @@
+// routes/rooms.js — REST access to room metadata
+
+const express = require("express");
+
+const createRoomsRouter = ({ rooms, moderation, retention, webhooks }) => {
+  const router = express.Router();
+
+  // Ownership and role checks only need who is asking
+  const actor = (req) => ({ id: req.account.id, username: req.account.username });
+
+  router.get("/", async (req, res) => {
+    res.json(await rooms.list(req.account.id));
+  });
+
+  router.get("/:name", async (req, res) => {
+    res.json(await rooms.get(req.params.name, req.account.id));
+  });
+
+  router.post("/", async (req, res) => {
+    res.status(201).json(await rooms.create(actor(req), req.body));
+  });
+
+  router.post("/:name/members", async (req, res) => {
+    res.json(await rooms.invite(actor(req), req.params.name, req.body?.userId));
+  });
+
+  // Moderators only; ?before=<entry id> pages back through older entries
+  router.get("/:name/moderation-log", async (req, res) => {
+    res.json(await moderation.auditLog(actor(req), req.params.name, { before: req.query.before }));
+  });
+
+  // Owners only; body { maxMessages?, maxAgeDays?, maxAttachmentMB? }, null or left out for the server default
+  router.put("/:name/retention", async (req, res) => {
+    res.json(await retention.setPolicy(actor(req), req.params.name, req.body || {}));
+  });
+
+  // Owners only. Webhooks: body { url, pattern? } to add one; failures are the deliveries that gave up.
+  router.get("/:name/webhooks", async (req, res) => {
+    res.json(await webhooks.list(actor(req), req.params.name));
+  });
+
+  router.post("/:name/webhooks", async (req, res) => {
+    res.status(201).json(await webhooks.create(actor(req), req.params.name, req.body || {}));
+  });
+
+  router.delete("/:name/webhooks/:id", async (req, res) => {
+    res.json(await webhooks.remove(actor(req), req.params.name, req.params.id));
+  });
+
+  router.get("/:name/webhooks/:id/failures", async (req, res) => {
+    res.json(await webhooks.failures(actor(req), req.params.name, req.params.id));
+  });
+
+  router.delete("/:name", async (req, res) => {
+    res.json(await rooms.archive(actor(req), req.params.name));
+  });
+
+  return router;
+};
+
+module.exports = createRoomsRouter;
@@ -0,0 +1,28 @@
+// routes/search.js — REST access to message search
+
+const express = require("express");
+
+const createSearchRouter = ({ search }) => {
+  const router = express.Router();
+
+  // GET /api/search?q=&sender=&room=&from=&to=&hasFile=true&offset=&limit=
+  router.get("/", async (req, res) => {
+    const { q, sender, room, from, to, hasFile, offset, limit } = req.query;
+    res.json(
+      await search.search(req.account, {
+        query: q,
+        sender,
+        room,
+        from,
+        to,
+        hasFile: hasFile === "true" || hasFile === "1",
+        offset,
+        limit,
+      })
+    );
+  });
+
+  return router;
+};
+
+module.exports = createSearchRouter;
@@ -9,6 +9,40 @@ const path = require("path");
 
 dotenv.config();
 
+// Local modules read their settings from the environment, so load them after dotenv
+const { createStore } = require("./storage");
+const createAuthRouter = require("./routes/auth");
+const { createFilesRouter, createFileDisk, createFileAccess, publicFile } = require("./routes/files");
+const createRoomsRouter = require("./routes/rooms");
+const createSearchRouter = require("./routes/search");
+const createArchivesRouter = require("./routes/archives");
+const createBotsRouter = require("./routes/bots");
+const { createCluster } = require("./cluster");
+const createRoomController = require("./controllers/rooms");
+const createModerationController = require("./controllers/moderation");
+const createMessageController = require("./controllers/messages");
+const createTypingController = require("./controllers/typing");
+const createReadController = require("./controllers/reads");
+const createPresenceController = require("./controllers/presence");
+const createSearchController = require("./controllers/search");
+const createCommandController = require("./controllers/commands");
+const createMentionController = require("./controllers/mentions");
+const createPreviewController = require("./controllers/previews");
+const createArchiveController = require("./controllers/archives");
+const createRetentionController = require("./controllers/retention");
+const createSchedulerController = require("./controllers/scheduler");
+const createWebhookController = require("./controllers/webhooks");
+const createBotController = require("./controllers/bots");
+const { createFetcher } = require("./previews");
+const createHttpSender = require("./webhooks/httpSender");
+const { createMessage, expiryOf } = require("./models/message");
+const { userRoom } = require("./utils/audience");
+const { requireAuth, socketAuth } = require("./utils/auth");
+const { privateChatKey, privateChatMembers } = require("./utils/conversations");
+const { ChatError } = require("./utils/errors");
+const { createEventGuard } = require("./utils/events");
+const { createRateLimiter, createFloodGuard } = require("./utils/rateLimit");
+
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -19,177 +53,670 @@ const io = new Server(server, {
   },
 });
 
+// Imported archives can carry bundled attachments, so they get a larger body limit than other routes
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 64 * 1024 * 1024;
+
 app.use(cors());
+app.use("/api/archives", express.json({ limit: ARCHIVE_MAX_BYTES }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-const users = {}; // { socketId: { username, room } }
-const rooms = {}; // { roomName: [messages] }
-const typingUsers = {}; // { socketId: username }
-
-// Utility: create message object
-const createMessage = (data) => ({
-  id: Date.now(),
-  sender: data.sender,
-  senderId: data.senderId,
-  message: data.message || "",
-  timestamp: new Date().toISOString(),
-  room: data.room || "global",
-  isPrivate: !!data.isPrivate,
-  fileData: data.fileData || null,
-  fileName: data.fileName || null,
-  reactions: [],
-  readers: [],
+const store = createStore();
+// With REDIS_URL set, broadcasts reach sockets on every server process and user state is shared
+const cluster = createCluster({ io, url: process.env.REDIS_URL, prefix: process.env.REDIS_PREFIX });
+const state = cluster.state; // { id, username, room, online, idle } per user, see cluster/index.js
+const leaveTimers = {}; // { userId: timeout } — pending user_left while a user may reconnect
+const rooms = createRoomController({ store, io, state });
+const PAGE_SIZE = parseInt(process.env.PAGE_SIZE, 10) || 30;
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 10000;
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS, 10) || 5000;
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 10000;
+const RATE_LIMIT_EVENTS = parseInt(process.env.RATE_LIMIT_EVENTS, 10) || 100; // per socket per window
+const RATE_LIMIT_MESSAGES = parseInt(process.env.RATE_LIMIT_MESSAGES, 10) || 10; // per user per window
+const FLOOD_STRIKES = parseInt(process.env.FLOOD_STRIKES, 10) || 3;
+const FLOOD_MUTE_MS = parseInt(process.env.FLOOD_MUTE_MS, 10) || 60000;
+// Server admins act as the owner of every room, including the default ones nobody created
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERNAMES || "").split(",").map((name) => name.trim().toLowerCase()).filter(Boolean)
+);
+// Registering one of those names takes this code; without it they can't be registered
+const ADMIN_SIGNUP_CODE = process.env.ADMIN_SIGNUP_CODE || null;
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "data", "uploads"));
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const UPLOAD_ALLOWED_TYPES = (
+  process.env.UPLOAD_ALLOWED_TYPES ||
+  "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip"
+).split(",");
+// Server-wide retention limits; unset means unlimited. Rooms can set stricter ones.
+const RETENTION_DEFAULTS = {
+  maxMessages: parseInt(process.env.RETENTION_MAX_MESSAGES, 10) || null,
+  maxAgeDays: parseInt(process.env.RETENTION_MAX_AGE_DAYS, 10) || null,
+  maxAttachmentMB: parseInt(process.env.RETENTION_MAX_ATTACHMENT_MB, 10) || null,
+};
+const RETENTION_SWEEP_MS = parseInt(process.env.RETENTION_SWEEP_MS, 10) || 10 * 60 * 1000;
+const ORPHAN_FILE_GRACE_MS = parseInt(process.env.ORPHAN_FILE_GRACE_MS, 10) || 60 * 60 * 1000;
+// How often scheduled messages and ephemeral messages are checked for being due
+const SCHEDULER_TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS, 10) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_MS = parseInt(process.env.WEBHOOK_RETRY_MS, 10) || 1000; // doubles after each attempt
+// Webhook receivers on the server's own network (e.g. internal CI) need WEBHOOK_ALLOW_PRIVATE=on
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "on";
+
+const moderation = createModerationController({ store, io, state, rooms, admins: ADMIN_USERNAMES });
+// Mentions use the message controller's canRead; it is created next, and only called later
+const mentions = createMentionController({
+  store,
+  io,
+  state,
+  rooms,
+  canRead: (user, msg) => messages.canRead(user, msg),
+  pageSize: PAGE_SIZE,
 });
-
-io.on("connection", (socket) => {
-  console.log(`🟢 User connected: ${socket.id}`);
-
-  // --- USER JOIN ---
-  socket.on("user_join", (username) => {
-    users[socket.id] = { username, id: socket.id, room: "global" };
-    socket.join("global");
-    io.emit("user_list", Object.values(users));
-    io.emit("user_joined", { username, id: socket.id });
-    console.log(`${username} joined the chat`);
-  });
-
-  // --- ROOM JOIN ---
-  socket.on("join_room", (roomName) => {
-    const user = users[socket.id];
-    if (!user) return;
-
-    // Leave previous room
-    if (user.room) {
-      socket.leave(user.room);
+// Link previews are fetched with LINK_PREVIEWS: "http" (default), "stub" (no network) or "off"
+const previews = createPreviewController({ store, io, fetcher: createFetcher() });
+const messages = createMessageController({ store, io, rooms, moderation, mentions, previews, pageSize: PAGE_SIZE });
+const typing = createTypingController({ io, state, timeoutMs: TYPING_TIMEOUT_MS });
+const reads = createReadController({ store, io, state, rooms, messages });
+const presence = createPresenceController({ store, io, state });
+const search = createSearchController({ store, messages, pageSize: PAGE_SIZE });
+const disk = createFileDisk(UPLOAD_DIR);
+// Sharing a file follows the same rule as downloading it
+const canShareFile = createFileAccess({ store, canRead: messages.canRead });
+const archives = createArchiveController({ store, rooms, disk, admins: ADMIN_USERNAMES });
+const retention = createRetentionController({
+  store,
+  io,
+  rooms,
+  moderation,
+  disk,
+  defaults: RETENTION_DEFAULTS,
+  orphanGraceMs: ORPHAN_FILE_GRACE_MS,
+});
+const webhooks = createWebhookController({
+  store,
+  rooms,
+  moderation,
+  send: createHttpSender({ timeoutMs: WEBHOOK_TIMEOUT_MS, allowPrivate: WEBHOOK_ALLOW_PRIVATE }),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryMs: WEBHOOK_RETRY_MS,
+});
+const eventLimiter = createRateLimiter({ limit: RATE_LIMIT_EVENTS, windowMs: RATE_LIMIT_WINDOW_MS });
+// Shared by socket sends and the bot API
+const sendLimiter = createRateLimiter({ limit: RATE_LIMIT_MESSAGES, windowMs: RATE_LIMIT_WINDOW_MS });
+const flood = createFloodGuard({ strikes: FLOOD_STRIKES, windowMs: RATE_LIMIT_WINDOW_MS, muteMs: FLOOD_MUTE_MS });
+const guardEvents = createEventGuard({ eventLimiter, sendLimiter, flood });
+// Limits that have run their course are forgotten, so the maps only hold recently active users
+setInterval(() => {
+  const now = Date.now();
+  for (const limits of [eventLimiter, sendLimiter, flood]) limits.sweep(now);
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Utility: the fields of a connected user that other clients may see (presence has the full picture)
+const publicUser = ({ id, username, room }) => ({ id, username, room });
+const onlineUsers = async () => (await state.listUsers()).filter((u) => u.online).map(publicUser);
+
+// Utility: runtime state for an account, created the first time it is needed
+const userFor = async (account) =>
+  (await state.getUser(account.id)) ||
+  state.saveUser({ id: account.id, username: account.username, room: "global", online: false, idle: false });
+
+// Utility: resolve a user id to its runtime state, including accounts not seen since the state was reset
+const findUser = async (userId) => {
+  const user = typeof userId === "string" ? await state.getUser(userId) : null;
+  if (user) return user;
+  const account = typeof userId === "string" ? await store.findAccountById(userId) : null;
+  return account ? userFor(account) : null;
+};
+
+// Utility: whether any of the user's sockets are still connected, to this server or another
+const hasSockets = async (userId) => (await io.in(userRoom(userId)).fetchSockets()).length > 0;
+
+// Utility: user attached to an authenticated socket (a fresh copy of the shared state)
+const currentUser = (socket) => state.getUser(socket.data.account.id);
+
+// Utility: async socket handlers log their failures instead of crashing the process.
+// A ChatError is a rejected request rather than a failure, so it isn't logged.
+const safe = (handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (err) {
+    if (!(err instanceof ChatError)) console.error("❌ Socket handler failed:", err);
+  }
+};
+
+// Utility: socket handler that answers through the client's ack callback;
+// ChatErrors come back as { error, code, ... }, anything else is logged
+const acked = (handler) =>
+  safe(async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : () => {};
+    try {
+      ack(await handler(...args));
+    } catch (err) {
+      ack(err instanceof ChatError ? err.toJSON() : { error: "Something went wrong", code: "internal" });
+      if (!(err instanceof ChatError)) throw err;
     }
+  });
 
-    user.room = roomName;
-    socket.join(roomName);
+// Utility: store a room message and deliver it to everyone in the room; people it mentions hear
+// about it wherever they are
+const deliverToRoom = async (msgData) => {
+  msgData.mentions = await mentions.resolve(msgData);
+  await store.addMessage(msgData.room, msgData);
+  io.to(msgData.room).emit("receive_message", msgData);
+  mentions.notify(msgData);
+  previews.attach(msgData);
+  webhooks.dispatch(msgData);
+  await reads.messageAdded(msgData);
+};
+
+// Utility: store a DM and deliver it to both participants
+const deliverPrivate = async (msgData) => {
+  msgData.mentions = await mentions.resolve(msgData);
+  await store.addMessage(privateChatKey(msgData.senderId, msgData.receiverId), msgData);
+  io.to(userRoom(msgData.receiverId)).to(userRoom(msgData.senderId)).emit("private_message", msgData);
+  mentions.notify(msgData);
+  previews.attach(msgData);
+  await reads.messageAdded(msgData);
+};
+
+// Sends still being stored, so a retry that arrives before the first attempt finishes gets its result
+const pendingSends = new Map(); // "userId\nclientId" -> Promise<message>
+
+// Utility: run `send` at most once per client-generated id. Clients resend whatever they didn't
+// see acknowledged, so a retry of a message the server already has returns that message instead.
+const sendOnce = async (user, clientId, send) => {
+  if (!clientId) return send();
+  const existing = await store.findMessageByClientId(user.id, clientId);
+  if (existing) return existing;
+
+  const key = `${user.id}\n${clientId}`;
+  if (!pendingSends.has(key)) {
+    pendingSends.set(key, send().finally(() => pendingSends.delete(key)));
+  }
+  return pendingSends.get(key);
+};
+
+// Commands leave no stored message a resend could be recognised by, so their results are kept for a while
+const COMMAND_RESULT_TTL_MS = 10 * 60 * 1000;
+const commandResults = new Map(); // "userId\nclientId" -> { result: Promise, expiresAt }, oldest first
+
+// Utility: sendOnce for slash commands. A command that failed may be tried again.
+const runCommandOnce = (user, clientId, run) => {
+  if (!clientId) return run();
+  const now = Date.now();
+  for (const [key, { expiresAt }] of commandResults) {
+    if (expiresAt > now) break;
+    commandResults.delete(key);
+  }
+
+  const key = `${user.id}\n${clientId}`;
+  if (!commandResults.has(key)) {
+    const result = run();
+    commandResults.set(key, { result, expiresAt: now + COMMAND_RESULT_TTL_MS });
+    result.catch(() => commandResults.delete(key));
+  }
+  return commandResults.get(key).result;
+};
+
+// Utility: move a socket's user into a room, sending its newest page and read positions
+const enterRoom = async (socket, user, roomName) => {
+  const room = await rooms.get(roomName, user.id);
+
+  // Leave previous room
+  if (user.room) {
+    await typing.set(user, { room: user.room }, false);
+    socket.leave(user.room);
+  }
+
+  await state.updateUser(user.id, { room: room.name });
+  socket.join(room.name);
+  await reads.startReading(user, room.name);
+
+  // Send the newest page of messages for this room and where everyone has read up to
+  const page = await store.getMessages(room.name, { limit: PAGE_SIZE });
+  io.to(socket.id).emit("room_messages", { room: room.name, ...page, pruned: await retention.pruned(room.name) });
+  io.to(socket.id).emit("read_states", { conversation: room.name, states: await reads.receipts(room.name) });
+
+  // Update room user list
+  const roomUsers = (await onlineUsers()).filter((u) => u.room === room.name);
+  io.to(room.name).emit("room_users", roomUsers);
+
+  console.log(`${user.username} joined room ${room.name}`);
+  return room;
+};
+
+// Utility: post a message in `room`, or the user's current room. Clients name the room they sent from,
+// since a queued send may only go out after they have moved on to another room.
+// data: { room?, message, quoteId?, clientId?, isAction?, isBot?, expiresInMinutes?, expireAfterRead? }
+const postToRoom = async (user, data) => {
+  const { room: roomName = user.room, message, quoteId, clientId, isAction, isBot, ...expiry } = data;
+  const { name: room } = await rooms.get(roomName, user.id);
+  await moderation.assertCanPost(user, room);
+
+  const msgData = createMessage({
+    sender: user.username,
+    senderId: user.id,
+    message,
+    room,
+    quote: await messages.quote(user, quoteId),
+    clientId,
+    isAction,
+    isBot,
+    ...expiryOf(expiry),
+  });
 
-    // Send messages for this room
-    if (!rooms[roomName]) rooms[roomName] = [];
-    io.to(socket.id).emit("room_messages", rooms[roomName]);
+  await typing.set(user, { room }, false);
+  await deliverToRoom(msgData);
+  return msgData;
+};
+
+// Utility: send a DM to `recipient` (anything with an id and username), same data as postToRoom
+const postPrivate = async (user, recipient, { message, quoteId, clientId, isAction, ...expiry }) => {
+  const msgData = createMessage({
+    sender: user.username,
+    senderId: user.id,
+    receiver: recipient.username,
+    receiverId: recipient.id,
+    message,
+    isPrivate: true,
+    quote: await messages.quote(user, quoteId),
+    clientId,
+    isAction,
+    ...expiryOf(expiry),
+  });
 
-    // Update room user list
-    const roomUsers = Object.values(users).filter((u) => u.room === roomName);
-    io.to(roomName).emit("room_users", roomUsers);
+  await typing.set(user, { peerId: recipient.id }, false);
+  await deliverPrivate(msgData);
+  return msgData;
+};
+
+const commands = createCommandController({
+  store,
+  io,
+  state,
+  rooms,
+  moderation,
+  presence,
+  admins: ADMIN_USERNAMES,
+  actions: { enterRoom, postToRoom, postPrivate },
+});
+const scheduler = createSchedulerController({
+  store,
+  io,
+  rooms,
+  messages,
+  findUser,
+  actions: { postToRoom, postPrivate, sendOnce },
+});
+const bots = createBotController({
+  store,
+  rooms,
+  admins: ADMIN_USERNAMES,
+  findUser,
+  actions: { postToRoom, sendOnce },
+});
 
-    console.log(`${user.username} joined room ${roomName}`);
+// Every socket must present a valid token in its handshake `auth`
+io.use(socketAuth(store));
+
+// Attach a socket to its user: rejoin rooms, send the session and history.
+// Reconnecting inside the grace period doesn't announce the user again.
+const attachSocket = async (socket, account) => {
+  let user = await userFor(account);
+  // The room may have been archived or made inaccessible while the user was away
+  const room = await store.findRoom(user.room);
+  const roomName = room && rooms.canAccess(room, user.id) ? user.room : rooms.LOBBY;
+
+  socket.join(roomName);
+  socket.join(userRoom(user.id));
+
+  const returning = user.online;
+  clearTimeout(leaveTimers[user.id]);
+  delete leaveTimers[user.id];
+  user = await state.updateUser(user.id, { room: roomName, online: true });
+  // A fresh tab means the user is active again, even if their other tabs went idle
+  if (returning) await presence.setIdle(user, socket, false);
+
+  await reads.startReading(user, user.room);
+  socket.emit("session", {
+    userId: user.id,
+    username: user.username,
+    room: user.room,
+    isAdmin: ADMIN_USERNAMES.has(user.username.toLowerCase()),
+    notificationLevels: await mentions.levels(user),
+    unreadCounts: await reads.unreadCounts(user),
   });
 
-  // --- SEND MESSAGE ---
-  socket.on("send_message", (message) => {
-    const user = users[socket.id];
-    if (!user) return;
-
-    const msgData = createMessage({
-      sender: user.username,
-      senderId: socket.id,
-      message,
-      room: user.room,
+  if (!returning) {
+    io.emit("user_list", await presence.list());
+    io.emit("user_joined", { username: user.username, id: user.id });
+    console.log(`${user.username} joined the chat`);
+  }
+
+  socket.emit("room_list", await rooms.list(user.id));
+
+  const page = await store.getMessages(user.room, { limit: PAGE_SIZE });
+  socket.emit("room_messages", { room: user.room, ...page, pruned: await retention.pruned(user.room) });
+  socket.emit("read_states", { conversation: user.room, states: await reads.receipts(user.room) });
+
+  // Deliver the newest page of each of the user's private conversations, with both sides' receipts
+  const history = [];
+  for (const conversationId of await store.listConversations()) {
+    if (!conversationId.startsWith("dm:")) continue;
+    if (!privateChatMembers(conversationId).includes(user.id)) continue;
+    const recent = await store.getMessages(conversationId, { limit: PAGE_SIZE });
+    history.push(...recent.messages);
+    socket.emit("read_states", {
+      conversation: reads.clientKey(conversationId, user.id),
+      states: await reads.receipts(conversationId),
     });
+  }
+  if (history.length > 0) socket.emit("private_history", history);
+};
 
-    rooms[user.room] = rooms[user.room] || [];
-    rooms[user.room].push(msgData);
+io.on("connection", (socket) => {
+  console.log(`🟢 User connected: ${socket.id}`);
 
-    io.to(user.room).emit("receive_message", msgData);
-  });
+  // Payloads are validated and rate limited before they reach the handlers below
+  socket.use(guardEvents(socket));
 
-  // --- PRIVATE MESSAGE ---
-  socket.on("private_message", ({ to, message }) => {
-    const user = users[socket.id];
+  // --- USER JOIN ---
+  // Identity comes from the verified token; new users start in #global
+  safe(attachSocket)(socket, socket.data.account);
+
+  // --- ROOM JOIN ---
+  socket.on("join_room", acked(async (roomName) => {
+    const user = await currentUser(socket);
     if (!user) return;
+    return enterRoom(socket, user, roomName);
+  }));
+
+  // --- ROOM MANAGEMENT ---
+  socket.on("list_rooms", acked(async () => rooms.list((await currentUser(socket)).id)));
+  socket.on("create_room", acked(async (data) => rooms.create(await currentUser(socket), data)));
+  socket.on("delete_room", acked(async (name) => rooms.archive(await currentUser(socket), name)));
+  socket.on("invite_to_room", acked(async ({ room, userId } = {}) =>
+    rooms.invite(await currentUser(socket), room, userId)
+  ));
+
+  // --- MODERATION ---
+  // Owners set roles; owners and moderators kick, ban and mute members (see controllers/moderation.js).
+  // The affected user gets a `moderated` event: { room, action, by, reason?, until?, role? }
+  socket.on("set_room_role", acked(async ({ room, userId, role }) =>
+    moderation.setRole(await currentUser(socket), room, userId, role)
+  ));
+  socket.on("kick_user", acked(async ({ room, userId, reason }) =>
+    moderation.kick(await currentUser(socket), room, userId, { reason })
+  ));
+  socket.on("ban_user", acked(async ({ room, userId, reason }) =>
+    moderation.ban(await currentUser(socket), room, userId, { reason })
+  ));
+  socket.on("unban_user", acked(async ({ room, userId }) => moderation.unban(await currentUser(socket), room, userId)));
+  socket.on("mute_user", acked(async ({ room, userId, minutes, reason }) =>
+    moderation.mute(await currentUser(socket), room, userId, { minutes, reason })
+  ));
+  socket.on("unmute_user", acked(async ({ room, userId }) => moderation.unmute(await currentUser(socket), room, userId)));
+  socket.on("load_moderation_log", acked(async ({ room, before }) =>
+    moderation.auditLog(await currentUser(socket), room, { before })
+  ));
+  // Owners only: { room, maxMessages?, maxAgeDays?, maxAttachmentMB? }; left out means the server default
+  socket.on("set_retention", acked(async ({ room, ...policy }) =>
+    retention.setPolicy(await currentUser(socket), room, policy)
+  ));
 
-    const msgData = createMessage({
-      sender: user.username,
-      senderId: socket.id,
-      message,
-      isPrivate: true,
+  // --- SEND MESSAGE ---
+  // Payload: { message, room?, quoteId?, parentId?, clientId?, expiresInMinutes?, expireAfterRead? }; a
+  // parentId makes it a thread reply, and the expiry options an ephemeral message (not in threads). `room`
+  // is the room it was written in, the user's current room when left out.
+  // Acks with the stored message; resending the same clientId doesn't post it twice.
+  // Outside threads, "/command ..." runs a slash command and acks with its result instead; it too runs
+  // once per clientId.
+  socket.on("send_message", acked(async (payload) => {
+    const user = await currentUser(socket);
+    const { message, room, quoteId, parentId, clientId, ...expiry } =
+      typeof payload === "string" ? { message: payload } : payload;
+    if (parentId === undefined && commands.isCommand(message)) {
+      return runCommandOnce(user, clientId, () => commands.run({ user, socket }, message));
+    }
+
+    return sendOnce(user, clientId, async () => {
+      if (parentId !== undefined) {
+        const reply = await messages.reply(user, parentId, { message, quoteId, clientId });
+        webhooks.dispatch(reply); // replies in room threads go out like timeline messages
+        return reply;
+      }
+      return postToRoom(user, { room, message: commands.unescape(message), quoteId, clientId, ...expiry });
     });
+  }));
 
-    socket.to(to).emit("private_message", msgData);
-    socket.emit("private_message", msgData);
-  });
+  // --- PRIVATE MESSAGE ---
+  // Payload: { to, message, quoteId?, clientId?, expiresInMinutes?, expireAfterRead? }; acked, deduplicated
+  // and open to commands like send_message
+  socket.on("private_message", acked(async ({ to, message, quoteId, clientId, ...expiry }) => {
+    const user = await currentUser(socket);
+    const recipient = await findUser(to);
+    if (!recipient) throw new ChatError("That user does not exist", 404);
+    if (commands.isCommand(message)) {
+      return runCommandOnce(user, clientId, () => commands.run({ user, socket, peer: recipient }, message));
+    }
 
-  // --- FILE OR IMAGE UPLOAD ---
-  socket.on("send_file", ({ fileName, fileData }) => {
-    const user = users[socket.id];
-    if (!user) return;
+    return sendOnce(user, clientId, () =>
+      postPrivate(user, recipient, { message: commands.unescape(message), quoteId, clientId, ...expiry })
+    );
+  }));
+
+  // --- SCHEDULED MESSAGES ---
+  // schedule_message: { message, sendAt, room? | to?, expiresInMinutes?, expireAfterRead? } -> the entry.
+  // Changes to the user's list are pushed to all their tabs as `scheduled_messages`; a message that
+  // can't be sent when due (room gone, muted...) is dropped with `scheduled_message_failed`.
+  socket.on("schedule_message", acked(async (payload) => {
+    if (commands.isCommand(payload.message)) throw new ChatError("Commands can't be scheduled", 400);
+    const message = commands.unescape(payload.message);
+    return scheduler.schedule(await currentUser(socket), { ...payload, message });
+  }));
+  socket.on("list_scheduled_messages", acked(async () => scheduler.list(await currentUser(socket))));
+  socket.on("cancel_scheduled_message", acked(async (id) => scheduler.cancel(await currentUser(socket), id)));
+
+  // --- SLASH COMMANDS ---
+  // The commands clients can offer while typing: [{ name, usage, description, args, moderator }]
+  socket.on("list_commands", acked(async () => commands.list()));
+
+  // --- MENTIONS ---
+  // load_mentions: a page of messages mentioning the user, newest last ({ messages, hasMore });
+  // set_notification_level: { room, level } with level "all", "mentions" or "muted"
+  socket.on("load_mentions", acked(async ({ before } = {}) => mentions.inbox(await currentUser(socket), { before })));
+  socket.on("set_notification_level", acked(async ({ room, level }) =>
+    mentions.setLevel(await currentUser(socket), room, level)
+  ));
+
+  // --- PAGINATION: OLDER MESSAGES ---
+  socket.on("load_older_messages", acked(async ({ room, privateToId, oldestMessageId } = {}) => {
+    const user = await currentUser(socket);
+    if (!user) return { messages: [], hasMore: false };
+
+    let conversationId = room;
+    if (privateToId) {
+      const peer = await findUser(privateToId);
+      if (!peer) return { messages: [], hasMore: false };
+      conversationId = privateChatKey(user.id, peer.id);
+    } else {
+      await rooms.get(room, user.id);
+    }
+    const page = await store.getMessages(conversationId, { before: oldestMessageId, limit: PAGE_SIZE });
+    // At the start of history, say whether retention removed anything before it
+    return page.hasMore ? page : { ...page, pruned: await retention.pruned(conversationId) };
+  }));
+
+  // --- THREADS ---
+  socket.on("load_thread", acked(async ({ parentId, before } = {}) =>
+    messages.thread(await currentUser(socket), parentId, { before })
+  ));
+
+  // --- SEARCH ---
+  // search_messages: { query, sender?, room?, from?, to?, hasFile?, offset?, limit? } (see controllers/search.js);
+  // load_message_context: the page around a result, so the client can show it in place
+  socket.on("search_messages", acked(async (params) => search.search(await currentUser(socket), params)));
+  socket.on("load_message_context", acked(async (messageId) => messages.context(await currentUser(socket), messageId)));
+
+  // --- FILE OR IMAGE SHARING ---
+  // The bytes go to POST /api/files first; the message only references the stored file.
+  // Payload: { fileId, fileName?, message?, room?, to?, clientId? } — `to` shares it in a DM instead of the room
+  socket.on("send_file", acked(async ({ fileId, fileName, message, room, to, clientId } = {}) => {
+    const user = await currentUser(socket);
+    const stored = typeof fileId === "string" ? await store.findFile(fileId) : null;
+    // File ids are content hashes anyone could know, so only files the user could fetch may be shared
+    if (!stored || !(await canShareFile(user, stored))) throw new ChatError("Upload the file before sharing it", 404);
+    // The upload limit may have been lowered since the file was stored
+    if (stored.size > UPLOAD_MAX_BYTES) throw new ChatError("That file is larger than uploads allow", 413);
+    const file = publicFile({ ...stored, name: typeof fileName === "string" && fileName ? fileName : stored.name });
+
+    if (to) {
+      const recipient = await findUser(to);
+      if (!recipient) throw new ChatError("That user does not exist", 404);
+      return sendOnce(user, clientId, async () => {
+        const fileMsg = createMessage({
+          sender: user.username,
+          senderId: user.id,
+          receiver: recipient.username,
+          receiverId: recipient.id,
+          message,
+          file,
+          isPrivate: true,
+          clientId,
+        });
+        await deliverPrivate(fileMsg);
+        return fileMsg;
+      });
+    }
 
-    const fileMsg = createMessage({
-      sender: user.username,
-      senderId: socket.id,
-      fileName,
-      fileData,
-      room: user.room,
+    // Like send_message, into the room it was shared from
+    const { name: roomName } = await rooms.get(room ?? user.room, user.id);
+    await moderation.assertCanPost(user, roomName);
+    return sendOnce(user, clientId, async () => {
+      const fileMsg = createMessage({
+        sender: user.username,
+        senderId: user.id,
+        message,
+        file,
+        room: roomName,
+        clientId,
+      });
+      await deliverToRoom(fileMsg);
+      return fileMsg;
     });
+  }));
 
-    rooms[user.room] = rooms[user.room] || [];
-    rooms[user.room].push(fileMsg);
+  // --- EDIT / DELETE MESSAGE ---
+  socket.on("edit_message", acked(async ({ messageId, message } = {}) =>
+    messages.edit(await currentUser(socket), messageId, message)
+  ));
+  socket.on("delete_message", acked(async (messageId) => messages.remove(await currentUser(socket), messageId)));
 
-    io.to(user.room).emit("receive_message", fileMsg);
-  });
+  // --- PRESENCE ---
+  // set_status: { status?: "online" | "away" | "dnd", message? }; idle: whether this tab has gone idle
+  socket.on("set_status", acked(async (status) => presence.setStatus(await currentUser(socket), status)));
+  socket.on("idle", safe(async (idle) => presence.setIdle(await currentUser(socket), socket, idle)));
 
   // --- TYPING INDICATOR ---
-  socket.on("typing", (isTyping) => {
-    if (users[socket.id]) {
-      const username = users[socket.id].username;
-      if (isTyping) typingUsers[socket.id] = username;
-      else delete typingUsers[socket.id];
-      io.emit("typing_users", Object.values(typingUsers));
+  // Payload: { isTyping, to? } — `to` is the DM peer, otherwise the user's current room.
+  // Clients refresh while typing; the server drops indicators that stop being refreshed.
+  socket.on("typing", safe(async (payload) => {
+    const user = await currentUser(socket);
+    if (!user) return;
+
+    const { isTyping, to } = typeof payload === "boolean" ? { isTyping: payload } : payload || {};
+    if (to) {
+      const peer = await findUser(to);
+      if (peer) await typing.set(user, { peerId: peer.id }, Boolean(isTyping));
+    } else {
+      await typing.set(user, { room: user.room }, Boolean(isTyping));
     }
-  });
+  }));
 
   // --- MESSAGE REACTION ---
-  socket.on("react_message", ({ messageId, reaction }) => {
-    for (const room in rooms) {
-      const msg = rooms[room].find((m) => m.id === messageId);
-      if (msg) {
-        msg.reactions.push({ userId: socket.id, reaction });
-        io.to(room).emit("message_reaction", { messageId, reaction });
-        break;
-      }
-    }
-  });
+  // Toggles: reacting again with the same emoji removes the reaction
+  socket.on("react_message", acked(async ({ messageId, reaction } = {}) =>
+    messages.react(await currentUser(socket), messageId, reaction)
+  ));
 
   // --- READ RECEIPTS ---
-  socket.on("read_message", (messageId) => {
-    const user = users[socket.id];
+  // Clients report the newest message they have seen; everything up to it counts as read
+  // Reading also starts the countdown of expire-after-read messages up to that point
+  socket.on("read_message", acked(async (messageId) => {
+    const user = await currentUser(socket);
+    const receipt = await reads.markRead(user, messageId);
+    await scheduler.messageRead(user, messageId);
+    return receipt;
+  }));
+
+  // --- DISCONNECT ---
+  // The user only leaves once their last socket is gone and the grace period passes
+  socket.on("disconnect", safe(async () => {
+    eventLimiter.forget(socket.id);
+    const user = await currentUser(socket);
     if (!user) return;
 
-    for (const room in rooms) {
-      const msg = rooms[room].find((m) => m.id === messageId);
-      if (msg && !msg.readers.includes(user.username)) {
-        msg.readers.push(user.username);
-        io.to(room).emit("message_read", {
-          messageId,
-          readers: msg.readers,
-        });
-      }
+    if (await hasSockets(user.id)) {
+      // The tab that closed may have been the only active one
+      await presence.refreshIdle(user);
+      return;
     }
-  });
 
-  // --- DISCONNECT ---
-  socket.on("disconnect", () => {
-    const user = users[socket.id];
-    if (user) {
-      io.emit("user_left", { username: user.username, id: socket.id });
-      delete users[socket.id];
-      delete typingUsers[socket.id];
-      io.emit("user_list", Object.values(users));
-      io.emit("typing_users", Object.values(typingUsers));
+    await typing.clearUser(user.id);
+
+    leaveTimers[user.id] = setTimeout(safe(async () => {
+      delete leaveTimers[user.id];
+      // The user may have come back through another server
+      if (await hasSockets(user.id)) return;
+      await presence.wentOffline(user);
+      io.emit("user_left", { username: user.username, id: user.id });
+      io.emit("user_list", await presence.list());
       console.log(`🔴 ${user.username} disconnected`);
-    }
-  });
+    }), RECONNECT_GRACE_MS);
+  }));
 });
 
 // API routes
-app.get("/api/users", (req, res) => res.json(Object.values(users)));
-app.get("/api/rooms", (req, res) => res.json(rooms));
+app.use("/api/auth", createAuthRouter(store, { admins: ADMIN_USERNAMES, adminSignupCode: ADMIN_SIGNUP_CODE }));
+app.get("/api/users", requireAuth(store), async (req, res) => res.json(await onlineUsers()));
+app.use("/api/rooms", requireAuth(store), createRoomsRouter({ rooms, moderation, retention, webhooks }));
+// Managed with user tokens; bots post with their own (see routes/bots.js)
+app.use("/api/bots", createBotsRouter({ bots, requireUser: requireAuth(store), sendLimiter }));
+app.use("/api/search", requireAuth(store), createSearchRouter({ search }));
+// Exports are downloaded through plain links, so they accept signed download links like files do
+app.use("/api/archives", requireAuth(store, { allowDownloadToken: true }), createArchivesRouter({ archives }));
+app.use(
+  "/api/files",
+  requireAuth(store, { allowDownloadToken: true }),
+  createFilesRouter({
+    store,
+    canRead: messages.canRead,
+    uploadDir: UPLOAD_DIR,
+    maxBytes: UPLOAD_MAX_BYTES,
+    allowedTypes: UPLOAD_ALLOWED_TYPES,
+  })
+);
+
+// ChatErrors carry their own status; anything else is a bug worth logging
+app.use((err, req, res, next) => {
+  if (err instanceof ChatError) return res.status(err.status).json(err.toJSON());
+  console.error("❌ Request failed:", err);
+  res.status(500).json({ error: "Internal server error" });
+});
 
-// Start server
+// Start server once the cluster connection is up and persisted history has been loaded
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+cluster
+  .init()
+  .then(() => store.init())
+  .then(() => rooms.init())
+  .then(() => server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`)))
+  .then(() => retention.start(RETENTION_SWEEP_MS))
+  .then(() => scheduler.start(SCHEDULER_TICK_MS))
+  .catch((err) => {
+    console.error("❌ Failed to start:", err);
+    process.exit(1);
+  });
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, store };
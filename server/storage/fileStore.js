@@ -0,0 +1,61 @@
+// storage/fileStore.js — Append-only JSON log store, replayed into memory on startup
+
+const fs = require("fs");
+const path = require("path");
+const createMemoryStore = require("./memoryStore");
+const { replay, snapshot, createLoggedStore } = require("./oplog");
+
+const createFileStore = ({ file }) => {
+  const memory = createMemoryStore();
+  let writeQueue = Promise.resolve();
+
+  // Appends are chained so log entries land in the order they were made. A failed write only
+  // rejects its own caller; the next one still runs.
+  const append = (entry) => {
+    const write = writeQueue
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(file, JSON.stringify(entry) + "\n"));
+    writeQueue = write;
+    return write;
+  };
+
+  // Rewrite the log as its snapshot so updates don't pile up forever
+  const compact = async () => {
+    const lines = (await snapshot(memory)).map((entry) => JSON.stringify(entry));
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, lines.length ? lines.join("\n") + "\n" : "");
+    await fs.promises.rename(tmp, file);
+  };
+
+  return {
+    ...createLoggedStore(memory, append),
+
+    init: async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      let contents = "";
+      try {
+        contents = await fs.promises.readFile(file, "utf8");
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+
+      for (const line of contents.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          await replay(memory, JSON.parse(line));
+        } catch {
+          // A crash mid-append can leave a truncated last line; skip it
+          console.warn(`⚠️  Skipping unreadable entry in ${file}`);
+        }
+      }
+
+      await compact();
+    },
+
+    // Waits for pending appends; a failed one was already reported to whoever made it
+    close: () => writeQueue.catch(() => {}),
+  };
+};
+
+module.exports = createFileStore;
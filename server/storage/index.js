@@ -0,0 +1,68 @@
+// storage/index.js — Picks the message store implementation from STORAGE_DRIVER
+
+const path = require("path");
+const createMemoryStore = require("./memoryStore");
+const createFileStore = require("./fileStore");
+const createRedisStore = require("./redisStore");
+
+/**
+ * Every store exposes the same async interface:
+ *   init()                                        load persisted state
+ *   addMessage(conversationId, message)           add to a room or DM, kept in timestamp order
+ *   getMessages(conversationId, { before, after, limit }) -> { messages, hasMore }
+ *   findMessage(id)                               -> message | null
+ *   findMessageByClientId(senderId, clientId)     -> message | null (dedupes retried sends)
+ *   updateMessage(id, changes)                    -> updated message | null
+ *   addReply(conversationId, reply)               add a thread reply and count it on its parent -> parent | null
+ *   deleteMessage(id, changes)                    tombstone it; a reply stops counting -> { message, parent } | null
+ *   toggleReaction(id, user, emoji)               add or take back the user's reaction -> updated message | null
+ *   removeMessages(conversationId, ids)           -> number removed; deletes them for good (retention)
+ *   listConversations()                           -> [conversationId]
+ *   listEphemeral()                               -> [message] ephemeral (expiresAt / expireAfterRead), not deleted yet
+ *   getMentions(userId, { before, limit })        -> { messages, hasMore } that mention the user, newest last
+ *   findMessagesWithFile(fileId)                  -> [message] sharing the uploaded file
+ *   countMessagesSince(conversationId, since, { excludeSenderId }) -> number of newer messages
+ *   saveReadState({ userId, conversationId, lastReadId, lastReadAt }) set a user's read position
+ *   listReadStates({ userId?, conversationId? })  -> [read state]
+ *   saveScheduled(entry) / removeScheduled(id)    messages waiting to be sent at entry.sendAt
+ *   listScheduled({ userId? })                    -> [scheduled entry], soonest first
+ *   claimScheduled(id, ttlMs)                     -> true for the one caller (across processes) that may send it
+ *   savePruneRecord({ conversationId, count, before, at }) how much history retention has removed
+ *   listPruneRecords({ conversationId? })         -> [prune record]
+ *   saveWebhook(webhook) / removeWebhook(id)      outgoing webhooks; removing one drops its failures too
+ *   listWebhooks({ room? })                       -> [webhook], oldest first
+ *   addWebhookFailure(failure)                    log a delivery that gave up (the latest 100 per webhook are kept)
+ *   listWebhookFailures(webhookId)                -> [failure], newest last
+ *   addAccount(account)                           register a user or bot account
+ *   updateAccount(id, changes)                    -> updated account | null
+ *   findAccountById(id) / findAccountByUsername(username) -> account | null
+ *   listAccounts()                                -> [account]
+ *   saveRoom(room)                                create or replace room metadata
+ *   findRoom(name)                                -> room | null
+ *   listRooms()                                   -> [room]
+ *   saveFile(file) / findFile(id) / listFiles()   metadata of uploaded files (bytes live on disk)
+ *   removeFile(id)                                forget an uploaded file's metadata
+ *   addAuditEntry(entry)                          record a moderation action in its room's log
+ *   getAuditLog(room, { before, limit })          -> { entries, hasMore }
+ *   close()                                       flush pending writes
+ */
+const createStore = (driver = process.env.STORAGE_DRIVER || "memory") => {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({
+        file: process.env.STORAGE_FILE || path.join(__dirname, "..", "data", "messages.log"),
+      });
+    // Shared by every server process pointed at the same Redis
+    case "redis":
+      return createRedisStore({
+        url: process.env.REDIS_URL || "redis://localhost:6379",
+        prefix: process.env.REDIS_PREFIX || "chat",
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "memory", "file" or "redis")`);
+  }
+};
+
+module.exports = { createStore };
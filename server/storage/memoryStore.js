@@ -0,0 +1,333 @@
+// storage/memoryStore.js — In-memory message store (history is lost on restart)
+
+const { toggleReaction } = require("../models/message");
+
+const MAX_WEBHOOK_FAILURES = 100; // kept per webhook, the oldest are dropped
+
+const createMemoryStore = () => {
+  const conversations = {}; // { conversationId: [messages] }
+  const index = new Map(); // messageId -> conversationId
+  const clientIds = new Map(); // "senderId\nclientId" -> messageId
+  const mentioned = new Map(); // userId -> Set of ids of messages that mention them
+  const ephemeral = new Set(); // ids of messages that will delete themselves and haven't yet
+  const attachments = new Map(); // fileId -> Set of ids of messages sharing that file
+  const accounts = {}; // { accountId: { id, username, passwordHash, createdAt, bot?, ownerId?, tokenHash? } }
+  const rooms = {}; // { roomName: { name, topic, ownerId, createdAt, isPrivate, members, archived } }
+  // { fileId: { id, name, size, type, uploaderId, uploaderIds?, createdAt, lastUploadedAt?, hasThumbnail } }
+  const files = {};
+  const readStates = {}; // { "userId\nconversationId": { userId, conversationId, lastReadId, lastReadAt } }
+  const auditLogs = {}; // { roomName: [{ id, room, action, actorId, actor, targetId, target, at, ... }] }
+  const scheduled = {}; // { id: { id, userId, room, to, message, sendAt, ... } } messages waiting to be sent
+  const claims = new Map(); // scheduled entry id -> time (ms) until which it is being sent
+  const pruneRecords = {}; // { conversationId: { conversationId, count, before, at } }, history removed by retention
+  const webhooks = {}; // { id: { id, room, url, pattern, secret, createdBy, createdAt } }
+  const webhookFailures = {}; // { webhookId: [{ id, webhookId, room, messageId, attempts, error, at }] }
+
+  const findMessage = async (id) => {
+    const conversationId = index.get(id);
+    if (conversationId === undefined) return null;
+    return conversations[conversationId].find((m) => m.id === id) || null;
+  };
+
+  const indexMentions = (message, add) => {
+    for (const userId of message.mentions?.userIds || []) {
+      if (!mentioned.has(userId)) mentioned.set(userId, new Set());
+      if (add) mentioned.get(userId).add(message.id);
+      else mentioned.get(userId).delete(message.id);
+    }
+  };
+
+  const indexAttachment = (message, add) => {
+    const fileId = message.file?.id;
+    if (!fileId) return;
+    if (!attachments.has(fileId)) attachments.set(fileId, new Set());
+    if (add) attachments.get(fileId).add(message.id);
+    else attachments.get(fileId).delete(message.id);
+    if (attachments.get(fileId).size === 0) attachments.delete(fileId);
+  };
+
+  const indexEphemeral = (message) => {
+    if ((message.expiresAt || message.expireAfterRead) && !message.deleted) ephemeral.add(message.id);
+    else ephemeral.delete(message.id);
+  };
+
+  // History stays in timestamp order: new messages go last, imported older ones slot in place
+  const addMessage = async (conversationId, message) => {
+    const list = (conversations[conversationId] = conversations[conversationId] || []);
+    let at = list.length;
+    while (at > 0 && list[at - 1].timestamp > message.timestamp) at -= 1;
+    list.splice(at, 0, message);
+    index.set(message.id, conversationId);
+    if (message.clientId) clientIds.set(`${message.senderId}\n${message.clientId}`, message.id);
+    indexMentions(message, true);
+    indexAttachment(message, true);
+    indexEphemeral(message);
+    return message;
+  };
+
+  const updateMessage = async (id, changes) => {
+    const msg = await findMessage(id);
+    if (!msg) return null;
+    if (changes.mentions !== undefined) indexMentions(msg, false);
+    if (changes.file !== undefined) indexAttachment(msg, false);
+    Object.assign(msg, changes);
+    if (changes.mentions !== undefined) indexMentions(msg, true);
+    if (changes.file !== undefined) indexAttachment(msg, true);
+    indexEphemeral(msg);
+    return msg;
+  };
+
+  return {
+    init: async () => {},
+
+    addMessage,
+
+    // One page of history, newest last, ending just before the `before` cursor
+    // or, with `after`, starting just after that cursor (hasMore then means newer messages)
+    getMessages: async (conversationId, { before, after, limit }) => {
+      const list = conversations[conversationId] || [];
+      if (after !== undefined && after !== null) {
+        const start = list.findIndex((m) => m.id === after) + 1;
+        if (start === 0) return { messages: [], hasMore: false };
+        const end = Math.min(list.length, start + limit);
+        return { messages: list.slice(start, end), hasMore: end < list.length };
+      }
+      let end = list.length;
+      if (before !== undefined && before !== null) {
+        end = list.findIndex((m) => m.id === before);
+        if (end === -1) return { messages: [], hasMore: false };
+      }
+      const start = Math.max(0, end - limit);
+      return { messages: list.slice(start, end), hasMore: start > 0 };
+    },
+
+    findMessage,
+
+    // The message a sender already created under their own client-generated id, if any
+    findMessageByClientId: async (senderId, clientId) => {
+      const id = clientIds.get(`${senderId}\n${clientId}`);
+      return id === undefined ? null : findMessage(id);
+    },
+
+    updateMessage,
+
+    // Add a thread reply and count it on its parent in the same step, so parallel replies are all counted
+    addReply: async (conversationId, reply) => {
+      await addMessage(conversationId, reply);
+      const parent = await findMessage(reply.parentId);
+      if (!parent) return null;
+      parent.replyCount = (parent.replyCount || 0) + 1;
+      parent.lastReplyAt = reply.timestamp;
+      return parent;
+    },
+
+    // Turn a message into a tombstone (`changes` empty it) unless it already is one; a thread reply
+    // stops counting on its parent in the same step
+    deleteMessage: async (id, changes) => {
+      const msg = await findMessage(id);
+      if (!msg || msg.deleted) return null;
+      const deleted = await updateMessage(id, { ...changes, deleted: true });
+      const parent = msg.parentId !== null && msg.parentId !== undefined ? await findMessage(msg.parentId) : null;
+      if (parent) parent.replyCount = Math.max(0, (parent.replyCount || 0) - 1);
+      return { message: deleted, parent };
+    },
+
+    // Add the user's reaction with `emoji`, or take it back, on the message as stored right now
+    toggleReaction: async (id, user, emoji) => {
+      const msg = await findMessage(id);
+      if (!msg) return null;
+      msg.reactions = toggleReaction(msg.reactions, user, emoji);
+      return msg;
+    },
+
+    // Delete messages for good (retention); a conversation left empty disappears
+    removeMessages: async (conversationId, ids) => {
+      const list = conversations[conversationId] || [];
+      const removing = new Set(ids);
+      const removed = list.filter((m) => removing.has(m.id));
+      for (const message of removed) {
+        index.delete(message.id);
+        if (message.clientId) clientIds.delete(`${message.senderId}\n${message.clientId}`);
+        indexMentions(message, false);
+        indexAttachment(message, false);
+        ephemeral.delete(message.id);
+      }
+      const kept = list.filter((m) => !removing.has(m.id));
+      if (kept.length > 0) conversations[conversationId] = kept;
+      else delete conversations[conversationId];
+      return removed.length;
+    },
+
+    listConversations: async () => Object.keys(conversations),
+
+    // Messages still waiting to delete themselves: with an expiresAt, or expiring once read
+    listEphemeral: async () => Promise.all([...ephemeral].map(findMessage)),
+
+    // Messages that share the uploaded file `fileId`, in no particular order
+    findMessagesWithFile: async (fileId) => Promise.all([...(attachments.get(fileId) || [])].map(findMessage)),
+
+    // One page of the messages mentioning a user, across every conversation, newest last
+    getMentions: async (userId, { before, limit }) => {
+      const ids = [...(mentioned.get(userId) || [])];
+      const list = (await Promise.all(ids.map(findMessage)))
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      let end = list.length;
+      if (before !== undefined && before !== null) {
+        end = list.findIndex((m) => m.id === before);
+        if (end === -1) return { messages: [], hasMore: false };
+      }
+      const start = Math.max(0, end - limit);
+      return { messages: list.slice(start, end), hasMore: start > 0 };
+    },
+
+    // Messages newer than `since` (an ISO timestamp), skipping tombstones and `excludeSenderId`'s own.
+    // History is in timestamp order, so the scan stops at the first older message.
+    countMessagesSince: async (conversationId, since, { excludeSenderId } = {}) => {
+      const list = conversations[conversationId] || [];
+      let count = 0;
+      for (let i = list.length - 1; i >= 0 && list[i].timestamp > since; i--) {
+        if (!list[i].deleted && list[i].senderId !== excludeSenderId) count += 1;
+      }
+      return count;
+    },
+
+    // One read position per user per conversation: saving replaces the previous one
+    saveReadState: async (state) => {
+      readStates[`${state.userId}\n${state.conversationId}`] = state;
+      return state;
+    },
+
+    listReadStates: async ({ userId, conversationId } = {}) =>
+      Object.values(readStates).filter(
+        (s) =>
+          (userId === undefined || s.userId === userId) &&
+          (conversationId === undefined || s.conversationId === conversationId)
+      ),
+
+    saveScheduled: async (entry) => {
+      scheduled[entry.id] = entry;
+      return entry;
+    },
+
+    removeScheduled: async (id) => {
+      delete scheduled[id];
+      claims.delete(id);
+    },
+
+    // Reserve a scheduled entry for sending. Only the first caller gets true until `ttlMs` has passed,
+    // after which the entry can be claimed again (its sender may have crashed). Claims aren't persisted.
+    claimScheduled: async (id, ttlMs) => {
+      const now = Date.now();
+      if (!scheduled[id] || claims.get(id) > now) return false;
+      claims.set(id, now + ttlMs);
+      return true;
+    },
+
+    // Scheduled messages, soonest first
+    listScheduled: async ({ userId } = {}) =>
+      Object.values(scheduled)
+        .filter((e) => userId === undefined || e.userId === userId)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt)),
+
+    // One record per conversation of how much history retention has removed: saving replaces it
+    savePruneRecord: async (record) => {
+      pruneRecords[record.conversationId] = record;
+      return record;
+    },
+
+    listPruneRecords: async ({ conversationId } = {}) =>
+      Object.values(pruneRecords).filter((r) => conversationId === undefined || r.conversationId === conversationId),
+
+    // Webhooks are saved whole; removing one also drops its failure log
+    saveWebhook: async (webhook) => {
+      webhooks[webhook.id] = webhook;
+      return webhook;
+    },
+
+    removeWebhook: async (id) => {
+      delete webhooks[id];
+      delete webhookFailures[id];
+    },
+
+    listWebhooks: async ({ room } = {}) =>
+      Object.values(webhooks)
+        .filter((w) => room === undefined || w.room === room)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+
+    addWebhookFailure: async (failure) => {
+      const list = (webhookFailures[failure.webhookId] = webhookFailures[failure.webhookId] || []);
+      list.push(failure);
+      if (list.length > MAX_WEBHOOK_FAILURES) list.splice(0, list.length - MAX_WEBHOOK_FAILURES);
+      return failure;
+    },
+
+    // A webhook's most recent failed deliveries, newest last
+    listWebhookFailures: async (webhookId) => [...(webhookFailures[webhookId] || [])],
+
+    addAccount: async (account) => {
+      accounts[account.id] = account;
+      return account;
+    },
+
+    updateAccount: async (id, changes) => {
+      if (!accounts[id]) return null;
+      Object.assign(accounts[id], changes);
+      return accounts[id];
+    },
+
+    findAccountById: async (id) => accounts[id] || null,
+
+    // Usernames are unique regardless of case
+    findAccountByUsername: async (username) =>
+      Object.values(accounts).find((a) => a.username.toLowerCase() === username.toLowerCase()) ||
+      null,
+
+    listAccounts: async () => Object.values(accounts),
+
+    // Rooms are saved whole: creating and updating are the same operation
+    saveRoom: async (room) => {
+      rooms[room.name] = room;
+      return room;
+    },
+
+    findRoom: async (name) => rooms[name] || null,
+
+    listRooms: async () => Object.values(rooms),
+
+    saveFile: async (file) => {
+      files[file.id] = file;
+      return file;
+    },
+
+    findFile: async (id) => files[id] || null,
+
+    removeFile: async (id) => {
+      delete files[id];
+    },
+
+    listFiles: async () => Object.values(files),
+
+    addAuditEntry: async (entry) => {
+      auditLogs[entry.room] = auditLogs[entry.room] || [];
+      auditLogs[entry.room].push(entry);
+      return entry;
+    },
+
+    // One page of a room's moderation log, newest last, ending just before the `before` cursor
+    getAuditLog: async (room, { before, limit }) => {
+      const list = auditLogs[room] || [];
+      let end = list.length;
+      if (before !== undefined && before !== null) {
+        end = list.findIndex((e) => e.id === before);
+        if (end === -1) return { entries: [], hasMore: false };
+      }
+      const start = Math.max(0, end - limit);
+      return { entries: list.slice(start, end), hasMore: start > 0 };
+    },
+
+    close: async () => {},
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,175 @@
+// storage/oplog.js — Stores that persist every write as an operation log over the in-memory store
+//
+// The file and Redis drivers keep all state in a memory store and record each write as an entry
+// ({ op, ... }) that can be replayed into another memory store to rebuild the same state.
+
+// Apply one logged write to a memory store
+const replay = (memory, entry) => {
+  if (entry.op === "add") return memory.addMessage(entry.conversationId, entry.message);
+  if (entry.op === "update") return memory.updateMessage(entry.id, entry.changes);
+  if (entry.op === "reply") return memory.addReply(entry.conversationId, entry.message);
+  if (entry.op === "delete") return memory.deleteMessage(entry.id, entry.changes);
+  if (entry.op === "react") return memory.toggleReaction(entry.id, entry.user, entry.emoji);
+  if (entry.op === "remove") return memory.removeMessages(entry.conversationId, entry.ids);
+  if (entry.op === "pruned") return memory.savePruneRecord(entry.record);
+  if (entry.op === "schedule") return memory.saveScheduled(entry.entry);
+  if (entry.op === "unschedule") return memory.removeScheduled(entry.id);
+  if (entry.op === "webhook") return memory.saveWebhook(entry.webhook);
+  if (entry.op === "unwebhook") return memory.removeWebhook(entry.id);
+  if (entry.op === "webhook_failed") return memory.addWebhookFailure(entry.failure);
+  if (entry.op === "account") return memory.addAccount(entry.account);
+  if (entry.op === "room") return memory.saveRoom(entry.room);
+  if (entry.op === "file") return memory.saveFile(entry.file);
+  if (entry.op === "unfile") return memory.removeFile(entry.id);
+  if (entry.op === "read") return memory.saveReadState(entry.state);
+  if (entry.op === "audit") return memory.addAuditEntry(entry.entry);
+};
+
+// The shortest log that rebuilds the memory store: one entry per account, room, file, message,
+// read position, prune record, scheduled message, webhook (with its failures) and audit entry, so
+// updates and removals don't pile up forever
+const snapshot = async (memory) => {
+  const entries = [];
+  for (const account of await memory.listAccounts()) entries.push({ op: "account", account });
+  for (const room of await memory.listRooms()) entries.push({ op: "room", room });
+  for (const file of await memory.listFiles()) entries.push({ op: "file", file });
+  for (const conversationId of await memory.listConversations()) {
+    const { messages } = await memory.getMessages(conversationId, { limit: Infinity });
+    for (const message of messages) entries.push({ op: "add", conversationId, message });
+  }
+  for (const state of await memory.listReadStates()) entries.push({ op: "read", state });
+  for (const record of await memory.listPruneRecords()) entries.push({ op: "pruned", record });
+  for (const entry of await memory.listScheduled()) entries.push({ op: "schedule", entry });
+  for (const webhook of await memory.listWebhooks()) {
+    entries.push({ op: "webhook", webhook });
+    for (const failure of await memory.listWebhookFailures(webhook.id)) entries.push({ op: "webhook_failed", failure });
+  }
+  for (const room of await memory.listRooms()) {
+    const { entries: audit } = await memory.getAuditLog(room.name, { limit: Infinity });
+    for (const entry of audit) entries.push({ op: "audit", entry });
+  }
+  return entries;
+};
+
+// The memory store's interface with every write applied locally, then passed to `append`
+const createLoggedStore = (memory, append) => ({
+  ...memory,
+
+  addMessage: async (conversationId, message) => {
+    await memory.addMessage(conversationId, message);
+    await append({ op: "add", conversationId, message });
+    return message;
+  },
+
+  updateMessage: async (id, changes) => {
+    const msg = await memory.updateMessage(id, changes);
+    if (msg) await append({ op: "update", id, changes });
+    return msg;
+  },
+
+  // Logged as the toggle itself rather than its result, so processes that apply toggles in the
+  // log's order agree on the outcome
+  toggleReaction: async (id, user, emoji) => {
+    const msg = await memory.toggleReaction(id, user, emoji);
+    if (msg) await append({ op: "react", id, user: { id: user.id, username: user.username }, emoji });
+    return msg;
+  },
+
+  // Likewise, replaying the reply counts it again instead of restoring a count that may be stale
+  addReply: async (conversationId, reply) => {
+    const parent = await memory.addReply(conversationId, reply);
+    await append({ op: "reply", conversationId, message: reply });
+    return parent;
+  },
+
+  // And deleting a reply uncounts it again
+  deleteMessage: async (id, changes) => {
+    const result = await memory.deleteMessage(id, changes);
+    if (result) await append({ op: "delete", id, changes });
+    return result;
+  },
+
+  removeMessages: async (conversationId, ids) => {
+    const removed = await memory.removeMessages(conversationId, ids);
+    if (removed) await append({ op: "remove", conversationId, ids });
+    return removed;
+  },
+
+  saveScheduled: async (entry) => {
+    await memory.saveScheduled(entry);
+    await append({ op: "schedule", entry });
+    return entry;
+  },
+
+  removeScheduled: async (id) => {
+    await memory.removeScheduled(id);
+    await append({ op: "unschedule", id });
+  },
+
+  savePruneRecord: async (record) => {
+    await memory.savePruneRecord(record);
+    await append({ op: "pruned", record });
+    return record;
+  },
+
+  addAccount: async (account) => {
+    await memory.addAccount(account);
+    await append({ op: "account", account });
+    return account;
+  },
+
+  // Logged as the whole account, which replays the same way as a new one
+  updateAccount: async (id, changes) => {
+    const account = await memory.updateAccount(id, changes);
+    if (account) await append({ op: "account", account });
+    return account;
+  },
+
+  saveRoom: async (room) => {
+    await memory.saveRoom(room);
+    await append({ op: "room", room });
+    return room;
+  },
+
+  saveFile: async (file) => {
+    await memory.saveFile(file);
+    await append({ op: "file", file });
+    return file;
+  },
+
+  removeFile: async (id) => {
+    await memory.removeFile(id);
+    await append({ op: "unfile", id });
+  },
+
+  saveReadState: async (state) => {
+    await memory.saveReadState(state);
+    await append({ op: "read", state });
+    return state;
+  },
+
+  saveWebhook: async (webhook) => {
+    await memory.saveWebhook(webhook);
+    await append({ op: "webhook", webhook });
+    return webhook;
+  },
+
+  removeWebhook: async (id) => {
+    await memory.removeWebhook(id);
+    await append({ op: "unwebhook", id });
+  },
+
+  addWebhookFailure: async (failure) => {
+    await memory.addWebhookFailure(failure);
+    await append({ op: "webhook_failed", failure });
+    return failure;
+  },
+
+  addAuditEntry: async (entry) => {
+    await memory.addAuditEntry(entry);
+    await append({ op: "audit", entry });
+    return entry;
+  },
+});
+
+module.exports = { replay, snapshot, createLoggedStore };
@@ -0,0 +1,100 @@
+// storage/redisStore.js — Operation log kept in Redis, replayed into memory and followed live,
+// so several server processes share accounts, rooms and history
+
+const crypto = require("crypto");
+const { createClient, WatchError } = require("redis");
+const createMemoryStore = require("./memoryStore");
+const { replay, snapshot, createLoggedStore } = require("./oplog");
+
+// client: a node-redis client that isn't connected yet, made from `url` unless given (tests pass a stand-in)
+const createRedisStore = ({ url, prefix, client = createClient({ url }) }) => {
+  const memory = createMemoryStore();
+  const subscriber = client.duplicate();
+  const logKey = `${prefix}:log`;
+  // Entries compaction has folded away. An entry's seq is this plus its position in the log, so seqs keep
+  // counting up when the log is rewritten shorter.
+  const baseKey = `${prefix}:base`;
+  const origin = crypto.randomUUID(); // tells this process's own entries apart from other processes'
+  let replayed = 0; // seq of the last entry read at startup; later ones arrive through the channel
+  let backlog = []; // entries published while the log was being read, or null once caught up
+
+  // Apply another process's write. Each entry carries its position in the log, so ones already
+  // read at startup are skipped.
+  const receive = async (raw) => {
+    const { from, seq, entry } = JSON.parse(raw);
+    if (from === origin) return;
+    if (backlog) return backlog.push({ seq, entry });
+    if (seq > replayed) await replay(memory, entry);
+  };
+
+  // Local writes are already applied; the log keeps them for new processes, the channel for running ones.
+  // The base is read in the same transaction as the push, so a compaction can't come in between.
+  const append = async (entry) => {
+    const [position, base] = await client.multi().rPush(logKey, JSON.stringify(entry)).get(baseKey).exec();
+    const seq = Number(base || 0) + position;
+    await client.publish(logKey, JSON.stringify({ from: origin, seq, entry }));
+  };
+
+  // Rewrite the log as the snapshot of what was read from it (`length` entries after `base`). Other
+  // processes may be running: if one writes in the meantime, WATCH makes the rewrite fail rather than
+  // lose that entry, and the log is simply compacted on a later start.
+  const compact = async (length, base) => {
+    const watcher = client.duplicate(); // WATCH applies to a whole connection
+    await watcher.connect();
+    try {
+      await watcher.watch([logKey, baseKey]);
+      if ((await watcher.lLen(logKey)) !== length || (await watcher.get(baseKey)) !== base) return;
+      const compacted = (await snapshot(memory)).map((entry) => JSON.stringify(entry));
+      const multi = watcher
+        .multi()
+        .del(logKey)
+        .set(baseKey, String(Number(base || 0) + length - compacted.length));
+      if (compacted.length) multi.rPush(logKey, compacted);
+      await multi.exec();
+    } catch (err) {
+      if (!(err instanceof WatchError)) throw err;
+    } finally {
+      await watcher.close();
+    }
+  };
+
+  return {
+    ...createLoggedStore(memory, append),
+
+    init: async () => {
+      await Promise.all([client.connect(), subscriber.connect()]);
+
+      // Subscribed before the log is read, so entries written in between come through the backlog
+      await subscriber.subscribe(logKey, (raw) =>
+        receive(raw).catch((err) => console.error("❌ Could not apply a shared store entry:", err))
+      );
+      const [entries, base] = await client.multi().lRange(logKey, 0, -1).get(baseKey).exec();
+      for (const line of entries) {
+        try {
+          await replay(memory, JSON.parse(line));
+        } catch {
+          console.warn(`⚠️  Skipping unreadable entry in ${logKey}`);
+        }
+      }
+      replayed = Number(base || 0) + entries.length;
+      for (const { seq, entry } of backlog) if (seq > replayed) await replay(memory, entry);
+      backlog = null;
+
+      await compact(entries.length, base);
+    },
+
+    // The claim is also taken in Redis, which only lets one process set the key; it is left to expire
+    // rather than deleted, so a process that hasn't heard of the entry's removal yet can't claim it again
+    claimScheduled: async (id, ttlMs) => {
+      if (!(await memory.claimScheduled(id, ttlMs))) return false;
+      const options = { condition: "NX", expiration: { type: "PX", value: ttlMs } };
+      return (await client.set(`${prefix}:claim:${id}`, origin, options)) === "OK";
+    },
+
+    close: async () => {
+      await Promise.all([subscriber.quit(), client.quit()]);
+    },
+  };
+};
+
+module.exports = createRedisStore;
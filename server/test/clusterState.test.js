@@ -0,0 +1,59 @@
+// test/clusterState.test.js — Users' runtime state and typing indicators behave the same in one
+// process and shared through Redis (the in-memory stand-in here)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const createMemoryState = require("../cluster/memoryState");
+const createRedisState = require("../cluster/redisState");
+const { createFakeRedis } = require("./fakeRedis");
+
+const byId = (a, b) => a.id.localeCompare(b.id);
+
+const states = {
+  memory: () => [createMemoryState()],
+  // Two processes' views of the same Redis
+  redis: () => {
+    const redis = createFakeRedis();
+    return [0, 1].map(() => createRedisState({ client: redis.createClient(), prefix: "test" }));
+  },
+};
+
+for (const [driver, create] of Object.entries(states)) {
+  test(`${driver}: users are saved, updated and listed`, async () => {
+    const [state, other = state] = create();
+    await state.saveUser({ id: "u1", username: "alice", room: "global", online: true, idle: false });
+    await state.saveUser({ id: "u2", username: "bob", room: "global", online: true, idle: false });
+
+    assert.deepEqual(await other.updateUser("u1", { room: "tech", idle: true }), {
+      id: "u1",
+      username: "alice",
+      room: "tech",
+      online: true,
+      idle: true,
+    });
+    assert.equal(await other.updateUser("nobody", { room: "tech" }), null);
+    assert.equal((await state.getUser("u1")).room, "tech");
+    assert.equal(await state.getUser("nobody"), null);
+    assert.deepEqual((await state.listUsers()).sort(byId).map((u) => u.username), ["alice", "bob"]);
+
+    // Changing what was returned doesn't change the state
+    (await state.getUser("u2")).room = "fun";
+    assert.equal((await other.getUser("u2")).room, "global");
+  });
+
+  test(`${driver}: typing indicators are set, cleared and expire`, async () => {
+    const [state, other = state] = create();
+    const later = Date.now() + 60000;
+    await state.setTyping("global", "u1", "alice", later);
+    await state.setTyping("dm:u1:u2", "u1", "alice", later);
+    await state.setTyping("global", "u2", "bob", Date.now() - 1);
+
+    assert.deepEqual(await other.listTyping("global"), [{ userId: "u1", username: "alice" }]);
+    assert.deepEqual((await other.typingConversations("u1")).sort(), ["dm:u1:u2", "global"]);
+
+    assert.equal(await other.clearTyping("global", "u1"), true);
+    assert.equal(await state.clearTyping("global", "u1"), false);
+    assert.deepEqual(await state.listTyping("global"), []);
+    assert.deepEqual(await state.typingConversations("u1"), ["dm:u1:u2"]);
+  });
+}
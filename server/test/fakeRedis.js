@@ -0,0 +1,133 @@
+// test/fakeRedis.js — An in-memory stand-in for a Redis server, with just the node-redis client
+// commands the Redis store and cluster state use, so their tests don't need a real server
+
+const { WatchError } = require("redis");
+
+// One server; clients made from it (and their duplicates) share its data like connections to one Redis
+const createFakeRedis = () => {
+  const data = new Map(); // key -> string, array (list), Map (hash) or Set
+  const versions = new Map(); // key -> count of writes, for WATCH
+  const expiries = new Map(); // key -> time in ms when it disappears
+  const channels = new Map(); // channel -> Set of listeners
+
+  const read = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.get(key);
+  };
+  const write = (key, value) => {
+    if (value === undefined) data.delete(key);
+    else data.set(key, value);
+    versions.set(key, (versions.get(key) || 0) + 1);
+  };
+
+  const commands = {
+    get: (key) => read(key) ?? null,
+    set: (key, value, { condition, expiration } = {}) => {
+      if (condition === "NX" && read(key) !== undefined) return null;
+      write(key, String(value));
+      if (expiration) expiries.set(key, Date.now() + expiration.value);
+      else expiries.delete(key);
+      return "OK";
+    },
+    del: (key) => {
+      const existed = read(key) !== undefined;
+      write(key, undefined);
+      return existed ? 1 : 0;
+    },
+
+    rPush: (key, values) => {
+      const list = [...(read(key) || []), ...[].concat(values)];
+      write(key, list);
+      return list.length;
+    },
+    lRange: (key, start, stop) => (read(key) || []).slice(start, stop === -1 ? undefined : stop + 1),
+    lLen: (key) => (read(key) || []).length,
+
+    hSet: (key, field, value) => {
+      const hash = new Map(read(key));
+      const added = hash.has(field) ? 0 : 1;
+      hash.set(field, value);
+      write(key, hash);
+      return added;
+    },
+    hGet: (key, field) => read(key)?.get(field) ?? null,
+    hGetAll: (key) => Object.fromEntries(read(key) || []),
+    hDel: (key, field) => {
+      const hash = new Map(read(key));
+      if (!hash.delete(field)) return 0;
+      write(key, hash.size ? hash : undefined);
+      return 1;
+    },
+
+    sAdd: (key, member) => {
+      const set = new Set(read(key));
+      const added = set.has(member) ? 0 : 1;
+      set.add(member);
+      write(key, set);
+      return added;
+    },
+    sRem: (key, member) => {
+      const set = new Set(read(key));
+      if (!set.delete(member)) return 0;
+      write(key, set.size ? set : undefined);
+      return 1;
+    },
+    sMembers: (key) => [...(read(key) || [])],
+
+    // Delivered later, as over a network, to every subscriber but in the order published
+    publish: (channel, message) => {
+      const listeners = [...(channels.get(channel) || [])];
+      setImmediate(() => listeners.forEach((listener) => listener(message, channel)));
+      return listeners.length;
+    },
+  };
+
+  const createClient = () => {
+    let watched = null; // key -> its version when WATCH ran
+
+    const client = {
+      connect: async () => client,
+      duplicate: () => createClient(),
+      quit: async () => {},
+      close: async () => {},
+
+      subscribe: async (channel, listener) => {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(listener);
+      },
+
+      watch: async (keys) => {
+        watched = new Map([].concat(keys).map((key) => [key, versions.get(key) || 0]));
+      },
+
+      // Queued commands run together on exec, or not at all if a watched key was written since WATCH
+      multi: () => {
+        const queued = [];
+        const chain = {
+          exec: async () => {
+            const changed = watched && [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+            watched = null;
+            if (changed) throw new WatchError();
+            return queued.map(([name, args]) => commands[name](...args));
+          },
+        };
+        for (const name of Object.keys(commands)) {
+          chain[name] = (...args) => {
+            queued.push([name, args]);
+            return chain;
+          };
+        }
+        return chain;
+      },
+    };
+    for (const [name, run] of Object.entries(commands)) client[name] = async (...args) => run(...args);
+    return client;
+  };
+
+  return { createClient, data };
+};
+
+module.exports = { createFakeRedis };
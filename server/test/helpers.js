@@ -0,0 +1,81 @@
+// test/helpers.js — A store's whole contents as plain data, and a set of writes that touches every
+// kind of logged operation, shared by the storage tests
+
+const { createMessage } = require("../models/message");
+const { threadKey } = require("../utils/conversations");
+
+const alice = { id: "u-alice", username: "alice" };
+const bob = { id: "u-bob", username: "bob" };
+
+// Everything a store holds, in a form assert.deepEqual can compare between stores
+const contents = async (store) => {
+  const conversations = {};
+  for (const id of (await store.listConversations()).sort()) {
+    conversations[id] = (await store.getMessages(id, { limit: Infinity })).messages;
+  }
+  const audit = {};
+  for (const room of await store.listRooms()) {
+    audit[room.name] = (await store.getAuditLog(room.name, { limit: Infinity })).entries;
+  }
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  return {
+    accounts: (await store.listAccounts()).sort(byId),
+    rooms: (await store.listRooms()).sort((a, b) => a.name.localeCompare(b.name)),
+    files: (await store.listFiles()).sort(byId),
+    conversations,
+    readStates: await store.listReadStates(),
+    scheduled: await store.listScheduled(),
+    webhooks: await store.listWebhooks(),
+    audit,
+  };
+};
+
+const message = (user, fields) =>
+  createMessage({ sender: user.username, senderId: user.id, room: "lobby", ...fields });
+
+// Writes through `store` covering accounts, rooms, files, messages and their replies, reactions,
+// edits, deletions and removals, read positions, scheduled messages and audit entries
+// -> { parent, replies } for checks on the thread
+const fill = async (store) => {
+  for (const user of [alice, bob]) {
+    await store.addAccount({ ...user, passwordHash: "x", createdAt: "2026-01-01T00:00:00.000Z" });
+  }
+  await store.saveRoom({ name: "lobby", topic: "", ownerId: alice.id, isPrivate: false, members: [], bans: [] });
+  await store.saveRoom({ name: "lobby", topic: "Hello", ownerId: alice.id, isPrivate: false, members: [], bans: [] });
+  await store.saveFile({ id: "f1", name: "a.txt", size: 1, type: "text/plain", uploaderId: alice.id });
+
+  const parent = await store.addMessage("lobby", message(alice, { message: "first" }));
+  const removed = await store.addMessage("lobby", message(bob, { message: "removed by retention" }));
+  await store.updateMessage(parent.id, { message: "first, edited", editedAt: new Date().toISOString() });
+
+  const replies = [];
+  for (const [user, text] of [[bob, "one"], [alice, "two"], [bob, "three"]]) {
+    const reply = message(user, { message: text, parentId: parent.id });
+    await store.addReply(threadKey(parent.id), reply);
+    replies.push(reply);
+  }
+  await store.deleteMessage(replies[1].id, { message: "", deletedBy: alice.id });
+
+  await store.toggleReaction(parent.id, alice, "👍");
+  await store.toggleReaction(parent.id, bob, "👍");
+  await store.toggleReaction(parent.id, alice, "👍");
+
+  await store.removeMessages("lobby", [removed.id]);
+  await store.saveReadState({
+    userId: bob.id,
+    conversationId: "lobby",
+    lastReadId: parent.id,
+    lastReadAt: parent.timestamp,
+  });
+  for (const [id, sendAt] of [["s1", "2030-01-01T00:00:00.000Z"], ["s2", "2030-01-02T00:00:00.000Z"]]) {
+    await store.saveScheduled({ id, userId: alice.id, room: "lobby", message: "later", sendAt });
+  }
+  await store.removeScheduled("s2");
+  await store.addAuditEntry({ id: "a1", room: "lobby", action: "kick", actorId: alice.id, at: parent.timestamp });
+  return { parent, replies };
+};
+
+// Let entries published through the Redis stand-in reach their subscribers
+const delivered = () => new Promise((resolve) => setImmediate(resolve));
+
+module.exports = { alice, bob, contents, message, fill, delivered };
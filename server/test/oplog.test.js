@@ -0,0 +1,68 @@
+// test/oplog.test.js — Replaying a store's operation log, or the snapshot it is compacted into,
+// rebuilds the same store
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const createMemoryStore = require("../storage/memoryStore");
+const { replay, snapshot, createLoggedStore } = require("../storage/oplog");
+const { threadKey } = require("../utils/conversations");
+const { alice, contents, message, fill } = require("./helpers");
+
+// A logged store whose entries are kept as the JSON lines the file and Redis drivers would write
+const loggedStore = () => {
+  const memory = createMemoryStore();
+  const log = [];
+  const store = createLoggedStore(memory, async (entry) => {
+    log.push(JSON.stringify(entry));
+  });
+  return { memory, store, log };
+};
+
+const rebuild = async (lines) => {
+  const memory = createMemoryStore();
+  for (const line of lines) await replay(memory, JSON.parse(line));
+  return memory;
+};
+
+test("replaying the log rebuilds the store", async () => {
+  const { memory, store, log } = loggedStore();
+  const { parent } = await fill(store);
+
+  const rebuilt = await rebuild(log);
+  assert.deepEqual(await contents(rebuilt), await contents(memory));
+
+  const thread = await rebuilt.findMessage(parent.id);
+  assert.equal(thread.replyCount, 2, "three replies, one of them deleted");
+  assert.deepEqual(thread.reactions.map((r) => [r.emoji, r.count]), [["👍", 1]]);
+});
+
+test("a compacted log is shorter and rebuilds the same store", async () => {
+  const { memory, store, log } = loggedStore();
+  await fill(store);
+
+  const compacted = (await snapshot(memory)).map((entry) => JSON.stringify(entry));
+  assert.ok(compacted.length < log.length);
+  assert.deepEqual(await contents(await rebuild(compacted)), await contents(memory));
+});
+
+test("entries logged after a compaction apply on top of it", async () => {
+  const { memory, store, log } = loggedStore();
+  const { parent, replies } = await fill(store);
+  const compacted = (await snapshot(memory)).map((entry) => JSON.stringify(entry));
+  log.length = 0;
+
+  await store.addReply(threadKey(parent.id), message(alice, { message: "four", parentId: parent.id }));
+  await store.deleteMessage(replies[0].id, { message: "" });
+  // Already deleted, so it is neither applied nor logged again
+  assert.equal(await store.deleteMessage(replies[0].id, { message: "" }), null);
+
+  const rebuilt = await rebuild([...compacted, ...log]);
+  assert.deepEqual(await contents(rebuilt), await contents(memory));
+  assert.equal((await rebuilt.findMessage(parent.id)).replyCount, 2);
+});
+
+test("entries of unknown operations are ignored", async () => {
+  const memory = createMemoryStore();
+  await replay(memory, { op: "no-such-op" });
+  assert.deepEqual(await memory.listConversations(), []);
+});
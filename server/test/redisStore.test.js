@@ -0,0 +1,88 @@
+// test/redisStore.test.js — Server processes sharing the Redis log: following each other's writes,
+// compacting the log at startup and claiming scheduled messages, against the in-memory stand-in
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const createRedisStore = require("../storage/redisStore");
+const { threadKey } = require("../utils/conversations");
+const { createFakeRedis } = require("./fakeRedis");
+const { alice, bob, contents, message, fill, delivered } = require("./helpers");
+
+const PREFIX = "test";
+
+// A started server process's store, connected to `redis`
+const start = async (redis) => {
+  const store = createRedisStore({ prefix: PREFIX, client: redis.createClient() });
+  await store.init();
+  return store;
+};
+
+test("processes follow each other's writes", async () => {
+  const redis = createFakeRedis();
+  const [a, b] = [await start(redis), await start(redis)];
+
+  const { parent } = await fill(a);
+  await delivered();
+  assert.deepEqual(await contents(b), await contents(a));
+
+  await b.addReply(threadKey(parent.id), message(bob, { message: "from b", parentId: parent.id }));
+  await delivered();
+  assert.equal((await a.findMessage(parent.id)).replyCount, 3);
+});
+
+test("a starting process replays the log and compacts it, and seqs keep counting", async () => {
+  const redis = createFakeRedis();
+  const a = await start(redis);
+  const { parent } = await fill(a);
+  const written = redis.data.get(`${PREFIX}:log`).length;
+
+  const b = await start(redis);
+  assert.deepEqual(await contents(b), await contents(a));
+  const compacted = redis.data.get(`${PREFIX}:log`).length;
+  assert.ok(compacted < written);
+  assert.equal(Number(redis.data.get(`${PREFIX}:base`)), written - compacted);
+
+  // `a` read everything before the compaction, so it must still apply b's next entry
+  await b.toggleReaction(parent.id, bob, "🎉");
+  await delivered();
+  assert.deepEqual(await contents(a), await contents(b));
+
+  const c = await start(redis);
+  assert.deepEqual(await contents(c), await contents(b));
+});
+
+test("a write during compaction isn't lost", async () => {
+  const redis = createFakeRedis();
+  const a = await start(redis);
+  await fill(a);
+
+  // Another process writes after `b` checked the log was unchanged, while it builds the snapshot
+  const client = redis.createClient();
+  const late = message(alice, { message: "late" });
+  client.duplicate = () => {
+    const watcher = redis.createClient();
+    const get = watcher.get;
+    watcher.get = async (key) => {
+      const value = await get(key);
+      await a.addMessage("lobby", late);
+      return value;
+    };
+    return watcher;
+  };
+  const b = createRedisStore({ prefix: PREFIX, client });
+  await b.init();
+  await delivered();
+
+  assert.ok(await b.findMessage(late.id));
+  assert.ok(await (await start(redis)).findMessage(late.id));
+});
+
+test("only one process claims a scheduled message", async () => {
+  const redis = createFakeRedis();
+  const [a, b] = [await start(redis), await start(redis)];
+  await a.saveScheduled({ id: "s1", userId: alice.id, room: "lobby", message: "hi", sendAt: new Date().toISOString() });
+  await delivered();
+
+  const claims = await Promise.all([a.claimScheduled("s1", 60000), b.claimScheduled("s1", 60000)]);
+  assert.deepEqual(claims.sort(), [false, true]);
+});
@@ -0,0 +1,10 @@
+// utils/audience.js — Socket.io room names used to address users and conversations
+
+// Per-user socket room, so DMs reach every tab and survive socket id changes
+const userRoom = (userId) => `user:${userId}`;
+
+// Everyone who should hear about changes to a message: its room, or both sides of a DM
+const messageAudience = (io, msg) =>
+  msg.isPrivate ? io.to(userRoom(msg.senderId)).to(userRoom(msg.receiverId)) : io.to(msg.room);
+
+module.exports = { userRoom, messageAudience };
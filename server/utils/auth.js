@@ -0,0 +1,93 @@
+// utils/auth.js — Password hashing, signed tokens and auth guards for HTTP and sockets
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || "7d";
+// Download links can't send headers, so they carry a token of their own: it only opens the path it was
+// signed for, and not for long, so a link that leaks (history, logs, a shared export) is soon useless
+const DOWNLOAD_TOKEN_TTL_SECONDS = 30 * 60;
+const DOWNLOAD_PREFIXES = ["/api/files/", "/api/archives/export"];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+// Without a configured secret tokens only stay valid until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️  JWT_SECRET is not set; using a random secret for this run");
+}
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+const signToken = (account) =>
+  jwt.sign({ sub: account.id, username: account.username }, JWT_SECRET, { expiresIn: TOKEN_TTL });
+
+// Utility: a download path with its query sorted and any token left out, so signing and checking agree
+const canonicalPath = (path) => {
+  const url = new URL(path, "http://localhost");
+  url.searchParams.delete("token");
+  url.searchParams.sort();
+  return url.pathname + url.search;
+};
+
+// A link to `path` (e.g. /api/files/<id>) that works without headers for `ttlSeconds`.
+// -> { url, expiresAt }, or null when `path` isn't something that can be downloaded
+const signDownload = (account, path, { ttlSeconds = DOWNLOAD_TOKEN_TTL_SECONDS } = {}) => {
+  const target = canonicalPath(path);
+  if (!DOWNLOAD_PREFIXES.some((prefix) => target.startsWith(prefix))) return null;
+  const token = jwt.sign({ sub: account.id, scope: "download", path: target }, JWT_SECRET, {
+    expiresIn: ttlSeconds,
+  });
+  return {
+    url: `${target}${target.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+  };
+};
+
+// Resolve a token to its stored account, or null if it is missing, invalid or expired.
+// With `downloadPath` only a download token signed for that path is accepted; otherwise only sessions are.
+const accountFromToken = async (store, token, { downloadPath } = {}) => {
+  if (!token) return null;
+  try {
+    const { sub, scope, path } = jwt.verify(token, JWT_SECRET);
+    if (downloadPath === undefined && scope !== undefined) return null;
+    if (downloadPath !== undefined && (scope !== "download" || path !== canonicalPath(downloadPath))) return null;
+    return await store.findAccountById(sub);
+  } catch {
+    return null;
+  }
+};
+
+// Express middleware: requires "Authorization: Bearer <token>" and sets req.account.
+// `allowDownloadToken` also accepts a signed download link's ?token=, for URLs loaded by <img> and plain links.
+const requireAuth = (store, { allowDownloadToken = false } = {}) => async (req, res, next) => {
+  const [scheme, header] = (req.get("authorization") || "").split(" ");
+  let account = null;
+  if (scheme === "Bearer") account = await accountFromToken(store, header);
+  else if (allowDownloadToken) {
+    account = await accountFromToken(store, req.query.token, { downloadPath: req.originalUrl });
+  }
+  if (!account) return res.status(401).json({ error: "Authentication required" });
+  req.account = account;
+  next();
+};
+
+// Socket.io middleware: rejects handshakes without a valid `auth.token`
+const socketAuth = (store) => async (socket, next) => {
+  const account = await accountFromToken(store, socket.handshake.auth?.token);
+  if (!account) return next(new Error("unauthorized"));
+  socket.data.account = { id: account.id, username: account.username };
+  next();
+};
+
+module.exports = {
+  USERNAME_PATTERN,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  signDownload,
+  accountFromToken,
+  requireAuth,
+  socketAuth,
+};
@@ -0,0 +1,20 @@
+// utils/conversations.js — Ids under which messages are stored: rooms, DMs and threads
+
+// Utility: conversation id for the private chat between two account ids
+const privateChatKey = (a, b) =>
+  `dm:${[a, b].sort().map(encodeURIComponent).join(":")}`;
+
+// Utility: account ids taking part in a private conversation id
+const privateChatMembers = (conversationId) =>
+  conversationId.slice(3).split(":").map(decodeURIComponent);
+
+// Replies live in their own conversation so they page separately from the timeline
+const threadKey = (parentId) => `thread:${parentId}`;
+
+// Utility: the conversation a stored message belongs to
+const conversationOf = (msg) => {
+  if (msg.parentId !== null && msg.parentId !== undefined) return threadKey(msg.parentId);
+  return msg.isPrivate ? privateChatKey(msg.senderId, msg.receiverId) : msg.room;
+};
+
+module.exports = { privateChatKey, privateChatMembers, threadKey, conversationOf };
@@ -0,0 +1,35 @@
+// utils/errors.js — Errors whose message is safe to send back to the client
+
+// Machine-readable codes for clients, derived from the status unless a more specific one is given
+const CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "too_large",
+  415: "unsupported_type",
+  429: "rate_limited",
+};
+
+class ChatError extends Error {
+  // details: { code?, field?, retryAfterMs? } — extra fields sent along with the message
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "ChatError";
+    this.status = status; // HTTP status when the error surfaces through a REST route
+    this.code = details.code || CODES[status] || "error";
+    this.field = details.field;
+    this.retryAfterMs = details.retryAfterMs;
+  }
+
+  // The structured error clients receive: { error, code, field?, retryAfterMs? }
+  toJSON() {
+    const body = { error: this.message, code: this.code };
+    if (this.field !== undefined) body.field = this.field;
+    if (this.retryAfterMs !== undefined) body.retryAfterMs = this.retryAfterMs;
+    return body;
+  }
+}
+
+module.exports = { ChatError };
@@ -0,0 +1,189 @@
+// utils/events.js — Payload schemas for every client socket event, and the middleware that enforces
+// them together with rate limits before any handler runs
+
+const { ChatError } = require("./errors");
+const { string, boolean, integer, id, oneOf, optional, array, object, either, none } = require("./validate");
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 4000;
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+const roomName = string({ min: 1, max: 32 });
+const messageText = string({ max: MAX_MESSAGE_LENGTH, blank: false });
+const clientId = optional(string({ min: 1, max: 64 }));
+// Ephemeral messages: gone this many minutes after sending, and/or once read
+const expiresInMinutes = optional(integer({ min: 1, max: MAX_EXPIRY_MINUTES }));
+const expireAfterRead = optional(boolean());
+
+const SCHEMAS = {
+  join_room: roomName,
+  list_rooms: none(),
+  create_room: object({
+    name: roomName,
+    topic: optional(string({ max: 200 })),
+    isPrivate: optional(boolean()),
+    members: optional(array(id(), { max: 100 })),
+  }),
+  delete_room: roomName,
+  invite_to_room: object({ room: roomName, userId: id() }),
+
+  set_room_role: object({ room: roomName, userId: id(), role: oneOf("moderator", "member") }),
+  kick_user: object({ room: roomName, userId: id(), reason: optional(string({ max: 200 })) }),
+  ban_user: object({ room: roomName, userId: id(), reason: optional(string({ max: 200 })) }),
+  unban_user: object({ room: roomName, userId: id() }),
+  mute_user: object({
+    room: roomName,
+    userId: id(),
+    minutes: integer({ min: 1, max: MAX_MUTE_MINUTES }),
+    reason: optional(string({ max: 200 })),
+  }),
+  unmute_user: object({ room: roomName, userId: id() }),
+  load_moderation_log: object({ room: roomName, before: optional(id()) }),
+  set_retention: object({
+    room: roomName,
+    maxMessages: optional(integer({ min: 1, max: 1000000 })),
+    maxAgeDays: optional(integer({ min: 1, max: 3650 })),
+    maxAttachmentMB: optional(integer({ min: 1, max: 100000 })),
+  }),
+  list_commands: none(),
+  load_mentions: object({ before: optional(id()) }),
+  set_notification_level: object({ room: roomName, level: oneOf("all", "mentions", "muted") }),
+
+  // A bare string is still accepted as the message text
+  send_message: either(
+    object({
+      message: messageText,
+      room: optional(roomName),
+      quoteId: optional(id()),
+      parentId: optional(id()),
+      clientId,
+      expiresInMinutes,
+      expireAfterRead,
+    }),
+    messageText
+  ),
+  private_message: object({
+    to: id(),
+    message: messageText,
+    quoteId: optional(id()),
+    clientId,
+    expiresInMinutes,
+    expireAfterRead,
+  }),
+  schedule_message: object({
+    message: messageText,
+    sendAt: string({ min: 1, max: 40 }),
+    room: optional(roomName),
+    to: optional(id()),
+    expiresInMinutes,
+    expireAfterRead,
+  }),
+  list_scheduled_messages: none(),
+  cancel_scheduled_message: id(),
+  send_file: object({
+    fileId: string({ min: 1, max: 100 }),
+    fileName: optional(string({ max: MAX_FILE_NAME_LENGTH })),
+    message: optional(string({ max: MAX_MESSAGE_LENGTH })),
+    room: optional(roomName),
+    to: optional(id()),
+    clientId,
+  }),
+  edit_message: object({ messageId: id(), message: messageText }),
+  delete_message: id(),
+  react_message: object({ messageId: id(), reaction: string({ min: 1, max: 32 }) }),
+  read_message: id(),
+
+  load_older_messages: object({
+    room: optional(roomName),
+    privateToId: optional(id()),
+    oldestMessageId: optional(id()),
+  }),
+  load_thread: object({ parentId: id(), before: optional(id()) }),
+  search_messages: object({
+    query: optional(string({ max: 200 })),
+    sender: optional(string({ max: 32 })),
+    room: optional(roomName),
+    from: optional(string({ max: 40 })),
+    to: optional(string({ max: 40 })),
+    hasFile: optional(boolean()),
+    offset: optional(integer({ min: 0 })),
+    limit: optional(integer({ min: 1, max: 50 })),
+  }),
+  load_message_context: id(),
+
+  typing: either(boolean(), object({ isTyping: boolean(), to: optional(id()) })),
+  set_status: object({
+    status: optional(oneOf("online", "away", "dnd")),
+    message: optional(string({ max: 100 })),
+  }),
+  idle: boolean(),
+};
+
+// Events that put something in front of other people; these share the per-user sending limit
+const SEND_EVENTS = new Set([
+  "send_message",
+  "private_message",
+  "schedule_message",
+  "send_file",
+  "edit_message",
+  "delete_message",
+  "react_message",
+]);
+
+// Socket middleware: every event must have a schema, stay under the per-socket event limit and, for
+// sends, the per-user sending limit. Repeatedly hitting the sending limit mutes the user for a while.
+// Rejections go back through the event's ack when there is one, otherwise as `chat_error`.
+const createEventGuard =
+  ({ eventLimiter, sendLimiter, flood }) =>
+  (socket) =>
+  (packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+    const userId = socket.data.account.id;
+
+    const reject = (err) => {
+      if (ack) ack(err.toJSON());
+      else socket.emit("chat_error", { event, ...err.toJSON() });
+    };
+
+    const schema = SCHEMAS[event];
+    if (!schema) return reject(new ChatError(`Unknown event "${event}"`, 400, { code: "unknown_event" }));
+
+    const wait = eventLimiter.take(socket.id);
+    if (wait > 0) {
+      return reject(new ChatError("Too many requests, slow down", 429, { retryAfterMs: wait }));
+    }
+
+    if (SEND_EVENTS.has(event)) {
+      const muted = flood.mutedFor(userId);
+      if (muted > 0) {
+        return reject(
+          new ChatError(`You are muted for flooding for ${Math.ceil(muted / 1000)}s`, 429, {
+            code: "muted",
+            retryAfterMs: muted,
+          })
+        );
+      }
+      const sendWait = sendLimiter.take(userId);
+      if (sendWait > 0) {
+        const muteMs = flood.strike(userId);
+        if (muteMs > 0) console.warn(`⚠️  Muted ${socket.data.account.username} for flooding`);
+        return reject(
+          new ChatError("You are sending messages too fast", 429, { retryAfterMs: muteMs || sendWait })
+        );
+      }
+    }
+
+    // Handlers receive exactly (payload, ack?) with the payload as the schema cleaned it
+    try {
+      const payload = schema(args[0], "");
+      packet.splice(1, packet.length - 1, payload, ...(ack ? [ack] : []));
+    } catch (err) {
+      if (err instanceof ChatError) return reject(err);
+      throw err;
+    }
+    next();
+  };
+
+module.exports = { SCHEMAS, SEND_EVENTS, MAX_MESSAGE_LENGTH, createEventGuard };
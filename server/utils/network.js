@@ -0,0 +1,51 @@
+// utils/network.js — Keeping server-side requests to user-supplied URLs off private networks
+//
+// Link previews and webhooks fetch addresses users chose, so every address a host resolves to
+// is checked against private and reserved ranges before connecting.
+
+const dns = require("dns");
+const net = require("net");
+
+// Loopback, private, link-local (cloud metadata endpoints), carrier-grade NAT, multicast and reserved
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127], // :: and ::1
+  ["::ffff:0:0", 96], // IPv4-mapped, which would sidestep the list above
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+const isBlocked = (address) => blocked.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// dns.lookup that refuses hosts resolving to a blocked address; pass it as the `lookup` option of
+// http(s) requests and Node calls it for every connection
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isBlocked(a.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = { isBlocked, safeLookup };
@@ -0,0 +1,68 @@
+// utils/rateLimit.js — Token-bucket rate limiting and flood protection, keyed by socket or user id
+
+// Allows bursts of up to `limit` events, refilling at `limit` per `windowMs`
+const createRateLimiter = ({ limit, windowMs }) => {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+  const refillPerMs = limit / windowMs;
+
+  return {
+    // Spend one token for `key`: 0 if allowed, otherwise how long until the next token
+    take: (key, now = Date.now()) => {
+      const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+      bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - bucket.tokens) / refillPerMs);
+    },
+
+    forget: (key) => buckets.delete(key),
+
+    // Drop buckets that have refilled completely: they act exactly like keys never seen, so users who
+    // went quiet or left don't keep an entry for ever
+    sweep: (now = Date.now()) => {
+      for (const [key, bucket] of buckets) {
+        if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= limit) buckets.delete(key);
+      }
+    },
+  };
+};
+
+// Mutes a key for `muteMs` once it has been rate limited `strikes` times within `windowMs`
+const createFloodGuard = ({ strikes, windowMs, muteMs }) => {
+  const offenders = new Map(); // key -> { hits: [timestamps], mutedUntil }
+
+  return {
+    // Milliseconds of mute left for `key`, or 0
+    mutedFor: (key, now = Date.now()) => {
+      const offender = offenders.get(key);
+      if (!offender || offender.mutedUntil <= now) return 0;
+      return offender.mutedUntil - now;
+    },
+
+    // Record a rate-limit hit; returns the mute length if this hit started one, otherwise 0
+    strike: (key, now = Date.now()) => {
+      const offender = offenders.get(key) || { hits: [], mutedUntil: 0 };
+      offender.hits = [...offender.hits.filter((t) => now - t < windowMs), now];
+      offenders.set(key, offender);
+      if (offender.hits.length < strikes) return 0;
+
+      offender.hits = [];
+      offender.mutedUntil = now + muteMs;
+      return muteMs;
+    },
+
+    // Drop keys whose mute is over and whose hits are too old to count any more
+    sweep: (now = Date.now()) => {
+      for (const [key, offender] of offenders) {
+        if (offender.mutedUntil <= now && offender.hits.every((t) => now - t >= windowMs)) offenders.delete(key);
+      }
+    },
+  };
+};
+
+module.exports = { createRateLimiter, createFloodGuard };
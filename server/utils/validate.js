@@ -0,0 +1,102 @@
+// utils/validate.js — Small schema rules for checking socket payloads before handlers see them
+//
+// A rule is (value, field) => cleaned value, throwing a ChatError (code "invalid_payload") naming
+// the offending field. Object rules drop keys they don't know, so handlers only see declared fields.
+
+const { ChatError } = require("./errors");
+
+const invalid = (field, problem) => {
+  throw new ChatError(`${field || "Payload"} ${problem}`, 400, { code: "invalid_payload", field: field || undefined });
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Strings are trimmed when `trim` is set (`min` applies after trimming); `blank: false` rejects
+// whitespace-only text while keeping the original spacing
+const string =
+  ({ max, min = 0, pattern, trim = false, blank = true } = {}) =>
+  (value, field) => {
+    if (typeof value !== "string") invalid(field, "must be text");
+    const text = trim ? value.trim() : value;
+    if (!blank && !text.trim()) invalid(field, "cannot be empty");
+    if (text.length < min) invalid(field, min === 1 ? "cannot be empty" : `must be at least ${min} characters`);
+    if (max !== undefined && text.length > max) invalid(field, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) invalid(field, "has an invalid format");
+    return text;
+  };
+
+const boolean = () => (value, field) => {
+  if (typeof value !== "boolean") invalid(field, "must be true or false");
+  return value;
+};
+
+const integer =
+  ({ min, max } = {}) =>
+  (value, field) => {
+    if (!Number.isInteger(value)) invalid(field, "must be a whole number");
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      invalid(field, `must be between ${min ?? "-∞"} and ${max ?? "∞"}`);
+    }
+    return value;
+  };
+
+// Message, file and account ids: short strings, or the numeric ids of older messages
+const id = () => (value, field) => {
+  if (typeof value === "number" && Number.isSafeInteger(value)) return value;
+  if (typeof value === "string" && value.length > 0 && value.length <= 100) return value;
+  return invalid(field, "must be an id");
+};
+
+const oneOf =
+  (...values) =>
+  (value, field) => {
+    if (!values.includes(value)) invalid(field, `must be one of: ${values.join(", ")}`);
+    return value;
+  };
+
+// Missing (undefined or null) values are allowed and come through as undefined
+const optional = (rule) => (value, field) =>
+  value === undefined || value === null ? undefined : rule(value, field);
+
+const array =
+  (rule, { max } = {}) =>
+  (value, field) => {
+    if (!Array.isArray(value)) invalid(field, "must be a list");
+    if (max !== undefined && value.length > max) invalid(field, `can have at most ${max} entries`);
+    return value.map((item, i) => rule(item, `${field || "list"}[${i}]`));
+  };
+
+const object =
+  (fields = {}) =>
+  (value, field) => {
+    if (!isPlainObject(value)) invalid(field, "must be an object");
+    const cleaned = {};
+    for (const [key, rule] of Object.entries(fields)) {
+      const checked = rule(value[key], field ? `${field}.${key}` : key);
+      if (checked !== undefined) cleaned[key] = checked;
+    }
+    return cleaned;
+  };
+
+// The first rule that accepts the value wins. Otherwise the most specific complaint is reported:
+// one about a field (the value had the right shape) over one about the value as a whole.
+const either =
+  (...rules) =>
+  (value, field) => {
+    const errors = [];
+    for (const rule of rules) {
+      try {
+        return rule(value, field);
+      } catch (err) {
+        if (!(err instanceof ChatError)) throw err;
+        errors.push(err);
+      }
+    }
+    throw errors.find((err) => err.field !== field && err.field !== undefined) || errors[errors.length - 1];
+  };
+
+// No payload expected; anything sent is ignored
+const none = () => () => undefined;
+
+module.exports = { string, boolean, integer, id, oneOf, optional, array, object, either, none };
@@ -0,0 +1,44 @@
+// webhooks/httpSender.js — POST one webhook delivery and report the receiver's status code
+//
+// Webhook URLs are chosen by room owners, so like link previews they may not point into the
+// server's own network unless WEBHOOK_ALLOW_PRIVATE says the receivers live there.
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { isBlocked, safeLookup } = require("../utils/network");
+
+const createHttpSender = ({ timeoutMs, allowPrivate = false }) =>
+  // -> the response's status code; rejects when there is no response at all. Redirects aren't followed.
+  (url, body, headers) =>
+    new Promise((resolve, reject) => {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") return reject(new Error(`Unsupported URL ${url}`));
+      const literal = hostname.replace(/^\[|\]$/g, "");
+      if (!allowPrivate && net.isIP(literal) && isBlocked(literal)) {
+        return reject(new Error(`${hostname} is a private address`));
+      }
+
+      const client = protocol === "https:" ? https : http;
+      const req = client.request(url, {
+        method: "POST",
+        lookup: allowPrivate ? undefined : safeLookup,
+        timeout: timeoutMs,
+        headers: {
+          "user-agent": "ChatWebhook/1.0",
+          "content-type": "application/json",
+          "content-length": Buffer.byteLength(body),
+          ...headers,
+        },
+      });
+      req.on("response", (res) => {
+        // Receivers' answers aren't used, only whether they took the delivery
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("timeout", () => req.destroy(new Error(`No response from ${hostname}`)));
+      req.on("error", reject);
+      req.end(body);
+    });
+
+module.exports = createHttpSender;